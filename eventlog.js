@@ -0,0 +1,350 @@
+/**
+ * Session Event Log Module
+ * Records what was sent to devices (commands, pattern starts/stops, funscript
+ * actions) for viewing, export and replay
+ */
+
+// Event log state
+let sessionEvents = [] // Array of { t, time, kind, origin, deviceIndex, deviceName, command, summary, replay }
+let sessionStartTime = null // Date.now() of the first event
+let replayTimeoutId = null
+let replayIndex = 0
+let renderTimeoutId = null
+const MAX_LOG_EVENTS = 5000 // Oldest events are dropped past this
+const MAX_SHOWN_EVENTS = 200 // Rows rendered in the panel
+
+// Command types that drive device outputs directly. Replaying these (and
+// nothing else) reproduces exactly what was sent: patterns, sequences and
+// releases are logged too, but their individual steps are what get replayed.
+const OUTPUT_COMMANDS = new Set(['vibrate', 'oscillate', 'rotate', 'scalar', 'linear', 'device_stop', 'stop'])
+
+// Colors per event origin in the panel
+const originColors = {
+  ai: '#64B5F6',
+  ui: '#FFB74D',
+  funscript: '#BA68C8',
+  timeline: '#4DB6AC',
+  replay: '#90A4AE',
+  internal: '#888'
+}
+
+// External dependencies (will be injected via initEventLogModule)
+let deps = {
+  NAME: 'intiface-connect',
+  updateStatus: () => {},
+  executeCommand: async () => {},
+  getDeviceDisplayName: (dev) => dev?.name || 'Unknown',
+  setWorkerTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearWorkerTimeout: (id) => clearTimeout(id)
+}
+
+/**
+ * Initialize the event log module with required dependencies
+ * @param {Object} dependencies - Object containing all required dependencies
+ */
+export function initEventLogModule(dependencies) {
+  deps = { ...deps, ...dependencies }
+  console.log(`${deps.NAME}: Event log module initialized`)
+}
+
+/**
+ * Record an event
+ * @param {string} kind - 'command', 'pattern', 'media', 'safety' or 'approval'
+ * @param {string} origin - 'ai', 'ui', 'funscript', 'timeline', 'replay' or 'internal'
+ * @param {Object} data - { deviceIndex, command, summary }; command is a plain
+ *   executeCommand object with resolved values, replayed if it drives outputs
+ */
+export function logEvent(kind, origin, data = {}) {
+  const now = Date.now()
+  if (sessionStartTime === null) sessionStartTime = now
+
+  const devices = (typeof window !== 'undefined' && window.devices) || []
+  const deviceIndex = data.deviceIndex ?? null
+  const command = data.command ? toLoggedCommand(data.command) : null
+
+  sessionEvents.push({
+    t: now - sessionStartTime,
+    time: now,
+    kind,
+    origin,
+    deviceIndex,
+    deviceName: deviceIndex !== null && devices[deviceIndex] ? deps.getDeviceDisplayName(devices[deviceIndex]) : null,
+    command,
+    summary: data.summary || (command ? describeCommand(command) : kind),
+    replay: !!command && OUTPUT_COMMANDS.has(command.type)
+  })
+  if (sessionEvents.length > MAX_LOG_EVENTS) sessionEvents.splice(0, sessionEvents.length - MAX_LOG_EVENTS)
+
+  scheduleEventLogRender()
+}
+
+/**
+ * Strip runtime-only fields (owning message, tag offsets) so an event is plain JSON
+ * @param {Object} cmd - Command passed to executeCommand
+ * @returns {Object} Serializable copy
+ */
+function toLoggedCommand(cmd) {
+  const { owner, source, deviceIndex, deviceIndices, origin, ...command } = cmd
+  if (source?.text) command.tag = source.text
+  return command
+}
+
+/**
+ * Short human-readable description of a logged command
+ * @param {Object} command - Logged command
+ * @returns {string}
+ */
+function describeCommand(command) {
+  const { type, tag, ...values } = command
+  const details = Object.entries(values)
+    .filter(([, value]) => value !== undefined && typeof value !== 'object')
+    .map(([key, value]) => `${key}=${value}`)
+  if (Array.isArray(values.motors)) details.push(`motors=${values.motors.map(m => m + 1).join(',')}`)
+  return `${type}${details.length > 0 ? ` ${details.join(' ')}` : ''}`
+}
+
+/**
+ * Get all logged events (oldest first)
+ * @returns {Array}
+ */
+export function getEventLog() {
+  return sessionEvents
+}
+
+/**
+ * Clear the log and start a new session
+ */
+export function clearEventLog() {
+  stopEventLogReplay()
+  sessionEvents = []
+  sessionStartTime = null
+  renderEventLog()
+}
+
+/**
+ * Format a session offset as m:ss.mmm
+ * @param {number} ms - Milliseconds since session start
+ * @returns {string}
+ */
+function formatEventTime(ms) {
+  const minutes = Math.floor(ms / 60000)
+  const seconds = Math.floor((ms % 60000) / 1000)
+  return `${minutes}:${seconds.toString().padStart(2, '0')}.${(ms % 1000).toString().padStart(3, '0')}`
+}
+
+/**
+ * Download a file from the browser
+ * @param {string} filename - Suggested file name
+ * @param {Object} data - JSON content
+ */
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Export the whole log as JSON
+ */
+export function exportEventLogJson() {
+  if (sessionEvents.length === 0) {
+    deps.updateStatus('Session log is empty')
+    return
+  }
+  downloadJson(`intiface-session-${new Date(sessionStartTime).toISOString().replace(/[:.]/g, '-')}.json`, {
+    version: 1,
+    startedAt: new Date(sessionStartTime).toISOString(),
+    events: sessionEvents
+  })
+  console.log(`${deps.NAME}: Exported ${sessionEvents.length} session events`)
+}
+
+/**
+ * Get the 0-100 position a logged output command puts a device's main output
+ * at (first motor, stroke end position, ...), or null if it doesn't set one
+ * @param {Object} command - Logged command
+ * @returns {number|null}
+ */
+function getFunscriptPosition(command) {
+  switch (command.type) {
+    case 'vibrate':
+      return !command.motors || command.motors.includes(0) ? command.intensity : null
+    case 'oscillate':
+      return command.intensity
+    case 'rotate':
+      return command.speed
+    case 'linear':
+      return command.endPos
+    case 'stop':
+    case 'device_stop':
+      return 0
+    default:
+      return null
+  }
+}
+
+/**
+ * Export one funscript per device from the logged outputs
+ */
+export function exportEventLogFunscripts() {
+  const scripts = new Map() // deviceIndex -> { name, actions }
+  const outputEvents = sessionEvents.filter(event => event.replay)
+
+  // A global STOP ends every device's script
+  const deviceIndices = new Set(outputEvents.filter(event => event.deviceIndex !== null).map(event => event.deviceIndex))
+  for (const event of outputEvents) {
+    const position = getFunscriptPosition(event.command)
+    if (position === null) continue
+    const targets = event.deviceIndex === null ? [...deviceIndices] : [event.deviceIndex]
+    for (const deviceIndex of targets) {
+      if (!scripts.has(deviceIndex)) scripts.set(deviceIndex, { name: event.deviceName || `Device ${deviceIndex + 1}`, actions: [] })
+      scripts.get(deviceIndex).actions.push({ at: event.t, pos: Math.round(position) })
+    }
+  }
+
+  if (scripts.size === 0) {
+    deps.updateStatus('No device outputs in the session log')
+    return
+  }
+
+  for (const { name, actions } of scripts.values()) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    downloadJson(`intiface-session-${slug || 'device'}.funscript`, { version: '1.0', inverted: false, range: 100, actions })
+  }
+  console.log(`${deps.NAME}: Exported session funscripts for ${scripts.size} device(s)`)
+}
+
+/**
+ * Whether a replay is running
+ * @returns {boolean}
+ */
+export function isEventLogReplaying() {
+  return replayTimeoutId !== null
+}
+
+/**
+ * Replay the logged device outputs through executeCommand with their original timing
+ */
+export function replayEventLog() {
+  stopEventLogReplay()
+  const events = sessionEvents.filter(event => event.replay)
+  if (events.length === 0) {
+    deps.updateStatus('Nothing to replay in the session log')
+    return
+  }
+
+  const replayStart = Date.now() - events[0].t
+  replayIndex = 0
+
+  // Schedule from the replay start rather than event to event, so timing doesn't drift
+  const runNext = async () => {
+    replayTimeoutId = null
+    const event = events[replayIndex++]
+    const command = { ...event.command, origin: 'replay' }
+    if (event.deviceIndex !== null) command.deviceIndex = event.deviceIndex
+    try {
+      await deps.executeCommand(command)
+    } catch (e) {
+      console.error(`${deps.NAME}: Replay step failed:`, e)
+    }
+
+    if (replayIndex < events.length) {
+      replayTimeoutId = deps.setWorkerTimeout(runNext, Math.max(0, replayStart + events[replayIndex].t - Date.now()))
+    } else {
+      deps.updateStatus('Session replay complete')
+      renderEventLog()
+    }
+  }
+
+  deps.updateStatus(`Replaying ${events.length} session events...`)
+  replayTimeoutId = deps.setWorkerTimeout(runNext, 0)
+  renderEventLog()
+}
+
+/**
+ * Stop a running replay
+ */
+export function stopEventLogReplay() {
+  if (replayTimeoutId !== null) {
+    deps.clearWorkerTimeout(replayTimeoutId)
+    replayTimeoutId = null
+    deps.updateStatus('Session replay stopped')
+    renderEventLog()
+  }
+}
+
+/**
+ * Re-render the panel soon (events can arrive many times a second)
+ */
+function scheduleEventLogRender() {
+  if (renderTimeoutId !== null) return
+  renderTimeoutId = setTimeout(() => {
+    renderTimeoutId = null
+    renderEventLog()
+  }, 500)
+}
+
+/**
+ * Render the latest events into the session log panel
+ */
+export function renderEventLog() {
+  $('#intiface-event-log-count').text(`${sessionEvents.length} event${sessionEvents.length === 1 ? '' : 's'}`)
+  $('#intiface-event-log-replay').toggle(!isEventLogReplaying())
+  $('#intiface-event-log-stop-replay').toggle(isEventLogReplaying())
+
+  const list = $('#intiface-event-log-list')
+  if (list.length === 0 || !list.is(':visible')) return
+
+  list.empty()
+  if (sessionEvents.length === 0) {
+    list.append('<div style="color: #666; text-align: center; padding: 6px;">No events yet</div>')
+    return
+  }
+
+  for (const event of sessionEvents.slice(-MAX_SHOWN_EVENTS).reverse()) {
+    const row = $(`<div style="display: flex; gap: 6px; white-space: nowrap;">
+      <span class="intiface-event-time" style="color: #666;"></span>
+      <span class="intiface-event-origin"></span>
+      <span class="intiface-event-device" style="color: #aaa;"></span>
+      <span class="intiface-event-summary" style="overflow: hidden; text-overflow: ellipsis;"></span>
+    </div>`)
+    row.find('.intiface-event-time').text(formatEventTime(event.t))
+    row.find('.intiface-event-origin').text(event.origin).css('color', originColors[event.origin] || '#888')
+    row.find('.intiface-event-device').text(event.deviceName || '')
+    row.find('.intiface-event-summary').text(event.summary)
+    row.attr('title', event.command?.tag || event.summary)
+    list.append(row)
+  }
+}
+
+/**
+ * Setup session log panel event handlers
+ */
+export function setupEventLogEventHandlers() {
+  $('#intiface-event-log-toggle').on('click', function() {
+    const content = $('#intiface-event-log-content')
+    const arrow = $('#intiface-event-log-arrow')
+
+    if (content.is(':visible')) {
+      content.slideUp(200)
+      arrow.removeClass('expanded')
+    } else {
+      content.slideDown(200, renderEventLog)
+      arrow.addClass('expanded')
+    }
+  })
+
+  $('#intiface-event-log-replay').on('click', replayEventLog)
+  $('#intiface-event-log-stop-replay').on('click', stopEventLogReplay)
+  $('#intiface-event-log-export-json').on('click', exportEventLogJson)
+  $('#intiface-event-log-export-funscript').on('click', exportEventLogFunscripts)
+  $('#intiface-event-log-clear').on('click', clearEventLog)
+
+  renderEventLog()
+}
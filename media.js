@@ -854,6 +854,7 @@ async function executeFunscriptAction(action) {
         const scriptValue = positions[0] || 50
         const scaledValue = defaultValue + (scriptValue - defaultValue) * scale
         let adjustedPos = Math.min(100, Math.max(0, Math.round(scaledValue)))
+        logFunscriptOutput(i, { type: 'linear', startPos: adjustedPos, endPos: adjustedPos, duration: 100 })
         adjustedPos = d("applyInversion")(adjustedPos)
         console.log(`${d("NAME") || "Intiface"}: Sending linear command to device ${deviceIndex}`)
         promises.push(targetDevice.linear(adjustedPos / 100, 100))
@@ -868,6 +869,7 @@ async function executeFunscriptAction(action) {
           const scriptValue = positions[motorIndex]
           const scaledValue = defaultValue + (scriptValue - defaultValue) * scale
           let adjustedPos = Math.min(100, Math.max(0, Math.round(scaledValue)))
+          if (vibrateAttrs[motorIndex]) logFunscriptOutput(i, { type: 'vibrate', intensity: adjustedPos, motors: [motorIndex] })
           adjustedPos = d("applyInversion")(adjustedPos)
 
           console.log(`${d("NAME") || "Intiface"}: Motor ${motorIndex} - vibrateAttr exists: ${!!vibrateAttrs[motorIndex]}, Index: ${vibrateAttrs[motorIndex]?.Index}`)
@@ -900,8 +902,20 @@ async function executeFunscriptAction(action) {
   }
 }
 
+// Where funscript playback comes from, for the session log
+function getFunscriptOrigin() {
+  return d("isTimelinePlaying")?.() ? 'timeline' : 'funscript'
+}
+
+// Record a funscript output in the session log as the command that reproduces it
+// (value before inversion, like executeCommand takes it)
+function logFunscriptOutput(deviceIndex, command) {
+  d("logEvent")?.('media', getFunscriptOrigin(), { deviceIndex, command })
+}
+
 // Stop media playback
 function stopMediaPlayback() {
+  d("logEvent")?.('media', getFunscriptOrigin(), { summary: 'media stopped' })
   if (mediaPlayer.videoElement) {
     mediaPlayer.videoElement.pause()
     mediaPlayer.videoElement.currentTime = 0
@@ -1206,6 +1220,7 @@ executedCommands.clear()
 }
 
 startFunscriptSync()
+d("logEvent")?.('media', getFunscriptOrigin(), { summary: `media playing from ${video.currentTime.toFixed(1)}s` })
 d("updateStatus")(`Playing funscript on ${d("devices")?.length} device(s)`)
 $("#intiface-chat-funscript-info").text("Playing - Funscript active").css("color", "#4CAF50")
 }
@@ -1219,6 +1234,7 @@ console.log(`${d("NAME") || "Intiface"}: Video/audio paused but tab is hidden -
 return
 }
 console.log(`${d("NAME") || "Intiface"}: Video/audio paused - stopping funscript sync and device`)
+d("logEvent")?.('media', getFunscriptOrigin(), { summary: `media paused at ${video.currentTime.toFixed(1)}s` })
 // Set isPlaying false FIRST to prevent any new commands from being sent
 mediaPlayer.isPlaying = false
 // Stop sync loops immediately
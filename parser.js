@@ -0,0 +1,1004 @@
+// ==========================================
+// CHAT COMMAND PARSER
+// ==========================================
+// Tokenizer and grammar for <target:VERB: params> device tags. Produces a typed
+// command AST with source offsets plus structured errors. Resolving targets to
+// devices and building executable commands is done by the caller (script.js).
+
+// Structured error codes
+export const PARSE_ERRORS = {
+  SYNTAX: 'syntax_error',
+  UNKNOWN_VERB: 'unknown_verb',
+  BAD_PARAMETER: 'bad_parameter',
+  OUT_OF_RANGE: 'out_of_range',
+  UNKNOWN_TARGET: 'unknown_target'
+}
+
+// Build a structured parse error
+export function parseError(code, message, fields = {}) {
+  return { code, message, ...fields }
+}
+
+// Parameter types
+const INTENSITY = { type: 'int', min: 0, max: 100 }
+const POSITION = { type: 'int', min: 0, max: 100 }
+const DURATION = { type: 'int', min: 0 }
+const COUNT = { type: 'int', min: 1 }
+const NAME_PARAM = { type: 'word' }
+const MOTOR = { type: 'motors' } // motor=2, motor=[1,3] or motor=all (1-based)
+// Absolute 0-100, or relative to the current output with a sign: +15 (points)
+// or -20% (proportional)
+const LEVEL = { type: 'level', min: 0, max: 100 }
+
+// Timed release: for=<ms> then=<level> (then defaults to 0 once for= is given)
+const TIMED = {
+  for: { type: 'int', min: 1 },
+  then: { ...INTENSITY, requires: 'for' }
+}
+
+// How a command joins its devices' queues (queue=): wait its turn, take over, or run alongside
+export const QUEUE_POLICIES = ['append', 'replace', 'layer']
+const QUEUE = { queue: { type: 'enum', values: QUEUE_POLICIES } }
+
+// Buttplug ScalarCmd actuator types addressable with SCALAR
+export const SCALAR_ACTUATORS = ['vibrate', 'rotate', 'oscillate', 'constrict', 'inflate', 'position']
+
+// Verb grammar per scope. `positional` lists the parameter names that bare
+// values bind to (in order); every parameter can also be given as name=value
+// (or name:value) in any order.
+const VERBS = {
+  device: {
+    STOP: { params: { ...QUEUE } },
+    VIBRATE: {
+      positional: ['intensity'],
+      params: { intensity: { ...LEVEL, required: true }, motor: MOTOR, ...TIMED, ...QUEUE }
+    },
+    OSCILLATE: {
+      positional: ['intensity'],
+      params: { intensity: { ...LEVEL, required: true }, ...TIMED, ...QUEUE }
+    },
+    ROTATE: {
+      positional: ['speed'],
+      params: {
+        speed: { ...LEVEL, required: true },
+        clockwise: { type: 'bool', default: true },
+        ...TIMED,
+        ...QUEUE
+      }
+    },
+    SCALAR: {
+      positional: ['actuator', 'level'],
+      params: {
+        actuator: { type: 'enum', values: SCALAR_ACTUATORS, required: true },
+        level: { ...LEVEL, required: true },
+        index: COUNT,
+        ...TIMED,
+        ...QUEUE
+      }
+    },
+    LINEAR: {
+      params: {
+        start: { ...POSITION, required: true },
+        end: { ...POSITION, required: true },
+        duration: { ...DURATION, required: true },
+        ...QUEUE
+      }
+    },
+    PATTERN: {
+      positional: ['pattern', 'interval'],
+      params: {
+        pattern: { type: 'int_list', min: 0, max: 100, required: true },
+        interval: { type: 'int_list', min: 0, default: [1000] },
+        loop: COUNT,
+        motor: MOTOR,
+        ...QUEUE
+      }
+    },
+    WAVEFORM: {
+      positional: ['pattern'],
+      params: {
+        pattern: { ...NAME_PARAM, required: true },
+        min: { ...INTENSITY, default: 20 },
+        max: { ...INTENSITY, default: 80 },
+        duration: { ...DURATION, default: 5000 },
+        cycles: { ...COUNT, default: 3 },
+        motor: MOTOR,
+        ...QUEUE
+      }
+    },
+    DUAL: {
+      positional: ['pattern1', 'pattern2'],
+      params: {
+        pattern1: { ...NAME_PARAM, required: true },
+        pattern2: NAME_PARAM,
+        min: { ...INTENSITY, default: 20 },
+        max: { ...INTENSITY, default: 80 },
+        duration: { ...DURATION, default: 5000 },
+        cycles: { ...COUNT, default: 3 },
+        ...QUEUE
+      }
+    },
+    GRADIENT: {
+      positional: ['start', 'end'],
+      params: {
+        start: { ...INTENSITY, required: true },
+        end: { ...INTENSITY, required: true },
+        duration: { ...DURATION, default: 10000 },
+        hold: { ...DURATION, default: 0 },
+        release: { ...DURATION, default: 0 },
+        ...QUEUE
+      }
+    },
+    RAMP: {
+      positional: ['to', 'over'],
+      params: {
+        to: { ...LEVEL, required: true },
+        over: { ...DURATION, default: 5000 },
+        motor: MOTOR,
+        ...QUEUE
+      }
+    },
+    INTENSITY: {
+      positional: ['intensity'],
+      params: { intensity: { type: 'int', min: 0, max: 400, required: true } }
+    },
+    PRESET: {
+      positional: ['name'],
+      params: { name: { ...NAME_PARAM, required: true }, ...QUEUE }
+    }
+  },
+  media: {
+    LIST: { params: {} },
+    STOP: { params: {} },
+    PAUSE: { params: {} },
+    RESUME: { params: {} },
+    PLAY: {
+      positional: ['file'],
+      params: { file: { type: 'text' } }
+    },
+    INTENSITY: {
+      positional: ['intensity'],
+      params: { intensity: { type: 'int', min: 0, max: 500, required: true } }
+    }
+  },
+  system: {
+    START: { params: {} },
+    CONNECT: { params: {} },
+    DISCONNECT: { params: {} },
+    SCAN: { params: {} }
+  }
+}
+
+// Steps allowed inside a <seq> block: instant device commands plus WAIT.
+// Long-running verbs (patterns, waveforms, play modes) would fight the
+// block's own timing, so they are left out.
+const SEQ_VERBS = {
+  WAIT: {
+    positional: ['duration'],
+    params: { duration: { ...DURATION, required: true } }
+  },
+  STOP: VERBS.device.STOP,
+  VIBRATE: VERBS.device.VIBRATE,
+  OSCILLATE: VERBS.device.OSCILLATE,
+  ROTATE: VERBS.device.ROTATE,
+  SCALAR: VERBS.device.SCALAR,
+  LINEAR: VERBS.device.LINEAR
+}
+
+// Play mode verbs take a single sequence name
+const MODE_VERB = {
+  positional: ['sequence'],
+  params: { sequence: { ...NAME_PARAM, required: true }, ...QUEUE }
+}
+
+// Targets that address something other than a device
+const TARGET_SCOPES = {
+  media: 'media',
+  interface: 'system',
+  intiface: 'system',
+  system: 'system'
+}
+
+// Get the scope a tag target belongs to
+export function getTargetScope(target) {
+  return TARGET_SCOPES[target] || 'device'
+}
+
+// Get the verb names known for a scope (used for prompt/help text)
+export function getVerbNames(scope = 'device') {
+  return Object.keys(VERBS[scope] || {})
+}
+
+// ==========================================
+// TOKENIZER
+// ==========================================
+
+// Token rules, tried in order at each position (sticky regexes)
+const TOKEN_RULES = [
+  ['space', /\s+/y],
+  ['number', /[+-]?\d+(?:\.\d+)?%?(?![\w.])/y],
+  ['word', /[A-Za-z0-9_][\w.\-\/]*/y],
+  ['string', /"([^"]*)"|'([^']*)'/y],
+  ['lbracket', /\[/y],
+  ['rbracket', /\]/y],
+  ['comma', /[,;]/y],
+  ['assign', /[=:]/y]
+]
+
+// Split a tag body into tokens. `offset` is the body's position in the
+// original text so every token carries absolute source offsets.
+export function tokenize(body, offset = 0) {
+  const tokens = []
+  const errors = []
+  let pos = 0
+
+  while (pos < body.length) {
+    let matched = false
+
+    for (const [type, regex] of TOKEN_RULES) {
+      regex.lastIndex = pos
+      const match = regex.exec(body)
+      if (!match) continue
+
+      matched = true
+      if (type !== 'space') {
+        let value = match[0]
+        if (type === 'number') value = parseFloat(value)
+        if (type === 'string') value = match[1] ?? match[2]
+        const token = { type, value, start: offset + pos, end: offset + pos + match[0].length }
+        // Remember an explicit sign so relative levels (+15) differ from absolute ones (15),
+        // and a % so proportional changes (-20%) differ from point changes (-20)
+        if (type === 'number' && /^[+-]/.test(match[0])) token.signed = true
+        if (type === 'number' && match[0].endsWith('%')) token.percent = true
+        tokens.push(token)
+      }
+      pos += match[0].length
+      break
+    }
+
+    if (!matched) {
+      errors.push(parseError(PARSE_ERRORS.SYNTAX, `Unexpected character '${body[pos]}'`, {
+        start: offset + pos,
+        end: offset + pos + 1
+      }))
+      pos++
+    }
+  }
+
+  return { tokens, errors }
+}
+
+// ==========================================
+// GRAMMAR
+// ==========================================
+// body  := VERB [':'] arg ((',' | ' ') arg)*
+// arg   := NAME ('=' | ':') value | NAME value | value
+// value := NUMBER | WORD | STRING | '[' NUMBER (',' NUMBER)* ']'
+
+// Parse a single value starting at tokens[i]; returns { value, next } or { error }
+function parseValue(tokens, i) {
+  const token = tokens[i]
+  if (!token) return { error: 'Missing value' }
+
+  if (token.type === 'number' || token.type === 'word' || token.type === 'string') {
+    return { value: token.value, kind: token.type, signed: token.signed, percent: token.percent, start: token.start, end: token.end, next: i + 1 }
+  }
+
+  if (token.type === 'lbracket') {
+    const items = []
+    let j = i + 1
+    while (j < tokens.length && tokens[j].type !== 'rbracket') {
+      if (tokens[j].type === 'number') {
+        items.push(tokens[j].value)
+      } else if (tokens[j].type !== 'comma') {
+        return { error: `Lists may only contain numbers, found '${tokens[j].value}'`, start: tokens[j].start, end: tokens[j].end }
+      }
+      j++
+    }
+    if (j >= tokens.length) {
+      return { error: 'Unterminated list, expected ]', start: token.start, end: tokens[tokens.length - 1].end }
+    }
+    return { value: items, kind: 'list', start: token.start, end: tokens[j].end, next: j + 1 }
+  }
+
+  return { error: `Unexpected '${token.value}'`, start: token.start, end: token.end }
+}
+
+// Check a raw value against a parameter spec; returns { value } or { error }
+function coerceParam(name, spec, raw) {
+  switch (spec.type) {
+    case 'int': {
+      if (raw.kind !== 'number') {
+        return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be a number, got '${raw.value}'`) }
+      }
+      const value = Math.round(raw.value)
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return { error: parseError(PARSE_ERRORS.OUT_OF_RANGE, `${name}=${value} is outside ${describeRange(spec)}`, { value }) }
+      }
+      return { value }
+    }
+    case 'level': {
+      if (raw.kind !== 'number') {
+        return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be a number, got '${raw.value}'`) }
+      }
+      const value = Math.round(raw.value)
+      if (raw.signed && raw.percent) {
+        // Proportional adjustment: -20% is 20% below the current output, not 20 points
+        if (Math.abs(value) > 100) {
+          return { error: parseError(PARSE_ERRORS.OUT_OF_RANGE, `${name} change ${value > 0 ? '+' : ''}${value}% is outside the allowed range -100% to +100%`, { value }) }
+        }
+        return { value: { percent: value } }
+      }
+      if (raw.signed) {
+        // Relative adjustment, resolved against the device's current output at execution time
+        const span = spec.max - spec.min
+        if (Math.abs(value) > span) {
+          return { error: parseError(PARSE_ERRORS.OUT_OF_RANGE, `${name} change ${value > 0 ? '+' : ''}${value} is outside the allowed range -${span} to +${span}`, { value }) }
+        }
+        return { value: { delta: value } }
+      }
+      if (value < spec.min || value > spec.max) {
+        return { error: parseError(PARSE_ERRORS.OUT_OF_RANGE, `${name}=${value} is outside ${describeRange(spec)}`, { value }) }
+      }
+      return { value }
+    }
+    case 'int_list': {
+      const list = raw.kind === 'list' ? raw.value : (raw.kind === 'number' ? [raw.value] : null)
+      if (!list) {
+        return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be a list of numbers like [20, 60]`) }
+      }
+      if (list.length === 0) {
+        return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must not be empty`) }
+      }
+      const values = list.map(n => Math.round(n))
+      const bad = values.find(n => (spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max))
+      if (bad !== undefined) {
+        return { error: parseError(PARSE_ERRORS.OUT_OF_RANGE, `${name} value ${bad} is outside ${describeRange(spec)}`, { value: bad }) }
+      }
+      return { value: values }
+    }
+    case 'motors': {
+      if (raw.kind === 'word' && String(raw.value).toLowerCase() === 'all') return { value: 'all' }
+      const list = raw.kind === 'list' ? raw.value : (raw.kind === 'number' ? [raw.value] : null)
+      if (!list || list.length === 0) {
+        return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be a motor number, a list like [1, 3], or all`) }
+      }
+      const bad = list.find(n => !Number.isInteger(n) || n < 1)
+      if (bad !== undefined) {
+        return { error: parseError(PARSE_ERRORS.OUT_OF_RANGE, `${name} ${bad} is not a valid motor number (motors start at 1)`, { value: bad }) }
+      }
+      return { value: [...new Set(list)] }
+    }
+    case 'bool': {
+      const text = String(raw.value).toLowerCase()
+      if (['true', 'yes', 'cw', '1'].includes(text)) return { value: true }
+      if (['false', 'no', 'ccw', '0'].includes(text)) return { value: false }
+      return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be true or false, got '${raw.value}'`) }
+    }
+    case 'enum': {
+      const text = String(raw.value).toLowerCase()
+      if (!spec.values.includes(text)) {
+        return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be one of ${spec.values.join(', ')}, got '${raw.value}'`) }
+      }
+      return { value: text }
+    }
+    case 'word':
+      if (raw.kind !== 'word' && raw.kind !== 'string') {
+        return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be a name, got '${raw.value}'`) }
+      }
+      return { value: String(raw.value).toLowerCase() }
+    default:
+      return { value: Array.isArray(raw.value) ? raw.value.join(',') : String(raw.value) }
+  }
+}
+
+function describeRange(spec) {
+  if (spec.max === undefined) return `the allowed range (>= ${spec.min})`
+  return `the allowed range ${spec.min}-${spec.max}`
+}
+
+// Parse the body of one tag (everything after "target:") into an AST node
+function parseTagBody(body, bodyOffset, verbs, modeVerbs) {
+  const { tokens, errors } = tokenize(body, bodyOffset)
+
+  const verbToken = tokens[0]
+  if (!verbToken || verbToken.type !== 'word' || verbToken.start !== bodyOffset) {
+    return { errors: [parseError(PARSE_ERRORS.SYNTAX, 'Expected a command verb', { start: bodyOffset, end: bodyOffset + body.length })] }
+  }
+
+  const verb = verbToken.value.toUpperCase()
+  const mode = modeVerbs?.[verb]
+  const spec = verbs[verb] || (mode ? MODE_VERB : null)
+  if (!spec) {
+    return { errors: [parseError(PARSE_ERRORS.UNKNOWN_VERB, `Unknown command '${verb}'`, { verb, start: verbToken.start, end: verbToken.end })] }
+  }
+
+  let i = 1
+  if (tokens[i]?.type === 'assign') i++
+
+  // Free-text parameters swallow the rest of the body verbatim (filenames etc.)
+  const positional = spec.positional || []
+  if (positional.length === 1 && spec.params[positional[0]].type === 'text' && tokens[i]) {
+    const raw = body.slice(tokens[i].start - bodyOffset).trim()
+    return { node: { verb, mode, args: { [positional[0]]: raw.replace(/^["']|["']$/g, '') } } }
+  }
+  if (errors.length > 0) return { errors: errors.map(error => ({ ...error, verb })) }
+
+  const rawArgs = {}
+  const argErrors = []
+  let positionalIndex = 0
+
+  while (i < tokens.length) {
+    const token = tokens[i]
+    if (token.type === 'comma') { i++; continue }
+
+    // name=value, name:value, or name value (for known parameter names)
+    let name = null
+    if (token.type === 'word') {
+      const lower = token.value.toLowerCase()
+      if (tokens[i + 1]?.type === 'assign') {
+        name = lower
+        i += 2
+      } else if (spec.params[lower] && tokens[i + 1] && ['number', 'lbracket'].includes(tokens[i + 1].type)) {
+        name = lower
+        i += 1
+      }
+    }
+
+    const parsed = parseValue(tokens, i)
+    if (parsed.error) {
+      argErrors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, parsed.error, { verb, param: name, start: parsed.start ?? token.start, end: parsed.end ?? token.end }))
+      break
+    }
+    i = parsed.next
+
+    if (!name) {
+      name = positional[positionalIndex++]
+      if (!name) {
+        argErrors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, `Unexpected value '${parsed.value}' for ${verb}`, { verb, start: parsed.start, end: parsed.end }))
+        continue
+      }
+    }
+
+    if (!spec.params[name]) {
+      argErrors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, `Unknown parameter '${name}' for ${verb}`, { verb, param: name, start: token.start, end: parsed.end }))
+      continue
+    }
+    if (rawArgs[name]) {
+      argErrors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, `Parameter '${name}' given more than once`, { verb, param: name, start: token.start, end: parsed.end }))
+      continue
+    }
+    rawArgs[name] = parsed
+  }
+
+  // Type-check, range-check and apply defaults
+  const args = {}
+  for (const [name, paramSpec] of Object.entries(spec.params)) {
+    const raw = rawArgs[name]
+    if (!raw) {
+      if (paramSpec.required) {
+        argErrors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, `${verb} requires '${name}'`, { verb, param: name, start: verbToken.start, end: bodyOffset + body.length }))
+      } else if (paramSpec.default !== undefined) {
+        args[name] = paramSpec.default
+      }
+      continue
+    }
+    if (paramSpec.requires && !rawArgs[paramSpec.requires]) {
+      argErrors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, `'${name}' only makes sense together with '${paramSpec.requires}'`, { verb, param: name, start: raw.start, end: raw.end }))
+      continue
+    }
+    const result = coerceParam(name, paramSpec, raw)
+    if (result.error) {
+      argErrors.push({ ...result.error, verb, param: name, start: raw.start, end: raw.end })
+    } else {
+      args[name] = result.value
+    }
+  }
+
+  if (argErrors.length > 0) return { errors: argErrors }
+  return { node: { verb, mode, args } }
+}
+
+// ==========================================
+// JSON COMMANDS
+// ==========================================
+// The format used by the bundled lorebook: <device>"VIBRATE": 20</device>,
+// also accepted inside a tag as <device:{"VIBRATE": 50}>. Values are checked
+// against the same ranges as the tag format.
+
+const STROKE = { type: 'int', min: 1 } // duration of a single stroke in ms
+
+// Split a JSON command body into [key, value] entries. Accepts the loose forms
+// models write: a whole object, or bare "KEY": value entries separated by
+// commas, semicolons or newlines, with optional <!-- comments -->.
+// Returns { entries } or { error }.
+function parseJsonEntries(body) {
+  const text = body.replace(/<!--[\s\S]*?-->/g, ' ').trim().replace(/;+$/, '')
+  if (text.startsWith('{')) {
+    try {
+      return { entries: Object.entries(JSON.parse(text)) }
+    } catch (e) {
+      return { error: `Invalid JSON command: ${e.message}` }
+    }
+  }
+
+  const entries = []
+  const keyRegex = /"?([A-Za-z_]+)"?\s*:\s*/y
+  let pos = 0
+  while (pos < text.length) {
+    keyRegex.lastIndex = pos
+    const match = keyRegex.exec(text)
+    if (!match) return { error: `Expected "COMMAND": value, found '${text.slice(pos, pos + 20)}'` }
+
+    const valueStart = keyRegex.lastIndex
+    const valueEnd = findJsonValueEnd(text, valueStart)
+    try {
+      entries.push([match[1], JSON.parse(text.slice(valueStart, valueEnd))])
+    } catch (e) {
+      return { error: `Invalid JSON value for ${match[1]}: ${e.message}` }
+    }
+    pos = valueEnd
+    while (pos < text.length && /[\s,;]/.test(text[pos])) pos++
+  }
+  return { entries }
+}
+
+// Find the end of the JSON value starting at `pos` (brackets are matched,
+// strings respected); bare values end at the next separator
+function findJsonValueEnd(text, pos) {
+  if (text[pos] !== '{' && text[pos] !== '[') {
+    const end = text.slice(pos).search(/[,;\n}]/)
+    return end === -1 ? text.length : pos + end
+  }
+
+  let depth = 0
+  let inString = false
+  for (let i = pos; i < text.length; i++) {
+    const char = text[i]
+    if (inString) {
+      if (char === '\\') i++
+      else if (char === '"') inString = false
+    } else if (char === '"') {
+      inString = true
+    } else if (char === '{' || char === '[') {
+      depth++
+    } else if (char === '}' || char === ']') {
+      depth--
+      if (depth === 0) return i + 1
+    }
+  }
+  return text.length
+}
+
+// Read an integer field of a JSON command; returns { value } or { error }
+function readJsonInt(name, value, spec) {
+  if (value === undefined) {
+    return spec.default !== undefined
+      ? { value: spec.default }
+      : { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} is required`, { param: name }) }
+  }
+  if (typeof value !== 'number') {
+    return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be a number, got ${JSON.stringify(value)}`, { param: name }) }
+  }
+  return coerceParam(name, spec, { kind: 'number', value })
+}
+
+// Read a list of integers (a bare number counts as a one-item list)
+function readJsonIntList(name, value, spec) {
+  const list = Array.isArray(value) ? value : (typeof value === 'number' ? [value] : null)
+  if (!list || list.length === 0 || list.some(n => typeof n !== 'number')) {
+    return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${name} must be a number or a list of numbers`, { param: name }) }
+  }
+  return coerceParam(name, { ...spec, type: 'int_list' }, { kind: 'list', value: list })
+}
+
+// Collect several read results into { values }, or the first { error }
+function readAll(fields) {
+  const values = {}
+  for (const [name, result] of Object.entries(fields)) {
+    if (result.error) return { error: result.error }
+    values[name] = result.value
+  }
+  return { values }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const lowerKeys = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k.toLowerCase(), v]))
+const linearPatternNode = (segments, repeat) => ({ verb: 'LINEAR_PATTERN', args: { segments, repeat } })
+
+// VIBRATE / OSCILLATE: a level, per-motor levels [80, 30] (VIBRATE), or a pattern object
+function jsonLevelCommand(value, verb) {
+  if (typeof value === 'number') {
+    const intensity = readJsonInt('intensity', value, INTENSITY)
+    return intensity.error ? intensity : { nodes: [{ verb, args: { intensity: intensity.value } }] }
+  }
+
+  if (Array.isArray(value) && verb === 'VIBRATE') {
+    const levels = readJsonIntList('intensity', value, INTENSITY)
+    if (levels.error) return levels
+    return { nodes: levels.value.map((intensity, m) => ({ verb, args: { intensity, motor: [m + 1] } })) }
+  }
+
+  if (!isPlainObject(value)) {
+    return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, `${verb} must be a number${verb === 'VIBRATE' ? ', a list of motor levels' : ''} or a pattern object`) }
+  }
+
+  const opts = lowerKeys(value)
+  const steps = Array.isArray(opts.pattern) ? opts.pattern : []
+  // Steps may be [motor1, motor2] pairs for dual-motor devices (VIBRATE only)
+  const dual = verb === 'VIBRATE' && steps.some(Array.isArray)
+  const fields = readAll({
+    motor1: readJsonIntList('pattern', steps.map(step => Array.isArray(step) ? step[0] : step), INTENSITY),
+    motor2: dual ? readJsonIntList('pattern', steps.map(step => Array.isArray(step) ? (step[1] ?? step[0]) : step), INTENSITY) : { value: null },
+    interval: readJsonIntList('interval', opts.interval ?? [1000], DURATION),
+    // Without a loop count the lorebook format repeats until something else takes over
+    loop: opts.loop === undefined ? { value: Infinity } : readJsonInt('loop', opts.loop, COUNT)
+  })
+  if (fields.error) return fields
+
+  const { motor1, motor2, interval, loop } = fields.values
+  return {
+    nodes: [{
+      verb: 'PATTERN',
+      args: { pattern: dual ? { motor1, motor2 } : motor1, interval, loop, actuator: verb.toLowerCase() }
+    }]
+  }
+}
+
+// JSON command converters: value -> { nodes } or { error }
+const JSON_COMMANDS = {
+  VIBRATE: jsonLevelCommand,
+  OSCILLATE: jsonLevelCommand,
+
+  // Strokes back and forth between the two positions until stopped
+  LINEAR(value) {
+    const opts = isPlainObject(value) ? lowerKeys(value) : {}
+    const fields = readAll({
+      start: readJsonInt('start_position', opts.start_position, POSITION),
+      end: readJsonInt('end_position', opts.end_position, POSITION),
+      duration: readJsonInt('duration', opts.duration, STROKE)
+    })
+    if (fields.error) return fields
+    const { start, end, duration } = fields.values
+    return { nodes: [linearPatternNode([{ start, end, durations: [duration], loop: 1 }], true)] }
+  },
+
+  // Strokes whose duration moves from start_duration to end_duration over `steps` strokes, repeating
+  LINEAR_SPEED(value) {
+    const opts = isPlainObject(value) ? lowerKeys(value) : {}
+    const fields = readAll({
+      start: readJsonInt('start_position', opts.start_position, POSITION),
+      end: readJsonInt('end_position', opts.end_position, POSITION),
+      startDuration: readJsonInt('start_duration', opts.start_duration, STROKE),
+      endDuration: readJsonInt('end_duration', opts.end_duration, STROKE),
+      steps: readJsonInt('steps', opts.steps, { type: 'int', min: 2 })
+    })
+    if (fields.error) return fields
+    const { start, end, startDuration, endDuration, steps } = fields.values
+    const durations = Array.from({ length: steps }, (_, i) => Math.round(startDuration + (endDuration - startDuration) * i / (steps - 1)))
+    return { nodes: [linearPatternNode([{ start, end, durations, loop: 1 }], true)] }
+  },
+
+  LINEAR_PATTERN(value) {
+    const opts = isPlainObject(value) ? lowerKeys(value) : {}
+    if (!Array.isArray(opts.segments) || opts.segments.length === 0) {
+      return { error: parseError(PARSE_ERRORS.BAD_PARAMETER, 'LINEAR_PATTERN needs a non-empty segments list', { param: 'segments' }) }
+    }
+
+    const segments = []
+    for (const segment of opts.segments) {
+      const fields = readAll({
+        start: readJsonInt('start', segment?.start, POSITION),
+        end: readJsonInt('end', segment?.end, POSITION),
+        durations: readJsonIntList('durations', segment?.durations, STROKE),
+        loop: readJsonInt('loop', segment?.loop, { ...COUNT, default: 1 })
+      })
+      if (fields.error) return fields
+      segments.push(fields.values)
+    }
+    return { nodes: [linearPatternNode(segments, opts.repeat === true)] }
+  },
+
+  STOP() {
+    return { nodes: [{ verb: 'STOP', args: {} }] }
+  }
+}
+
+// Parse a JSON command body into nodes
+function parseJsonBody(body, bodyOffset) {
+  const { entries, error } = parseJsonEntries(body)
+  if (error) {
+    return { errors: [parseError(PARSE_ERRORS.SYNTAX, error, { start: bodyOffset, end: bodyOffset + body.length })] }
+  }
+  return jsonToNodes(entries, bodyOffset, bodyOffset + body.length)
+}
+
+// Convert JSON commands (an object, or a list of [key, value] entries) into AST nodes
+export function jsonToNodes(json, start, end) {
+  const nodes = []
+  const errors = []
+  const entries = Array.isArray(json) ? json : Object.entries(json || {})
+
+  for (const [rawKey, value] of entries) {
+    const key = rawKey.toUpperCase()
+    const convert = JSON_COMMANDS[key]
+    if (!convert) {
+      errors.push(parseError(PARSE_ERRORS.UNKNOWN_VERB, `Unknown JSON command '${key}'`, { verb: key, start, end }))
+      continue
+    }
+
+    const result = convert(value, key)
+    if (result.error) {
+      errors.push({ ...result.error, verb: key, start, end })
+    } else {
+      nodes.push(...result.nodes)
+    }
+  }
+
+  return { nodes: nodes.map(node => ({ ...node, format: 'json' })), errors }
+}
+
+// Tag scanner: <target:body>. A target is a name/alias/group/channel letter or a
+// #slot, or a comma-separated list of them (<plug,cage:...>).
+const TARGET = '(?:#\\d+|[a-z][\\w-]*)'
+const TARGET_LIST = `${TARGET}(?:\\s*,\\s*${TARGET})*`
+const TAG_REGEX = new RegExp(`<(${TARGET_LIST}):([^>]+)>`, 'gi')
+
+// Script blocks: <seq>VIBRATE 30; WAIT 2000; STOP</seq>, optionally <seq:target>
+const SEQ_REGEX = new RegExp(`<seq(?::(${TARGET_LIST}))?>([\\s\\S]*?)</seq>`, 'gi')
+
+// JSON blocks from the bundled lorebook: <device>"VIBRATE": 20</device>
+const DEVICE_BLOCK_REGEX = /<device>([\s\S]*?)<\/device>/gi
+
+// Openers of either block type, to spot blocks still waiting for their close tag
+const BLOCK_OPEN_REGEX = new RegExp(`<(seq)(?::${TARGET_LIST})?>|<(device)>`, 'gi')
+
+// Parse the steps of a <seq> block (separated by ';' or newlines).
+// Returns { steps, errors }; each step is { verb, args, start, end, source }.
+function parseSeqSteps(body, bodyOffset) {
+  const steps = []
+  const errors = []
+  const stepRegex = /[^;\n]+/g
+  let match
+
+  while ((match = stepRegex.exec(body)) !== null) {
+    const text = match[0].trim()
+    if (!text) continue
+    const start = bodyOffset + match.index + (match[0].length - match[0].trimStart().length)
+    const end = start + text.length
+
+    const result = parseTagBody(text, start, SEQ_VERBS, null)
+    for (const error of result.errors || []) {
+      const message = error.code === PARSE_ERRORS.UNKNOWN_VERB && VERBS.device[error.verb]
+        ? `${error.verb} can't be used inside <seq>; use single steps with WAIT between them`
+        : error.message
+      errors.push({ ...error, message, source: text })
+    }
+    if (result.node?.args.queue) {
+      errors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, "queue= can't be used inside <seq>; the block's own timing decides when steps run", { verb: result.node.verb, param: 'queue', start, end, source: text }))
+    } else if (result.node) {
+      steps.push({ ...result.node, start, end, source: text })
+    }
+  }
+
+  return { steps, errors }
+}
+
+// Find the first <seq>/<device> opener at or after `from` that has no closing
+// tag yet (-1 if none). Openers where isExcluded(index) is true are ignored.
+function findUnclosedBlock(text, from = 0, isExcluded = () => false) {
+  const lower = text.toLowerCase()
+  BLOCK_OPEN_REGEX.lastIndex = from
+  let match
+  while ((match = BLOCK_OPEN_REGEX.exec(text)) !== null) {
+    if (isExcluded(match.index)) continue
+    const closeTag = `</${(match[1] || match[2]).toLowerCase()}>`
+    const close = lower.indexOf(closeTag, BLOCK_OPEN_REGEX.lastIndex)
+    if (close === -1) return match.index
+    BLOCK_OPEN_REGEX.lastIndex = close + closeTag.length
+  }
+  return -1
+}
+
+// ==========================================
+// EXCLUSION REGIONS
+// ==========================================
+// Parts of a message where tags are examples or thoughts, not commands. An
+// unclosed region runs to the end of the text, so a streamed <think> or code
+// fence suppresses tags before its closing marker has arrived.
+
+const EXCLUSION_RULES = {
+  reasoning: { reason: 'inside a reasoning block', regex: /<(think|thinking|reasoning)>[\s\S]*?(?:<\/\1>|$)/gi },
+  code: { reason: 'inside a code block', regex: /(?:^|\n)[ \t]*(`{3,}|~{3,})[\s\S]*?(?:\n[ \t]*\1[ \t]*(?=\n|$)|$)|`[^`\n]*(?:`|$)/g },
+  quote: { reason: 'inside a blockquote', regex: /^[ \t]*>.*$/gm },
+  comment: { reason: 'inside an HTML comment', regex: /<!--[\s\S]*?(?:-->|$)/g }
+}
+
+// Region kinds that can be excluded (all of them by default)
+export const EXCLUSION_REGIONS = Object.keys(EXCLUSION_RULES)
+
+// Find the excluded regions of `text` as [{ kind, reason, start, end }],
+// with offsets shifted by `offset`
+export function findExclusionRegions(text, kinds = EXCLUSION_REGIONS, offset = 0) {
+  const regions = []
+  for (const kind of kinds) {
+    const rule = EXCLUSION_RULES[kind]
+    if (!rule) continue
+    rule.regex.lastIndex = 0
+    let match
+    while ((match = rule.regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        rule.regex.lastIndex++
+        continue
+      }
+      regions.push({ kind, reason: rule.reason, start: offset + match.index, end: offset + match.index + match[0].length })
+    }
+  }
+  return regions
+}
+
+// Parse every device tag in `text`.
+// options.modeVerbs maps extra verbs (play modes) to their mode id.
+// options.offset is added to all source offsets (for parsing a slice of a message).
+// options.exclude lists the region kinds to skip (default: all of EXCLUSION_REGIONS);
+// options.regions passes precomputed regions with absolute offsets instead.
+// Returns { nodes, errors, skipped }; skipped lists nodes inside excluded
+// regions as { verb, target, start, end, source, region, reason }. Each node is
+//   { target, targets, scope, verb, mode?, args, format, start, end, source }
+// (<seq> blocks are one node with verb 'SEQ' and args.steps; <device> JSON
+// blocks give format 'json' nodes targeting 'device')
+// and each error is { code, message, verb?, param?, start, end, source }.
+export function parseCommandTags(text, options = {}) {
+  const nodes = []
+  const errors = []
+  if (!text) return { nodes, errors, skipped: [] }
+
+  const offset = options.offset || 0
+  const regions = options.regions || findExclusionRegions(text, options.exclude, offset)
+  const regionAt = (position) => regions.find(region => position >= region.start && position < region.end)
+  const blocks = [] // [start, end) spans of <seq> blocks, relative to text
+  let match
+
+  // <seq> blocks become a single SEQ node; tags inside them are steps, not commands
+  SEQ_REGEX.lastIndex = 0
+  while ((match = SEQ_REGEX.exec(text)) !== null) {
+    const target = (match[1] || 'any').toLowerCase().replace(/\s+/g, '')
+    const start = offset + match.index
+    const end = start + match[0].length
+    const source = match[0]
+    const bodyOffset = start + match[0].indexOf('>') + 1
+    blocks.push([match.index, match.index + match[0].length])
+
+    if (getTargetScope(target) !== 'device') {
+      errors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, '<seq> blocks can only target devices', { verb: 'SEQ', target, start, end, source }))
+      continue
+    }
+    const { steps, errors: stepErrors } = parseSeqSteps(match[2], bodyOffset)
+    if (steps.length === 0 && stepErrors.length === 0) {
+      stepErrors.push(parseError(PARSE_ERRORS.SYNTAX, 'Empty <seq> block', { start, end, source }))
+    }
+    // A block with a broken step is rejected whole - half a program is worse than none
+    if (stepErrors.length > 0) {
+      errors.push(...stepErrors.map(error => ({ ...error, target })))
+      continue
+    }
+    nodes.push({ format: 'seq', verb: 'SEQ', args: { steps }, target, targets: target.split(','), scope: 'device', start, end, source })
+  }
+
+  // <device> JSON blocks take the same path as JSON inside a tag
+  DEVICE_BLOCK_REGEX.lastIndex = 0
+  while ((match = DEVICE_BLOCK_REGEX.exec(text)) !== null) {
+    const start = offset + match.index
+    const end = start + match[0].length
+    const source = match[0]
+    const body = match[1].trim()
+    const bodyOffset = start + '<device>'.length + (match[1].length - match[1].trimStart().length)
+    blocks.push([match.index, match.index + match[0].length])
+
+    const result = parseJsonBody(body, bodyOffset)
+    for (const error of result.errors || []) {
+      errors.push({ ...error, target: 'device', source })
+    }
+    for (const node of result.nodes || []) {
+      nodes.push({ ...node, target: 'device', targets: ['device'], scope: 'device', start, end, source })
+    }
+  }
+
+  const unclosed = findUnclosedBlock(text, 0, index => regionAt(offset + index))
+  if (unclosed !== -1) {
+    const opener = text.slice(unclosed, text.indexOf('>', unclosed) + 1)
+    const closeTag = opener.toLowerCase().startsWith('<seq') ? '</seq>' : '</device>'
+    errors.push(parseError(PARSE_ERRORS.SYNTAX, `Unclosed ${opener} block, expected ${closeTag}`, { start: offset + unclosed, end: offset + unclosed + opener.length, source: opener }))
+    blocks.push([unclosed, unclosed + opener.length])
+  }
+  const inBlock = (index) => blocks.some(([blockStart, blockEnd]) => index >= blockStart && index < blockEnd)
+
+  TAG_REGEX.lastIndex = 0
+  while ((match = TAG_REGEX.exec(text)) !== null) {
+    if (inBlock(match.index)) continue
+    const target = match[1].toLowerCase().replace(/\s+/g, '')
+    const rawBody = match[2]
+    const body = rawBody.trim()
+    const start = offset + match.index
+    const end = start + match[0].length
+    const bodyOffset = start + match[1].length + 2 + (rawBody.length - rawBody.trimStart().length)
+    const source = match[0]
+
+    // Only tags whose body looks like a command are ours (skips <https://...> etc.)
+    if (!/^[A-Za-z{"]/.test(body)) continue
+
+    const scope = getTargetScope(target)
+    const result = /^[{"]/.test(body)
+      ? parseJsonBody(body, bodyOffset)
+      : parseTagBody(body, bodyOffset, VERBS[scope], scope === 'device' ? options.modeVerbs : null)
+
+    for (const error of result.errors || []) {
+      errors.push({ ...error, target, source })
+    }
+    for (const node of result.nodes || (result.node ? [result.node] : [])) {
+      nodes.push({ format: 'tag', ...node, target, targets: target.split(','), scope, start, end, source })
+    }
+  }
+
+  // Blocks were scanned first; restore message order
+  nodes.sort((a, b) => a.start - b.start)
+
+  // Tags in excluded regions are reported as skipped, never run or flagged as errors
+  const skipped = []
+  const kept = nodes.filter(node => {
+    const region = regionAt(node.start)
+    if (region) {
+      skipped.push({ verb: node.verb, target: node.target, start: node.start, end: node.end, source: node.source, region: region.kind, reason: region.reason })
+    }
+    return !region
+  })
+  return { nodes: kept, errors: errors.filter(error => !regionAt(error.start)), skipped }
+}
+
+// Format a parse error for logs / prompt feedback
+export function formatParseError(error) {
+  const where = error.source ? ` in ${error.source}` : ''
+  return `[${error.code}] ${error.message}${where}`
+}
+
+// ==========================================
+// STREAMING
+// ==========================================
+
+// Incremental parser for streamed messages. Tokens are buffered so a tag split
+// across several tokens is parsed exactly once, when its closing '>' arrives.
+// Nodes carry their offset in the message, so the same command written twice
+// is two separate events.
+export function createStreamParser(options = {}) {
+  let text = ''
+  let scanned = 0 // Everything before this offset has already been parsed
+
+  return {
+    get text() {
+      return text
+    },
+
+    // Append a streamed chunk; returns { nodes, errors, skipped } for tags completed by it
+    push(chunk) {
+      text += chunk
+      // Exclusion regions depend on the whole message (a <think> may have opened chunks ago)
+      const regions = findExclusionRegions(text, options.exclude)
+      const isExcluded = (index) => regions.some(region => index >= region.start && index < region.end)
+
+      // Hold back at an unclosed <seq>/<device> block until its closing tag arrives
+      const openBlock = findUnclosedBlock(text, scanned, isExcluded)
+      const lastClose = text.lastIndexOf('>', openBlock === -1 ? text.length : openBlock)
+      if (lastClose < scanned) return { nodes: [], errors: [], skipped: [] }
+
+      // Any tag ending at or before the last '>' is complete
+      const result = parseCommandTags(text.slice(scanned, lastClose + 1), { ...options, offset: scanned, regions })
+      scanned = lastClose + 1
+      return result
+    },
+
+    reset() {
+      text = ''
+      scanned = 0
+    }
+  }
+}
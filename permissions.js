@@ -0,0 +1,369 @@
+/**
+ * AI Permissions Module
+ * Permission profiles stored on a SillyTavern character or chat. A profile
+ * lists the verbs, devices and play modes the AI may use and an intensity
+ * ceiling. A chat profile overrides the character's; with neither, the AI
+ * may use everything. Stopping is always allowed.
+ */
+
+// Key the profile is stored under in character extensions and chat metadata
+const PROFILE_KEY = 'intiface_permissions'
+
+// Verbs a profile can allow, grouped for the editor. STOP (and stopping or
+// pausing media) is never restricted.
+export const PERMISSION_VERBS = {
+  Outputs: ['VIBRATE', 'OSCILLATE', 'ROTATE', 'SCALAR', 'LINEAR'],
+  Patterns: ['PATTERN', 'WAVEFORM', 'DUAL', 'GRADIENT', 'RAMP', 'PRESET', 'SEQ'],
+  Global: ['INTENSITY', 'MEDIA'],
+  Intiface: ['START', 'CONNECT', 'DISCONNECT', 'SCAN']
+}
+
+// Command type -> verb it needs (null = always allowed)
+const TYPE_VERBS = {
+  vibrate: 'VIBRATE',
+  oscillate: 'OSCILLATE',
+  rotate: 'ROTATE',
+  scalar: 'SCALAR',
+  linear: 'LINEAR',
+  linear_pattern: 'LINEAR',
+  vibrate_pattern: 'PATTERN',
+  oscillate_pattern: 'PATTERN',
+  waveform: 'WAVEFORM',
+  dual_waveform: 'DUAL',
+  gradient: 'GRADIENT',
+  ramp: 'RAMP',
+  preset: 'PRESET',
+  sequence: 'SEQ',
+  set_intensity: 'INTENSITY',
+  interface_start: 'START',
+  interface_connect: 'CONNECT',
+  interface_disconnect: 'DISCONNECT',
+  interface_scan: 'SCAN',
+  stop: null,
+  device_stop: null,
+  media_stop: null,
+  media_pause: null
+}
+
+// Commands that drive devices at levels only known during playback (funscripts).
+// Under an intensity ceiling they are rejected, since nothing can be checked.
+const UNRATED_TYPES = ['media_play', 'media_resume']
+
+let editorScope = 'character' // Which profile the settings editor shows
+
+// External dependencies (will be injected via initPermissionsModule)
+let deps = {
+  NAME: 'intiface-connect',
+  getContext: () => ({}),
+  getDevices: () => [],
+  getModes: () => ({}),
+  getModeVerbs: () => ({}),
+  getCommandPeakLevel: () => undefined,
+  updatePrompt: () => {}
+}
+
+/**
+ * Initialize the permissions module with required dependencies
+ * @param {Object} dependencies - Object containing all required dependencies
+ */
+export function initPermissionsModule(dependencies) {
+  deps = { ...deps, ...dependencies }
+  console.log(`${deps.NAME}: Permissions module initialized`)
+}
+
+/**
+ * A profile that allows everything, the starting point for a new one
+ * @returns {Object} { verbs, devices, modes, maxIntensity }
+ */
+function createProfile() {
+  return {
+    verbs: Object.values(PERMISSION_VERBS).flat(),
+    devices: [], // Device names; empty = every device
+    modes: Object.keys(deps.getModes()),
+    maxIntensity: 100
+  }
+}
+
+/**
+ * The open solo character, if any (group chats have no single character)
+ * @returns {Object|null} SillyTavern character
+ */
+function getCurrentCharacter() {
+  const context = deps.getContext()
+  if (context.groupId || context.characterId === undefined) return null
+  return context.characters?.[context.characterId] || null
+}
+
+/**
+ * Get the profile stored on the current character or chat
+ * @param {string} scope - 'character' or 'chat'
+ * @returns {Object|null}
+ */
+function getProfile(scope) {
+  if (scope === 'chat') return deps.getContext().chatMetadata?.[PROFILE_KEY] || null
+  return getCurrentCharacter()?.data?.extensions?.[PROFILE_KEY] || null
+}
+
+/**
+ * Store (or with null, remove) the profile of the current character or chat
+ * @param {string} scope - 'character' or 'chat'
+ * @param {Object|null} profile
+ */
+async function saveProfile(scope, profile) {
+  const context = deps.getContext()
+  try {
+    if (scope === 'chat') {
+      if (!context.chatMetadata) return
+      if (profile) context.chatMetadata[PROFILE_KEY] = profile
+      else delete context.chatMetadata[PROFILE_KEY]
+      await context.saveMetadata()
+    } else {
+      if (!getCurrentCharacter()) return
+      await context.writeExtensionField(context.characterId, PROFILE_KEY, profile)
+    }
+    console.log(`${deps.NAME}: Saved ${scope} permission profile`)
+  } catch (e) {
+    console.error(`${deps.NAME}: Failed to save ${scope} permission profile:`, e)
+  }
+  deps.updatePrompt()
+}
+
+/**
+ * The profile that applies now: the chat's, else the character's
+ * @returns {Object|null} null when the AI may use everything
+ */
+export function getActivePermissions() {
+  return getProfile('chat') || getProfile('character')
+}
+
+/**
+ * Whether the active profile allows a verb
+ * @param {string|null} verb - From PERMISSION_VERBS; null is always allowed
+ * @returns {boolean}
+ */
+export function isVerbAllowed(verb) {
+  const profile = getActivePermissions()
+  return !profile || verb === null || profile.verbs.includes(verb)
+}
+
+/**
+ * Whether the active profile allows a play mode
+ * @param {string} modeId - Mode folder name
+ * @returns {boolean}
+ */
+export function isModeAllowed(modeId) {
+  const profile = getActivePermissions()
+  return !profile || profile.modes.includes(modeId)
+}
+
+/**
+ * Whether the active profile allows a device
+ * @param {Object} device - Buttplug device
+ * @returns {boolean}
+ */
+export function isDeviceAllowed(device) {
+  const profile = getActivePermissions()
+  return !profile || profile.devices.length === 0 || profile.devices.includes(device?.name)
+}
+
+/**
+ * Check an AI command against the active profile
+ * @param {Object} cmd - Command from buildCommand
+ * @returns {string|null} Why it isn't allowed, or null if it is
+ */
+export function checkCommandPermission(cmd) {
+  const profile = getActivePermissions()
+  if (!profile) return null
+
+  if (cmd.modeName) {
+    if (!profile.modes.includes(cmd.type)) return `play mode ${cmd.type} is not allowed`
+  } else {
+    const verb = cmd.type.startsWith('media_') && !(cmd.type in TYPE_VERBS) ? 'MEDIA' : TYPE_VERBS[cmd.type]
+    if (verb === undefined) return `${cmd.type} is not allowed`
+    if (!isVerbAllowed(verb)) return `${verb} is not allowed`
+  }
+
+  // Steps inside a <seq> block need their own verbs too
+  for (const step of cmd.type === 'sequence' ? cmd.program : []) {
+    const verb = TYPE_VERBS[step.command.type]
+    if (!isVerbAllowed(verb)) return `${verb} is not allowed (in <seq>)`
+  }
+
+  const devices = deps.getDevices()
+  for (const deviceIndex of cmd.deviceIndices || (cmd.deviceIndex !== undefined ? [cmd.deviceIndex] : [])) {
+    const device = devices[deviceIndex]
+    if (device && !isDeviceAllowed(device)) return `${device.name} is not allowed`
+  }
+
+  const peak = ['set_intensity', 'media_intensity'].includes(cmd.type) ? cmd.intensity : deps.getCommandPeakLevel(cmd)
+  if (peak !== undefined && peak > profile.maxIntensity) {
+    return `${Math.round(peak)}% is above the ${profile.maxIntensity}% ceiling`
+  }
+  if (peak === undefined && profile.maxIntensity < 100 && UNRATED_TYPES.includes(cmd.type)) {
+    return `media levels can't be checked against the ${profile.maxIntensity}% ceiling`
+  }
+  return null
+}
+
+/**
+ * Whether a prompt line only shows commands the active profile allows
+ * @param {string} line - Prompt line, e.g. "- <any:VIBRATE: 30> - ..."
+ * @returns {boolean}
+ */
+function isLineAllowed(line) {
+  const modeVerbs = deps.getModeVerbs()
+  for (const [tag, target, verb] of line.matchAll(/<(?!seq\b)([^<>:\s/]+):\s*([A-Z_]+)?|<seq\b/g)) {
+    if (tag === '<seq') {
+      if (!isVerbAllowed('SEQ')) return false
+    } else if (target === 'media') {
+      if (!['STOP', 'PAUSE'].includes(verb) && !isVerbAllowed('MEDIA')) return false
+    } else if (modeVerbs[verb]) {
+      if (!isModeAllowed(modeVerbs[verb])) return false
+    } else if (verb && verb !== 'STOP' && !isVerbAllowed(verb)) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Drop prompt lines that show disallowed commands, then any heading left
+ * without lines under it and the blank lines around removed sections
+ * @param {string} text - Part of the prompt with command examples
+ * @returns {string}
+ */
+export function filterAllowedCommands(text) {
+  if (!getActivePermissions()) return text
+
+  const kept = []
+  const lines = text.split('\n').filter(isLineAllowed)
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim()
+    const isHeading = line.endsWith(':') && !/^[-✓✗]/.test(line)
+    if (isHeading && !kept[0]?.trim()) continue
+    // Collapse the blank lines left where sections were removed
+    if (!line && kept.length > 0 && !kept[0].trim()) continue
+    kept.unshift(lines[i])
+  }
+  return kept.join('\n')
+}
+
+/**
+ * Extra prompt rules describing the active profile's limits
+ * @returns {string} Empty when there is no profile
+ */
+export function formatPermissionsNote() {
+  const profile = getActivePermissions()
+  if (!profile) return ''
+
+  const rules = ['Only the commands shown above are allowed for you here - anything else is rejected.']
+  if (profile.devices.length > 0) rules.push(`You may only control: ${profile.devices.join(', ')}.`)
+  if (profile.maxIntensity < 100) rules.push(`Keep every level at or below ${profile.maxIntensity}%.`)
+  if (profile.maxIntensity < 100 && isVerbAllowed('MEDIA')) rules.push('Do not play or resume media files - their levels can\'t be checked against that ceiling.')
+  return `\n=== PERMISSIONS ===\n${rules.join('\n')}\n`
+}
+
+/**
+ * Render the profile editor for the selected scope
+ */
+export function renderPermissionsEditor() {
+  const character = getCurrentCharacter()
+  const chatProfile = getProfile('chat')
+  const characterProfile = getProfile('character')
+
+  let status = 'No profile - the AI may use every command'
+  if (chatProfile) status = 'Using this chat\'s profile'
+  else if (characterProfile) status = `Using ${character?.name || 'the character'}'s profile`
+  $('#intiface-permissions-status').text(status)
+
+  const available = editorScope === 'chat' ? !!deps.getContext().chatMetadata : !!character
+  $('#intiface-permissions-scope').val(editorScope)
+  $('#intiface-permissions-enabled').prop('disabled', !available)
+  $('#intiface-permissions-scope-label').text(editorScope === 'chat' ? 'this chat' : (character ? character.name : 'this character (open a solo chat)'))
+
+  const profile = getProfile(editorScope)
+  $('#intiface-permissions-enabled').prop('checked', !!profile)
+  const editor = $('#intiface-permissions-editor').toggle(!!profile)
+  if (!profile) return
+
+  const verbs = editor.find('#intiface-permissions-verbs').empty()
+  for (const [group, groupVerbs] of Object.entries(PERMISSION_VERBS)) {
+    const row = $('<div style="display: flex; flex-wrap: wrap; gap: 2px 10px; margin-bottom: 3px;"></div>')
+    row.append($('<span style="width: 60px; color: #888;"></span>').text(group))
+    for (const verb of groupVerbs) {
+      const label = $('<label style="display: flex; align-items: center; cursor: pointer;"><input type="checkbox" class="intiface-permission-verb" style="margin-right: 3px;"><span></span></label>')
+      label.find('input').attr('data-verb', verb).prop('checked', profile.verbs.includes(verb))
+      label.find('span').text(verb)
+      row.append(label)
+    }
+    verbs.append(row)
+  }
+
+  // Saved device names stay listed while their device is disconnected
+  const deviceNames = [...new Set([...deps.getDevices().map(dev => dev.name), ...profile.devices])]
+  const deviceList = editor.find('#intiface-permissions-devices').empty()
+  if (deviceNames.length === 0) deviceList.append('<span style="color: #666;">Connect devices to restrict them</span>')
+  for (const name of deviceNames) {
+    const label = $('<label style="display: flex; align-items: center; cursor: pointer;"><input type="checkbox" class="intiface-permission-device" style="margin-right: 3px;"><span></span></label>')
+    label.find('input').attr('data-device-name', name).prop('checked', profile.devices.includes(name))
+    label.find('span').text(name)
+    deviceList.append(label)
+  }
+
+  const modeList = editor.find('#intiface-permissions-modes').empty()
+  for (const [modeId, mode] of Object.entries(deps.getModes())) {
+    const label = $('<label style="display: flex; align-items: center; cursor: pointer;"><input type="checkbox" class="intiface-permission-mode" style="margin-right: 3px;"><span></span></label>')
+    label.find('input').attr('data-mode', modeId).prop('checked', profile.modes.includes(modeId))
+    label.find('span').text(mode?.name || modeId)
+    modeList.append(label)
+  }
+
+  editor.find('#intiface-permissions-max-intensity').val(profile.maxIntensity)
+}
+
+/**
+ * Save the editor's checkboxes and ceiling into the selected profile
+ */
+function saveEditorProfile() {
+  const profile = {
+    verbs: $('.intiface-permission-verb:checked').map((i, el) => $(el).data('verb')).get(),
+    devices: $('.intiface-permission-device:checked').map((i, el) => String($(el).data('device-name'))).get(),
+    modes: $('.intiface-permission-mode:checked').map((i, el) => $(el).data('mode')).get(),
+    maxIntensity: Math.max(0, Math.min(100, parseInt($('#intiface-permissions-max-intensity').val()) || 0))
+  }
+  $('#intiface-permissions-max-intensity').val(profile.maxIntensity)
+  saveProfile(editorScope, profile).then(renderPermissionsEditor)
+}
+
+/**
+ * Setup permission editor event handlers
+ */
+export function setupPermissionsEventHandlers() {
+  $('#intiface-permissions-toggle').on('click', function() {
+    const content = $('#intiface-permissions-content')
+    const arrow = $('#intiface-permissions-arrow')
+
+    if (content.is(':visible')) {
+      content.slideUp(200)
+      arrow.removeClass('expanded')
+    } else {
+      renderPermissionsEditor()
+      content.slideDown(200)
+      arrow.addClass('expanded')
+    }
+  })
+
+  $('#intiface-permissions-scope').on('change', function() {
+    editorScope = $(this).val() === 'chat' ? 'chat' : 'character'
+    renderPermissionsEditor()
+  })
+
+  $('#intiface-permissions-enabled').on('change', function() {
+    saveProfile(editorScope, $(this).is(':checked') ? createProfile() : null).then(renderPermissionsEditor)
+  })
+
+  $(document).on('change', '.intiface-permission-verb, .intiface-permission-device, .intiface-permission-mode', saveEditorProfile)
+  $('#intiface-permissions-max-intensity').on('change', saveEditorProfile)
+
+  renderPermissionsEditor()
+}
@@ -5,6 +5,8 @@
 * All modes are discovered from the play_modes folder structure
 */
 
+import { compilePatternSpec, isPatternSpec } from './_pattern_spec.js';
+
 const PlayModeLoader = {
   // Registry of loaded modes (key = folder name)
   modes: {},
@@ -21,6 +23,18 @@ const PlayModeLoader = {
   // Base path for loading mode files
   basePath: '/scripts/extensions/third-party/Extension-Intiface/play_modes',
 
+  // Custom pattern sandbox: code runs in a worker and is sampled over one cycle
+  patternJobs: [], // Queued { code, resolve, reject }; the first one is running
+  patternJobId: 0,
+  patternSamples: 1000, // Samples per cycle
+  patternTimeoutMs: 2000, // A pattern that takes longer to sample is stopped
+
+  // Why custom patterns failed to load: modeId -> { patternName: message }
+  patternErrors: {},
+
+  // Modes that came from the Mode Builder (reloaded on refresh)
+  customModeIds: new Set(),
+
   /**
   * Initialize the loader
   * Discovers modes from filesystem, loads basic first, then others
@@ -46,7 +60,7 @@ const PlayModeLoader = {
     }
 
     // Load custom user-created modes from localStorage
-    this.loadCustomModes();
+    await this.loadCustomModes();
 
     console.log(`[PlayModeLoader] Loaded:`);
     console.log(` - Modes: ${Object.keys(this.modes).length}`);
@@ -165,11 +179,37 @@ const PlayModeLoader = {
     }
   },
 
+  /**
+  * Mark the custom modes saved before pattern code needed trust as trusted,
+  * once. Their code already ran before, so only imports should ask.
+  */
+  migrateCodeTrust() {
+    try {
+      if (localStorage.getItem('intiface-custom-modes-trust-migrated') === 'true') return;
+      const saved = localStorage.getItem('intiface-custom-modes');
+      if (saved) {
+        const customModes = JSON.parse(saved);
+        for (const modeData of Object.values(customModes)) {
+          if (modeData && typeof modeData === 'object' && modeData.codeTrusted === undefined) {
+            modeData.codeTrusted = true;
+          }
+        }
+        localStorage.setItem('intiface-custom-modes', JSON.stringify(customModes));
+      }
+      localStorage.setItem('intiface-custom-modes-trust-migrated', 'true');
+    } catch (e) {
+      console.error('[PlayModeLoader] Failed to migrate custom mode trust:', e);
+    }
+  },
+
   /**
   * Load custom user-created modes from localStorage
-  * These are modes created via the Mode Builder UI
+  * These are modes created via the Mode Builder UI. Patterns are either
+  * declarative specs (see _pattern_spec.js) or code; code only runs if the
+  * mode is marked codeTrusted, and then only in the sandbox worker.
   */
-  loadCustomModes() {
+  async loadCustomModes() {
+    this.migrateCodeTrust();
     try {
       const saved = localStorage.getItem('intiface-custom-modes');
       if (!saved) return;
@@ -179,26 +219,41 @@ const PlayModeLoader = {
 
       for (const [modeId, modeData] of Object.entries(customModes)) {
         // Skip if a built-in mode with same ID exists
-        if (this.modes[modeId]) {
+        if (this.modes[modeId] && !this.customModeIds.has(modeId)) {
           console.warn(`[PlayModeLoader] Custom mode '${modeId}' conflicts with built-in mode, skipping`);
           continue;
         }
 
         // Register the custom mode
         this.modes[modeId] = modeData;
+        this.customModeIds.add(modeId);
 
-        // Register custom patterns
+        // Register custom patterns (code is sampled in the sandbox worker)
+        delete this.patterns[modeId];
+        this.patternErrors[modeId] = {};
         if (modeData.patterns && Object.keys(modeData.patterns).length > 0) {
           this.patterns[modeId] = {};
-          for (const [patternName, patternCode] of Object.entries(modeData.patterns)) {
+          let skippedCode = 0;
+          for (const [patternName, pattern] of Object.entries(modeData.patterns)) {
+            if (!isPatternSpec(pattern) && modeData.codeTrusted !== true) {
+              skippedCode++;
+              continue;
+            }
             try {
-              // Create function from code string
-              const patternFunc = new Function('phase', 'intensity', patternCode);
-              this.patterns[modeId][patternName] = patternFunc;
+              if (isPatternSpec(pattern)) {
+                this.patterns[modeId][patternName] = this.compilePatternSpec(pattern);
+              } else {
+                const values = await this.samplePattern(pattern);
+                this.patterns[modeId][patternName] = this.createSampledPattern(values);
+              }
             } catch (e) {
-              console.warn(`[PlayModeLoader] Failed to compile pattern '${patternName}':`, e);
+              this.patternErrors[modeId][patternName] = e.message;
+              console.warn(`[PlayModeLoader] Failed to load pattern '${patternName}': ${e.message}`);
             }
           }
+          if (skippedCode > 0) {
+            console.warn(`[PlayModeLoader] Custom mode '${modeId}' has ${skippedCode} untrusted code pattern(s), skipped`);
+          }
         }
 
         // Register custom sequences
@@ -225,6 +280,120 @@ const PlayModeLoader = {
     }
   },
 
+  /**
+  * Compile a declarative pattern spec. Its waves can be any built-in pattern;
+  * custom modes' patterns are left out so specs can't refer to each other.
+  * @param {Object|number} spec - Pattern spec (see _pattern_spec.js)
+  * @returns {Function} (phase, intensity) => value
+  * @throws {Error} If the spec is invalid
+  */
+  compilePatternSpec(spec) {
+    return compilePatternSpec(spec, (name) => {
+      for (const [modeId, modePatterns] of Object.entries(this.patterns)) {
+        if (!this.customModeIds.has(modeId) && typeof modePatterns[name] === 'function') {
+          return modePatterns[name];
+        }
+      }
+      return null;
+    });
+  },
+
+  /**
+  * Run pattern code in the sandbox worker and sample one cycle of it
+  * @param {string} code - Function body taking (phase, intensity)
+  * @returns {Promise<number[]>} patternSamples values, each 0-1
+  */
+  samplePattern(code) {
+    return new Promise((resolve, reject) => {
+      this.patternJobs.push({ code, resolve, reject });
+      if (this.patternJobs.length === 1) this.runNextPatternJob();
+    });
+  },
+
+  /**
+  * Send the next queued pattern to a worker of its own, stopped once it
+  * answers or times out (e.g. an endless loop). Pattern code can post
+  * messages itself, so a shared worker would let one pattern answer for
+  * another, and what comes back is checked again here.
+  */
+  runNextPatternJob() {
+    const job = this.patternJobs[0];
+    if (!job) return;
+
+    const id = ++this.patternJobId;
+    let worker = null;
+    let timeoutId = null;
+    let done = false;
+    const finish = (error, values) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timeoutId);
+      if (worker) {
+        worker.onmessage = worker.onerror = null;
+        worker.terminate();
+      }
+      this.patternJobs.shift();
+      if (error) job.reject(error);
+      else job.resolve(values);
+      this.runNextPatternJob();
+    };
+
+    try {
+      worker = this.createPatternWorker();
+    } catch (e) {
+      finish(new Error(`sandbox unavailable (${e.message})`));
+      return;
+    }
+
+    timeoutId = setTimeout(() => {
+      finish(new Error(`timed out after ${this.patternTimeoutMs}ms`));
+    }, this.patternTimeoutMs);
+
+    worker.onmessage = (e) => {
+      if (e.data?.id !== id) return;
+      if (e.data.type !== 'result') {
+        finish(new Error(String(e.data.message || 'sandbox error')));
+        return;
+      }
+      const values = e.data.values;
+      if (!Array.isArray(values) || values.length !== this.patternSamples ||
+        !values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        finish(new Error(`sandbox returned invalid samples (expected ${this.patternSamples} numbers)`));
+        return;
+      }
+      finish(null, values.map(value => Math.max(0, Math.min(1, value))));
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finish(new Error(e.message || 'sandbox error'));
+    };
+    worker.postMessage({ command: 'sample', data: { id, code: job.code, samples: this.patternSamples } });
+  },
+
+  /**
+  * Start a sandbox worker for one pattern
+  * @returns {Worker}
+  */
+  createPatternWorker() {
+    return new Worker(new URL('./_pattern_worker.js', import.meta.url));
+  },
+
+  /**
+  * Build a pattern function from sampled values. Samples are taken at
+  * intensity 1 and scaled, like the built-in patterns.
+  * @param {number[]} values - One cycle of samples, each 0-1
+  * @returns {Function} (phase, intensity) => value
+  */
+  createSampledPattern(values) {
+    const count = values.length;
+    return (phase, intensity = 1) => {
+      const position = (((phase % 1) + 1) % 1) * count;
+      const index = Math.floor(position);
+      const next = values[Math.min(index + 1, count - 1)];
+      return (values[index] + (next - values[index]) * (position - index)) * intensity;
+    };
+  },
+
   /**
   * Load a script dynamically
   * @param {string} url - Script URL
@@ -531,9 +700,9 @@ const PlayModeLoader = {
   * Refresh modes - reload custom modes and regenerate UI
   * Call this after adding/editing custom modes
   */
-  refresh() {
+  async refresh() {
     // Reload custom modes
-    this.loadCustomModes();
+    await this.loadCustomModes();
 
     console.log(`[PlayModeLoader] Refreshed: ${Object.keys(this.modes).length} total modes`);
 
@@ -0,0 +1,310 @@
+/**
+* Declarative Pattern Specs
+* Compiles JSON pattern definitions into the same (phase, intensity) functions
+* as the built-in patterns.js files, without running any user code.
+*
+* A pattern is a node. A node is a number (a constant level, 0-1) or an object
+* with exactly one of these keys:
+*   keyframes: [{ at, value, ease }]  Levels at points in the cycle (at and
+*                                     value 0-1). ease shapes the run up to
+*                                     that keyframe: linear (default), step,
+*                                     easeIn, easeOut, easeInOut
+*   wave: "sine"                      A built-in pattern, by name
+*   noise: 8                          Random levels per cycle, with seed
+*                                     (default 1) and smooth (default true);
+*                                     the same seed always plays the same
+*   add / multiply / max / min: [nodes]
+*   mix: [nodes]                      Weighted average, with weights
+*   envelope: { attack, decay, sustain, release }
+*                                     Shape over the cycle (fractions of it,
+*                                     sustain is a level), applied to of
+*   repeat: 3                         Plays of that many times per cycle
+*   segments: [{ length, of }]        Plays each of in turn, each over its
+*                                     share of the cycle (length default 1)
+* Any object node may also take shift (phase offset, 0-1), range ([min, max]
+* to rescale its output) and invert (true to flip it).
+*/
+
+// Keeps a shared spec from being expensive to compile or evaluate
+const MAX_DEPTH = 12;
+const MAX_NODES = 256;
+const MAX_NOISE_POINTS = 256;
+const MAX_REPEAT = 64;
+
+const EASINGS = {
+  linear: t => t,
+  step: t => (t < 1 ? 0 : 1),
+  easeIn: t => t * t,
+  easeOut: t => 1 - (1 - t) * (1 - t),
+  easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t))
+};
+
+const COMBINERS = {
+  add: values => values.reduce((a, b) => a + b, 0),
+  multiply: values => values.reduce((a, b) => a * b, 1),
+  max: values => Math.max(...values),
+  min: values => Math.min(...values)
+};
+
+const NODE_KEYS = ['keyframes', 'wave', 'noise', 'add', 'multiply', 'max', 'min', 'mix', 'envelope', 'repeat', 'segments'];
+const MODIFIER_KEYS = ['shift', 'range', 'invert'];
+const OPTION_KEYS = {
+  noise: ['seed', 'smooth'],
+  mix: ['weights'],
+  envelope: ['of'],
+  repeat: ['of']
+};
+
+const clamp01 = value => Math.max(0, Math.min(1, value));
+const wrap = phase => ((phase % 1) + 1) % 1;
+
+/**
+* Compile a pattern spec
+* @param {*} spec - Pattern node (see above)
+* @param {Function} getWave - name => built-in (phase, intensity) function, or null
+* @returns {Function} (phase, intensity) => value
+* @throws {Error} If the spec is invalid, naming where
+*/
+export function compilePatternSpec(spec, getWave) {
+  const context = { getWave, nodes: 0 };
+  const node = compileNode(spec, 'pattern', 0, context);
+  return (phase, intensity = 1) => clamp01(node(wrap(phase))) * intensity;
+}
+
+/**
+* Whether a stored pattern is a declarative spec rather than code
+* @param {*} pattern - Stored pattern
+* @returns {boolean}
+*/
+export function isPatternSpec(pattern) {
+  return typeof pattern === 'number' || (typeof pattern === 'object' && pattern !== null && !Array.isArray(pattern));
+}
+
+function compileNode(spec, path, depth, context) {
+  if (depth > MAX_DEPTH) throw new Error(`${path}: nested deeper than ${MAX_DEPTH} levels`);
+  if (++context.nodes > MAX_NODES) throw new Error(`${path}: more than ${MAX_NODES} nodes`);
+
+  if (typeof spec === 'number') {
+    const value = checkNumber(spec, path, 0, 1);
+    return () => value;
+  }
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+    throw new Error(`${path}: expected a number or an object`);
+  }
+
+  const kinds = NODE_KEYS.filter(key => key in spec);
+  if (kinds.length !== 1) {
+    throw new Error(`${path}: needs exactly one of ${NODE_KEYS.join(', ')}${kinds.length ? ` (found ${kinds.join(', ')})` : ''}`);
+  }
+  const kind = kinds[0];
+  const allowed = [kind, ...MODIFIER_KEYS, ...(OPTION_KEYS[kind] || [])];
+  const unknown = Object.keys(spec).find(key => !allowed.includes(key));
+  if (unknown) throw new Error(`${path}: unknown key '${unknown}' for ${kind}`);
+
+  const node = compileKind(kind, spec, `${path}.${kind}`, depth, context);
+  return applyModifiers(node, spec, path);
+}
+
+function compileKind(kind, spec, path, depth, context) {
+  const value = spec[kind];
+
+  switch (kind) {
+    case 'keyframes':
+      return compileKeyframes(value, path);
+
+    case 'wave': {
+      const wave = typeof value === 'string' && context.getWave ? context.getWave(value) : null;
+      if (!wave) throw new Error(`${path}: unknown built-in pattern '${value}'`);
+      return phase => clamp01(wave(phase, 1));
+    }
+
+    case 'noise':
+      return compileNoise(value, spec, path);
+
+    case 'add':
+    case 'multiply':
+    case 'max':
+    case 'min': {
+      const children = compileList(value, path, depth, context);
+      const combine = COMBINERS[kind];
+      return phase => combine(children.map(child => child(phase)));
+    }
+
+    case 'mix': {
+      const children = compileList(value, path, depth, context);
+      const weights = spec.weights === undefined ? children.map(() => 1) : spec.weights;
+      if (!Array.isArray(weights) || weights.length !== children.length) {
+        throw new Error(`${path.replace(/\.mix$/, '')}.weights: needs one weight per pattern`);
+      }
+      weights.forEach((weight, i) => checkNumber(weight, `${path.replace(/\.mix$/, '')}.weights[${i}]`, 0, Infinity));
+      const total = weights.reduce((a, b) => a + b, 0);
+      if (total === 0) throw new Error(`${path.replace(/\.mix$/, '')}.weights: can't all be 0`);
+      return phase => children.reduce((sum, child, i) => sum + child(phase) * weights[i], 0) / total;
+    }
+
+    case 'envelope': {
+      const shape = compileEnvelope(value, path);
+      const inner = compileChild(spec.of, path, depth, context);
+      return phase => shape(phase) * inner(phase);
+    }
+
+    case 'repeat': {
+      const count = checkNumber(value, path, 1, MAX_REPEAT);
+      if (!Number.isInteger(count)) throw new Error(`${path}: must be a whole number`);
+      const inner = compileChild(spec.of, path, depth, context);
+      return phase => inner(wrap(phase * count));
+    }
+
+    case 'segments':
+      return compileSegments(value, path, depth, context);
+  }
+}
+
+function compileKeyframes(frames, path) {
+  if (!Array.isArray(frames) || frames.length === 0) throw new Error(`${path}: needs at least one keyframe`);
+
+  const keyframes = frames.map((frame, i) => {
+    const framePath = `${path}[${i}]`;
+    if (typeof frame !== 'object' || frame === null) throw new Error(`${framePath}: expected { at, value }`);
+    const ease = frame.ease ?? 'linear';
+    if (!EASINGS[ease]) throw new Error(`${framePath}.ease: must be one of ${Object.keys(EASINGS).join(', ')}`);
+    return {
+      at: checkNumber(frame.at, `${framePath}.at`, 0, 1),
+      value: checkNumber(frame.value, `${framePath}.value`, 0, 1),
+      ease: EASINGS[ease]
+    };
+  });
+  for (let i = 1; i < keyframes.length; i++) {
+    if (keyframes[i].at < keyframes[i - 1].at) throw new Error(`${path}[${i}].at: keyframes must be in order`);
+  }
+
+  return phase => {
+    const next = keyframes.findIndex(frame => frame.at > phase);
+    if (next === 0) return keyframes[0].value;
+    if (next === -1) return keyframes[keyframes.length - 1].value;
+
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    const t = to.ease((phase - from.at) / (to.at - from.at));
+    return from.value + (to.value - from.value) * t;
+  };
+}
+
+function compileNoise(count, spec, path) {
+  checkNumber(count, path, 1, MAX_NOISE_POINTS);
+  if (!Number.isInteger(count)) throw new Error(`${path}: must be a whole number`);
+  const base = path.replace(/\.noise$/, '');
+  const seed = spec.seed === undefined ? 1 : checkNumber(spec.seed, `${base}.seed`, -Infinity, Infinity);
+  const smooth = spec.smooth ?? true;
+  if (typeof smooth !== 'boolean') throw new Error(`${base}.smooth: must be true or false`);
+
+  // mulberry32: small, fast and the same on every browser
+  let state = Math.floor(seed) >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const points = Array.from({ length: count }, random);
+
+  return phase => {
+    const position = phase * count;
+    const index = Math.floor(position) % count;
+    if (!smooth) return points[index];
+    // Cosine interpolation, wrapping to the first point so the cycle loops cleanly
+    const t = (1 - Math.cos((position - Math.floor(position)) * Math.PI)) / 2;
+    return points[index] + (points[(index + 1) % count] - points[index]) * t;
+  };
+}
+
+function compileEnvelope(envelope, path) {
+  if (typeof envelope !== 'object' || envelope === null || Array.isArray(envelope)) {
+    throw new Error(`${path}: expected { attack, decay, sustain, release }`);
+  }
+  const attack = envelope.attack === undefined ? 0 : checkNumber(envelope.attack, `${path}.attack`, 0, 1);
+  const decay = envelope.decay === undefined ? 0 : checkNumber(envelope.decay, `${path}.decay`, 0, 1);
+  const sustain = envelope.sustain === undefined ? 1 : checkNumber(envelope.sustain, `${path}.sustain`, 0, 1);
+  const release = envelope.release === undefined ? 0 : checkNumber(envelope.release, `${path}.release`, 0, 1);
+  if (attack + decay + release > 1) throw new Error(`${path}: attack, decay and release add up to more than the cycle`);
+
+  return phase => {
+    if (phase < attack) return phase / attack;
+    if (phase < attack + decay) return 1 - (1 - sustain) * (phase - attack) / decay;
+    if (phase < 1 - release) return sustain;
+    return release > 0 ? sustain * (1 - phase) / release : sustain;
+  };
+}
+
+function compileSegments(segments, path, depth, context) {
+  if (!Array.isArray(segments) || segments.length === 0) throw new Error(`${path}: needs at least one segment`);
+
+  let total = 0;
+  const parts = segments.map((segment, i) => {
+    const segmentPath = `${path}[${i}]`;
+    if (typeof segment !== 'object' || segment === null || !('of' in segment)) {
+      throw new Error(`${segmentPath}: expected { length, of }`);
+    }
+    const length = segment.length === undefined ? 1 : checkNumber(segment.length, `${segmentPath}.length`, 0, Infinity);
+    total += length;
+    return { length, node: compileNode(segment.of, `${segmentPath}.of`, depth + 1, context) };
+  });
+  if (total === 0) throw new Error(`${path}: segment lengths can't all be 0`);
+
+  let start = 0;
+  const ranges = parts.filter(part => part.length > 0).map(part => {
+    const range = { start: start / total, end: (start + part.length) / total, node: part.node };
+    start += part.length;
+    return range;
+  });
+
+  return phase => {
+    const range = ranges.find(r => phase < r.end) || ranges[ranges.length - 1];
+    return range.node(Math.min(1, (phase - range.start) / (range.end - range.start)));
+  };
+}
+
+function compileList(list, path, depth, context) {
+  if (!Array.isArray(list) || list.length === 0) throw new Error(`${path}: needs a list of patterns`);
+  return list.map((child, i) => compileNode(child, `${path}[${i}]`, depth + 1, context));
+}
+
+function compileChild(child, path, depth, context) {
+  const base = path.replace(/\.\w+$/, '');
+  return child === undefined ? () => 1 : compileNode(child, `${base}.of`, depth + 1, context);
+}
+
+function applyModifiers(node, spec, path) {
+  let result = node;
+
+  if (spec.shift !== undefined) {
+    const shift = checkNumber(spec.shift, `${path}.shift`, -1, 1);
+    const inner = result;
+    result = phase => inner(wrap(phase + shift));
+  }
+  if (spec.invert !== undefined) {
+    if (typeof spec.invert !== 'boolean') throw new Error(`${path}.invert: must be true or false`);
+    if (spec.invert) {
+      const inner = result;
+      result = phase => 1 - clamp01(inner(phase));
+    }
+  }
+  if (spec.range !== undefined) {
+    if (!Array.isArray(spec.range) || spec.range.length !== 2) throw new Error(`${path}.range: expected [min, max]`);
+    const min = checkNumber(spec.range[0], `${path}.range[0]`, 0, 1);
+    const max = checkNumber(spec.range[1], `${path}.range[1]`, 0, 1);
+    const inner = result;
+    result = phase => min + clamp01(inner(phase)) * (max - min);
+  }
+
+  return result;
+}
+
+function checkNumber(value, path, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${path}: expected a number`);
+  if (value < min || value > max) {
+    throw new Error(`${path}: must be ${max === Infinity ? `at least ${min}` : `between ${min} and ${max}`}`);
+  }
+  return value;
+}
@@ -0,0 +1,47 @@
+/**
+* Pattern Sandbox Worker
+* Evaluates custom mode pattern code away from the page: no DOM, and no
+* network or storage APIs. Each pattern is compiled here and sampled over one
+* cycle; the page only ever receives the sampled numbers.
+*/
+
+// Longest a single pattern call may take
+const CALL_BUDGET_MS = 5;
+
+// Remove what pattern code has no business using
+for (const name of ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker']) {
+  try {
+    Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+  } catch (e) {
+    // Not present in this browser
+  }
+}
+
+self.onmessage = function(e) {
+  const { command, data } = e.data;
+  if (command !== 'sample') return;
+
+  const { id, code, samples } = data;
+  try {
+    const pattern = new Function('phase', 'intensity', `"use strict";\n${code}`);
+    const values = [];
+
+    for (let i = 0; i < samples; i++) {
+      const start = performance.now();
+      const value = pattern(i / samples, 1);
+      const elapsed = performance.now() - start;
+
+      if (elapsed > CALL_BUDGET_MS) {
+        throw new Error(`took ${elapsed.toFixed(1)}ms at phase ${(i / samples).toFixed(3)} (limit ${CALL_BUDGET_MS}ms)`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`returned ${value === null ? 'null' : typeof value === 'number' ? value : typeof value} at phase ${(i / samples).toFixed(3)} (expected a number)`);
+      }
+      values.push(Math.max(0, Math.min(1, value)));
+    }
+
+    self.postMessage({ type: 'result', id, values });
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: err?.message || String(err) });
+  }
+};
@@ -43,35 +43,38 @@ const PatternLibrary = {
     all: []
   },
 
-  // Device type detection - now uses generic capability-based detection
-  // All devices are treated as generic vibration devices with capabilities
-  // The system dynamically detects capabilities from device attributes
+  // Device types and their defaults come from device profiles (profiles.js)
   devices: {
-    // All patterns work with all devices
-    typePatterns: {
-      general: [] // All devices use generic patterns
-    },
-    // Default intensities - simplified, user adjustable
-    defaultIntensities: {
-      default: 100
-    },
+    getType: (dev) => d('getDeviceType')(dev),
+    getDefaultIntensity: (dev) => d('getDeviceDefaultIntensity')(dev),
     // Simplified shorthand - extracts first word or identifier
     getShorthand: (devName) => devName.split(' ')[0].toLowerCase()
   },
 
-  // Presets are now loaded dynamically from play_modes folders via PlayModeLoader
-  // No hardcoded presets - all patterns come from modular play mode system
-
-  // Presets are now loaded dynamically from PlayModeLoader - no hardcoded presets
-  // All patterns from play_modes folders are compatible with all devices
+  // Presets (for PRESET) are the patterns of enabled play modes whose
+  // compatibleDevices suit the device type
   getCompatiblePresets(deviceType) {
-    // Return empty object - presets are now handled by PlayModeLoader
-    return {}
+    const PlayModeLoader = d('PlayModeLoader')
+    const isTypeCompatible = d('isTypeCompatible')
+    const presets = {}
+    for (const [modeId, { mode, patterns }] of Object.entries(PlayModeLoader?.getPatternsForUI() || {})) {
+      if (!isTypeCompatible(mode?.compatibleDevices, deviceType)) continue
+      for (const name of Object.keys(patterns)) {
+        if (!presets[name]) presets[name] = { modeId }
+      }
+    }
+    return presets
   },
 
-  // All patterns are compatible with all devices in the modular system
+  // Whether a pattern's play mode suits the device type
   isCompatible(patternName, deviceType) {
-    return true // All patterns compatible with all devices
+    const PlayModeLoader = d('PlayModeLoader')
+    for (const [modeId, patterns] of Object.entries(PlayModeLoader?.getAllPatterns() || {})) {
+      if (patterns[patternName]) {
+        return d('isTypeCompatible')(PlayModeLoader.getMode(modeId)?.compatibleDevices, deviceType)
+      }
+    }
+    return true
   }
 }
 
@@ -86,6 +89,29 @@ export function getMotorCount(device) {
   return device.vibrateAttributes.length || 1
 }
 
+// Get a device's ScalarCmd actuators, optionally only one ActuatorType ('Constrict', 'Inflate', ...)
+export function getScalarActuators(device, actuatorType = null) {
+  const scalars = device?.messageAttributes?.ScalarCmd || []
+  return actuatorType ? scalars.filter(attr => attr.ActuatorType === actuatorType) : scalars
+}
+
+// Check if a device can rotate (RotateCmd, or a Rotate ScalarCmd actuator)
+export function canRotate(device) {
+  return (device?.rotateAttributes?.length || 0) > 0 || getScalarActuators(device, 'Rotate').length > 0
+}
+
+// Get the 0-based motors a vibrate command targets, or null for all motors.
+// cmd.motors is a list from motor=; cmd.motorIndex > 0 is a single motor step.
+export function getCommandMotors(cmd, motorCount) {
+  if (Array.isArray(cmd.motors)) {
+    return cmd.motors.filter(m => m < motorCount)
+  }
+  if (cmd.motorIndex > 0) {
+    return cmd.motorIndex < motorCount ? [cmd.motorIndex] : []
+  }
+  return null
+}
+
 // Apply max vibrate (clamped to 0-100)
 export function applyMaxVibrate(value, motorIndex = 0) {
   return Math.min(value, 100)
@@ -158,8 +184,8 @@ export async function executeWaveformPattern(deviceIndex, presetName, options =
   const applyInversion = d('applyInversion')
   // executePattern is hoisted, call directly
 
-  // Determine device type using PatternLibrary configuration
-  const deviceType = getDeviceType(targetDevice)
+  // Determine device type from its device profile
+  const deviceType = d('getDeviceType')(targetDevice)
 
   // Get preset from PlayModeLoader if available, otherwise use fallback
   let preset = null
@@ -204,9 +230,10 @@ export async function executeWaveformPattern(deviceIndex, presetName, options =
     const motorCount = getMotorCount(targetDevice)
     let patternData
 
-    if (motorCount >= 2) {
+    if (motorCount >= 2 && !config.motors) {
       // Generate dual motor pattern with phase offset
       const dualValues = generateDualMotorWaveform(config.pattern, steps, config.min, config.max)
+      const levels = { ...dualValues }
       // Apply global intensity scaling
       dualValues.motor1 = applyIntensityScale(dualValues.motor1)
       dualValues.motor2 = applyIntensityScale(dualValues.motor2)
@@ -215,6 +242,7 @@ export async function executeWaveformPattern(deviceIndex, presetName, options =
       dualValues.motor2 = dualValues.motor2.map(v => applyInversion(v))
       patternData = {
         pattern: dualValues,
+        levels,
         intervals: intervals,
         loop: config.cycles || 1,
         fromTimeline: config.fromTimeline || false
@@ -229,23 +257,17 @@ export async function executeWaveformPattern(deviceIndex, presetName, options =
       const invertedValues = scaledValues.map(v => applyInversion(v))
       patternData = {
         pattern: invertedValues,
+        levels: values,
         intervals: intervals,
         loop: config.cycles || 1,
+        motors: config.motors,
         fromTimeline: config.fromTimeline || false
       }
       updateStatus(`${deviceName}: ${presetName} pattern (${config.pattern}) [${globalIntensityScale}%]`)
     }
 
-    const patternResult = await executePattern(patternData, 'vibrate', deviceIndex)
-    // Store pattern result for proper cleanup
-    // patternResult is a Promise with a .stop() method attached
-    if (patternResult && typeof patternResult.stop === 'function') {
-      activePatterns.set(deviceIndex, {
-        mode: 'pattern',
-        modeName: `waveform_${presetName}`,
-        stop: patternResult.stop
-      })
-    }
+    // Tracked while it plays so it can be stopped part-way
+    await runTrackedPattern(deviceIndex, `waveform_${presetName}`, executePattern(patternData, 'vibrate', deviceIndex))
   } else if (config.type === 'gradient') {
     await executeGradientPattern(deviceIndex, config)
     updateStatus(`${deviceName}: ${presetName} gradient`)
@@ -258,7 +280,9 @@ export async function executeWaveformPattern(deviceIndex, presetName, options =
   }
 }
 
-// Execute gradient pattern (smooth intensity transition)
+// Execute gradient pattern (smooth intensity transition).
+// config.together ramps every motor (or config.motors) in step instead of the
+// mirrored dual-motor gradient; used by RAMP.
 export async function executeGradientPattern(deviceIndex, config) {
   const devices = d('devices') || (typeof window !== 'undefined' && window.devices) || []
   const targetDevice = devices[deviceIndex] || devices[0]
@@ -301,6 +325,13 @@ export async function executeGradientPattern(deviceIndex, config) {
     }
   }
 
+  // Finish exactly on the target when nothing follows the ramp
+  if (hold <= 0 && release <= 0) {
+    motor1Values.push(end)
+    motor2Values.push(end)
+    intervals.push(50)
+  }
+
   const motorCount = getMotorCount(targetDevice)
   const applyIntensityScale = d('applyIntensityScale')
   const applyInversion = d('applyInversion')
@@ -315,25 +346,18 @@ export async function executeGradientPattern(deviceIndex, config) {
   const invertedMotor2Values = scaledMotor2Values.map(v => applyInversion(v))
 
   let patternData
-  if (motorCount >= 2) {
+  if (motorCount >= 2 && !config.together) {
     patternData = {
       pattern: { motor1: invertedMotor1Values, motor2: invertedMotor2Values },
+      levels: { motor1: motor1Values, motor2: motor2Values },
       intervals
     }
   } else {
-    patternData = { pattern: invertedMotor1Values, intervals }
+    patternData = { pattern: invertedMotor1Values, levels: motor1Values, intervals, motors: config.motors }
   }
 
-  const patternResult = await executePattern(patternData, 'vibrate', deviceIndex)
-  // Store pattern result for proper cleanup
-  if (patternResult && typeof patternResult === 'function') {
-    activePatterns.set(deviceIndex, {
-      mode: 'pattern',
-      modeName: 'gradient',
-      stop: patternResult
-    })
-  }
-  return patternResult
+  // Tracked while it plays so it can be stopped part-way
+  await runTrackedPattern(deviceIndex, 'gradient', executePattern(patternData, 'vibrate', deviceIndex))
 }
 
 // Execute linear waveform (position-based)
@@ -373,6 +397,7 @@ export async function executeLinearWaveform(deviceIndex, config) {
 
     try {
       await targetDevice.linear(position / 100, 100)
+      logLinearStroke(deviceIndex, applyInversion(position), 100)
     } catch (e) {
       console.error(`${d('NAME')}: Linear waveform step failed:`, e)
     }
@@ -403,6 +428,86 @@ export async function executeLinearWaveform(deviceIndex, config) {
   })
 }
 
+// Execute a segmented stroke pattern (LINEAR_PATTERN from <device> blocks).
+// Each segment strokes between start and end, one stroke per duration, `loop`
+// times through its durations; repeat restarts from the first segment.
+export async function executeLinearPattern(deviceIndex, config) {
+  const devices = d('devices') || (typeof window !== 'undefined' && window.devices) || []
+  const client = d('client')
+  const { segments, repeat = false } = config
+
+  const targetDevice = devices[deviceIndex] || devices[0]
+  if (!targetDevice || !segments?.length) return
+
+  const applyInversion = d('applyInversion')
+  const setWorkerTimeout = d('setWorkerTimeout')
+  const clearWorkerTimeout = d('clearWorkerTimeout')
+  const updateStatus = d('updateStatus')
+  const deviceName = getDeviceDisplayName(targetDevice)
+
+  let segmentIndex = 0
+  let loopIndex = 0
+  let durationIndex = 0
+  let isAtStart = true
+  let stepTimeoutId = null
+  let isRunning = true
+
+  // Advance to the next stroke; null once every segment has finished
+  const nextStroke = () => {
+    while (segmentIndex < segments.length) {
+      const segment = segments[segmentIndex]
+      if (loopIndex < segment.loop) {
+        const duration = segment.durations[durationIndex]
+        durationIndex++
+        if (durationIndex >= segment.durations.length) {
+          durationIndex = 0
+          loopIndex++
+        }
+        return { segment, duration }
+      }
+      segmentIndex++
+      loopIndex = 0
+      durationIndex = 0
+      if (segmentIndex >= segments.length && repeat) segmentIndex = 0
+    }
+    return null
+  }
+
+  const executeStroke = async () => {
+    stepTimeoutId = null
+    const stroke = isRunning && client.connected ? nextStroke() : null
+    if (!stroke) {
+      isRunning = false
+      activePatterns.delete(deviceIndex)
+      return
+    }
+
+    const targetPos = isAtStart ? stroke.segment.end : stroke.segment.start
+    try {
+      await targetDevice.linear(applyInversion(targetPos) / 100, stroke.duration)
+      logLinearStroke(deviceIndex, targetPos, stroke.duration)
+    } catch (e) {
+      console.error(`${d('NAME')}: Linear pattern stroke failed:`, e)
+    }
+    isAtStart = !isAtStart
+
+    if (isRunning) stepTimeoutId = setWorkerTimeout(executeStroke, stroke.duration)
+  }
+
+  activePatterns.set(deviceIndex, {
+    mode: 'linear_pattern',
+    modeName: 'linear_pattern',
+    stop: () => {
+      isRunning = false
+      if (stepTimeoutId) clearWorkerTimeout(stepTimeoutId)
+      stepTimeoutId = null
+    }
+  })
+  updateStatus(`${deviceName}: linear pattern (${segments.length} segment${segments.length === 1 ? '' : 's'}${repeat ? ', repeating' : ''})`)
+  logPatternEvent(deviceIndex, 'linear_pattern started')
+  executeStroke()
+}
+
 // Execute linear gradient
 export async function executeLinearGradient(deviceIndex, config) {
   const devices = d('devices') || (typeof window !== 'undefined' && window.devices) || []
@@ -435,6 +540,7 @@ export async function executeLinearGradient(deviceIndex, config) {
     const position = Math.round(invertedStartPos + (invertedEndPos - invertedStartPos) * progress)
     try {
       await targetDevice.linear(position / 100, 50)
+      logLinearStroke(deviceIndex, applyInversion(position), 50)
     } catch (e) {
       console.error(`${d('NAME')}: Linear gradient step failed:`, e)
     }
@@ -531,6 +637,7 @@ export async function executeTeaseAndDenialMode(deviceIndex, modeName) {
       if (motorCount >= 2) {
         // Use dual motor patterns with phase offset
         const dualValues = generateDualMotorWaveform(pattern, steps, min, max)
+        const levels = { ...dualValues }
         // Apply global intensity with mode-specific scaling
         dualValues.motor1 = applyIntensityScale(dualValues.motor1, modeName)
         dualValues.motor2 = applyIntensityScale(dualValues.motor2, modeName)
@@ -539,6 +646,7 @@ export async function executeTeaseAndDenialMode(deviceIndex, modeName) {
         dualValues.motor2 = dualValues.motor2.map(v => applyInversion(v))
         patternData = {
           pattern: dualValues,
+          levels,
           intervals: Array(steps).fill(100),
           loop: 1
         }
@@ -551,6 +659,7 @@ export async function executeTeaseAndDenialMode(deviceIndex, modeName) {
         const invertedValues = scaledValues.map(v => applyInversion(v))
         patternData = {
           pattern: invertedValues,
+          levels: values,
           intervals: Array(steps).fill(100),
           loop: 1
         }
@@ -596,13 +705,12 @@ export async function executeTeaseAndDenialMode(deviceIndex, modeName) {
     }
   })
 
+  logPatternEvent(deviceIndex, `mode ${modeName} started`)
   executeSequenceStep()
 }
 
-// Stop pattern for specific device
-export async function stopDevicePattern(deviceIndex) {
-  const buttplug = d('buttplug')
-  const devices = d('devices') || (typeof window !== 'undefined' && window.devices) || []
+// Cancel the pattern running on a device without touching its outputs
+export function cancelDevicePattern(deviceIndex) {
   const clearWorkerTimeout = d('clearWorkerTimeout')
 
   if (activePatterns.has(deviceIndex)) {
@@ -614,7 +722,41 @@ export async function stopDevicePattern(deviceIndex) {
       active.stop()
     }
     activePatterns.delete(deviceIndex)
+    logPatternEvent(deviceIndex, `${active.modeName} stopped`)
+  }
+}
+
+// Run an executePattern() result as the device's active pattern, replacing the
+// one already running there. Resolves when the pattern ends.
+export async function runTrackedPattern(deviceIndex, modeName, patternResult, mode = 'pattern') {
+  cancelDevicePattern(deviceIndex)
+  const entry = { mode, modeName, stop: patternResult.stop }
+  activePatterns.set(deviceIndex, entry)
+  logPatternEvent(deviceIndex, `${modeName} started`)
+  await patternResult
+  if (activePatterns.get(deviceIndex) === entry) {
+    activePatterns.delete(deviceIndex)
+    logPatternEvent(deviceIndex, `${modeName} finished`)
   }
+}
+
+// Record pattern activity in the session log
+function logPatternEvent(deviceIndex, summary) {
+  d('logEvent')?.('pattern', 'internal', { deviceIndex, summary })
+}
+
+// Record a stroke sent straight to a device (not through executeCommand) as the
+// linear command that reproduces it; position is before inversion
+function logLinearStroke(deviceIndex, position, duration) {
+  d('logEvent')?.('command', 'internal', { deviceIndex, command: { type: 'linear', startPos: position, endPos: position, duration } })
+}
+
+// Stop pattern for specific device
+export async function stopDevicePattern(deviceIndex) {
+  const buttplug = d('buttplug')
+  const devices = d('devices') || (typeof window !== 'undefined' && window.devices) || []
+
+  cancelDevicePattern(deviceIndex)
 
   // Stop the device
   const targetDevice = devices[deviceIndex]
@@ -640,8 +782,9 @@ export async function stopDevicePattern(deviceIndex) {
   }
 }
 
-// Execute pattern commands with intervals
-export async function executePattern(cmd, actionType, deviceIndex = 0) {
+// Execute pattern commands with intervals.
+// Returns a promise that resolves when the pattern ends, with .stop() attached.
+export function executePattern(cmd, actionType, deviceIndex = 0) {
   const pattern = cmd.pattern || [50]
   const intervals = cmd.intervals || [1000]
   const loopCount = cmd.loop || 1
@@ -655,6 +798,10 @@ export async function executePattern(cmd, actionType, deviceIndex = 0) {
   const isDualMotor = pattern && typeof pattern === 'object' && pattern.motor1 && pattern.motor2
   const motor1Pattern = isDualMotor ? pattern.motor1 : pattern
   const motor2Pattern = isDualMotor ? pattern.motor2 : null
+  // cmd.levels (same shape as cmd.pattern) are the values before scaling and
+  // inversion, tracked as the outputs' levels for relative commands
+  const motor1Levels = isDualMotor ? cmd.levels?.motor1 : cmd.levels
+  const motor2Levels = isDualMotor ? cmd.levels?.motor2 : null
 
   // Get device motor count
   const targetDevice = devices[deviceIndex] || devices[0]
@@ -682,14 +829,18 @@ export async function executePattern(cmd, actionType, deviceIndex = 0) {
     }
 
     const intensity = motor1Pattern[patternIndex % motor1Pattern.length]
+    const trackedLevel = motor1Levels?.[patternIndex % motor1Levels.length]
     const interval = intervals[patternIndex % intervals.length]
 
     // Check isRunning again before sending commands (might have changed during await)
     if (!isRunning) return
 
-    if (actionType === 'vibrate') {
+    if (actionType === 'vibrate' && cmd.motors) {
+      // Pattern targeted at specific motors (motor=)
+      await executeCommand({ type: 'vibrate', intensity, trackedLevel, motors: cmd.motors, deviceIndex })
+    } else if (actionType === 'vibrate') {
       // Always send to motor 1
-      await executeCommand({ type: 'vibrate', intensity, motorIndex: 0, deviceIndex })
+      await executeCommand({ type: 'vibrate', intensity, trackedLevel, motorIndex: 0, deviceIndex })
 
       // Check isRunning after first motor command
       if (!isRunning) return
@@ -697,10 +848,11 @@ export async function executePattern(cmd, actionType, deviceIndex = 0) {
       // Send to motor 2 if available and dual pattern provided
       if (shouldUseDual && motor2Pattern) {
         const intensity2 = motor2Pattern[patternIndex % motor2Pattern.length]
-        await executeCommand({ type: 'vibrate', intensity: intensity2, motorIndex: 1, deviceIndex })
+        const trackedLevel2 = motor2Levels?.[patternIndex % motor2Levels.length]
+        await executeCommand({ type: 'vibrate', intensity: intensity2, trackedLevel: trackedLevel2, motorIndex: 1, deviceIndex })
       }
     } else if (actionType === 'oscillate') {
-      await executeCommand({ type: 'oscillate', intensity, deviceIndex })
+      await executeCommand({ type: 'oscillate', intensity, trackedLevel, deviceIndex })
     }
 
     // Check isRunning before continuing
@@ -755,18 +907,109 @@ export async function stopAllDevicePatterns() {
   }
 }
 
+// ==========================================
+// TIMED RELEASES (for= / then=)
+// ==========================================
+// A timed command owns a set of output keys on its device (e.g. 'vibrate:0',
+// 'rotate'). A newer command on any of those outputs takes them over; the
+// release only fires for the outputs it still owns.
+
+const timedReleases = new Set() // { deviceIndex, keys: Set, timeoutId }
+
+// Schedule release(remainingKeys) after `duration` ms
+export function scheduleTimedRelease(deviceIndex, keys, duration, release) {
+  const setWorkerTimeout = d('setWorkerTimeout')
+
+  const entry = { deviceIndex, keys: new Set(keys), timeoutId: null }
+  entry.timeoutId = setWorkerTimeout(() => {
+    timedReleases.delete(entry)
+    if (entry.keys.size > 0) {
+      release([...entry.keys])
+    }
+  }, duration)
+  timedReleases.add(entry)
+  return entry
+}
+
+// Cancel pending releases for the given outputs of a device.
+// Omit keys to cancel every release for the device; omit both to cancel all.
+export function cancelTimedReleases(deviceIndex = null, keys = null) {
+  const clearWorkerTimeout = d('clearWorkerTimeout')
+
+  for (const entry of timedReleases) {
+    if (deviceIndex !== null && entry.deviceIndex !== deviceIndex) continue
+    if (keys) {
+      keys.forEach(key => entry.keys.delete(key))
+    } else {
+      entry.keys.clear()
+    }
+    if (entry.keys.size === 0) {
+      clearWorkerTimeout(entry.timeoutId)
+      timedReleases.delete(entry)
+    }
+  }
+}
+
+// ==========================================
+// SEQUENCE PROGRAMS (<seq> blocks)
+// ==========================================
+// A <seq> block is compiled into a list of { at, command } steps. Steps are
+// timed from the program start (not from the previous step) so WAITs don't
+// drift, and each device runs at most one program at a time.
+
+const runningPrograms = new Map() // deviceIndex -> { timeoutId, stopped }
+
+// Run `steps` on a device, calling runStep(command) when each one is due.
+// Replaces any program already running on the device.
+export function startSequenceProgram(deviceIndex, steps, runStep) {
+  const setWorkerTimeout = d('setWorkerTimeout')
+  cancelSequencePrograms(deviceIndex)
+
+  const program = { timeoutId: null, stopped: false }
+  const startedAt = Date.now()
+  let next = 0
+
+  const runDueSteps = async () => {
+    program.timeoutId = null
+    while (next < steps.length && steps[next].at <= Date.now() - startedAt) {
+      try {
+        await runStep(steps[next++].command)
+      } catch (e) {
+        console.error(`${deps?.NAME || 'Intiface'}: Sequence step failed:`, e)
+      }
+      if (program.stopped) return
+    }
+
+    if (next >= steps.length) {
+      if (runningPrograms.get(deviceIndex) === program) runningPrograms.delete(deviceIndex)
+      return
+    }
+    program.timeoutId = setWorkerTimeout(runDueSteps, Math.max(0, steps[next].at - (Date.now() - startedAt)))
+  }
+
+  runningPrograms.set(deviceIndex, program)
+  runDueSteps()
+  return program
+}
+
+// Cancel the program running on a device, or every program when omitted
+export function cancelSequencePrograms(deviceIndex = null) {
+  const clearWorkerTimeout = d('clearWorkerTimeout')
+
+  for (const [index, program] of runningPrograms.entries()) {
+    if (deviceIndex !== null && index !== deviceIndex) continue
+    program.stopped = true
+    if (program.timeoutId) clearWorkerTimeout(program.timeoutId)
+    runningPrograms.delete(index)
+  }
+}
+
 // Helper function to get device display name
 function getDeviceDisplayName(dev) {
   if (!dev) return 'Unknown'
   return dev.displayName || dev.name || 'Unknown Device'
 }
 
-// Helper function to get device type
-function getDeviceType(dev) {
-  // All devices use generic type - capabilities are detected dynamically
-  return 'general'
-}
-
 // ==========================================
 // EXPORTS
 // ==========================================
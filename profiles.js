@@ -0,0 +1,388 @@
+/**
+ * Device Profiles Module
+ * Classifies each device as a vibrator, plug, cage, stroker or general device:
+ * first by a user-editable name-match table, then by its Buttplug attributes.
+ * Each type has a profile of output defaults (starting intensity, intensity
+ * curve, minimum perceptible level, stroke limits), applied in the output
+ * stage, and play mode compatibleDevices lists are matched against the type.
+ */
+
+export const DEVICE_TYPES = ['general', 'vibrator', 'plug', 'cage', 'stroker']
+
+// Intensity curves: exponent applied to levels (0-1) before the minimum level
+const CURVES = {
+  linear: 1,
+  soft: 1.6, // More room at the low end
+  strong: 0.6 // Gets intense sooner
+}
+
+const DEFAULT_PROFILES = {
+  general: { defaultIntensity: 100, curve: 'linear', minLevel: 0, strokeMin: 0, strokeMax: 100 },
+  vibrator: { defaultIntensity: 100, curve: 'linear', minLevel: 0, strokeMin: 0, strokeMax: 100 },
+  plug: { defaultIntensity: 80, curve: 'soft', minLevel: 8, strokeMin: 0, strokeMax: 100 },
+  cage: { defaultIntensity: 70, curve: 'soft', minLevel: 10, strokeMin: 0, strokeMax: 100 },
+  stroker: { defaultIntensity: 100, curve: 'linear', minLevel: 0, strokeMin: 5, strokeMax: 95 }
+}
+
+// Checked in order, first match wins: case-insensitive text in the device name
+const DEFAULT_RULES = [
+  { match: 'cage', type: 'cage' },
+  { match: 'chastity', type: 'cage' },
+  { match: 'plug', type: 'plug' },
+  { match: 'hush', type: 'plug' },
+  { match: 'launch', type: 'stroker' },
+  { match: 'handy', type: 'stroker' },
+  { match: 'keon', type: 'stroker' },
+  { match: 'onyx', type: 'stroker' },
+  { match: 'stroker', type: 'stroker' }
+]
+
+// Saved settings: name rules, and per-type changes to the default profiles
+let profileSettings = { rules: DEFAULT_RULES.map(rule => ({ ...rule })), profiles: {} }
+
+// Runtime state
+const shapedDevices = new WeakSet()
+
+// External dependencies (will be injected via initProfilesModule)
+let deps = {
+  NAME: 'intiface-connect',
+  getDevices: () => [],
+  onProfilesChanged: () => {}
+}
+
+/**
+ * Initialize the profiles module with required dependencies
+ * @param {Object} dependencies - Object containing all required dependencies
+ */
+export function initProfilesModule(dependencies) {
+  deps = { ...deps, ...dependencies }
+  console.log(`${deps.NAME}: Profiles module initialized`)
+}
+
+/**
+ * Load name rules and profile changes from localStorage
+ */
+export function loadDeviceProfiles() {
+  try {
+    const saved = localStorage.getItem('intiface-device-profiles')
+    if (saved) {
+      const parsed = JSON.parse(saved)
+      profileSettings = {
+        rules: Array.isArray(parsed.rules) ? parsed.rules.filter(rule => rule?.match && DEVICE_TYPES.includes(rule.type)) : profileSettings.rules,
+        profiles: parsed.profiles || {}
+      }
+      console.log(`${deps.NAME}: Loaded ${profileSettings.rules.length} device name rule(s)`)
+    }
+  } catch (e) {
+    console.error(`${deps.NAME}: Failed to load device profiles:`, e)
+  }
+}
+
+/**
+ * Save name rules and profile changes to localStorage
+ */
+function saveDeviceProfiles() {
+  try {
+    localStorage.setItem('intiface-device-profiles', JSON.stringify(profileSettings))
+  } catch (e) {
+    console.error(`${deps.NAME}: Failed to save device profiles:`, e)
+  }
+  deps.onProfilesChanged()
+}
+
+/**
+ * Work out a device's type and what decided it
+ * @param {Object} dev - Buttplug device
+ * @returns {{type: string, reason: string}}
+ */
+export function classifyDevice(dev) {
+  if (!dev) return { type: 'general', reason: 'no device' }
+
+  const name = (dev.name || '').toLowerCase()
+  const displayName = (dev.displayName || '').toLowerCase()
+  const rule = profileSettings.rules.find(r => {
+    const match = r.match.toLowerCase()
+    return name.includes(match) || displayName.includes(match)
+  })
+  if (rule) return { type: rule.type, reason: `name matches "${rule.match}"` }
+
+  if (dev.messageAttributes?.LinearCmd) return { type: 'stroker', reason: 'linear actuator' }
+  if ((dev.vibrateAttributes?.length || 0) > 0) return { type: 'vibrator', reason: 'vibration motor' }
+  return { type: 'general', reason: 'no name rule or known actuator' }
+}
+
+/**
+ * Get a device's type
+ * @param {Object} dev - Buttplug device
+ * @returns {string} One of DEVICE_TYPES
+ */
+export function getDeviceType(dev) {
+  return classifyDevice(dev).type
+}
+
+/**
+ * Get the profile for a device type, with the user's changes
+ * @param {string} type - Device type
+ * @returns {Object} { defaultIntensity, curve, minLevel, strokeMin, strokeMax }
+ */
+export function getTypeProfile(type) {
+  const base = DEFAULT_PROFILES[type] || DEFAULT_PROFILES.general
+  return { ...base, ...profileSettings.profiles[type] }
+}
+
+/**
+ * Get a device's profile
+ * @param {Object} dev - Buttplug device
+ * @returns {Object} { defaultIntensity, curve, minLevel, strokeMin, strokeMax }
+ */
+export function getDeviceProfile(dev) {
+  return getTypeProfile(getDeviceType(dev))
+}
+
+/**
+ * Get the global intensity a device starts at
+ * @param {Object} dev - Buttplug device
+ * @returns {number} Percent
+ */
+export function getDeviceDefaultIntensity(dev) {
+  return getDeviceProfile(dev).defaultIntensity
+}
+
+/**
+ * Whether something declaring compatibleDevices suits a device type. A list
+ * with 'general' in it suits every device; no list at all does too.
+ * @param {string[]|undefined} compatibleDevices - From mode.json or sequences.json
+ * @param {string} type - Device type
+ * @returns {boolean}
+ */
+export function isTypeCompatible(compatibleDevices, type) {
+  if (!Array.isArray(compatibleDevices) || compatibleDevices.length === 0) return true
+  return compatibleDevices.includes('general') || compatibleDevices.includes(type)
+}
+
+/**
+ * Map a level (0-1) through a profile's curve and minimum perceptible level.
+ * 0 stays 0 so stopping still stops.
+ * @param {number} value - Level 0-1
+ * @param {Object} profile - Device profile
+ * @returns {number} Level 0-1
+ */
+function shapeLevel(value, profile) {
+  if (!(value > 0)) return 0
+  const min = profile.minLevel / 100
+  return Math.min(1, min + (1 - min) * Math.pow(Math.min(1, value), CURVES[profile.curve] || 1))
+}
+
+/**
+ * Map a stroke position (0-1) into a profile's stroke limits
+ * @param {number} position - Position 0-1
+ * @param {Object} profile - Device profile
+ * @returns {number} Position 0-1
+ */
+function shapePosition(position, profile) {
+  return (profile.strokeMin + Math.max(0, Math.min(1, position)) * (profile.strokeMax - profile.strokeMin)) / 100
+}
+
+/**
+ * Wrap a device's scalar(), rotate() and linear() so output follows its
+ * profile. The profile is looked up on every call, so rule and profile edits
+ * take effect right away. Position actuators keep their full range.
+ * @param {Object} device - Buttplug device
+ * @returns {Object} The same device
+ */
+export function shapeDevice(device) {
+  if (!device || shapedDevices.has(device)) return device
+  shapedDevices.add(device)
+
+  const rawScalar = device.scalar.bind(device)
+  const rawRotate = device.rotate.bind(device)
+  const rawLinear = device.linear.bind(device)
+
+  device.scalar = (subcommands) => {
+    const profile = getDeviceProfile(device)
+    const shaped = (Array.isArray(subcommands) ? subcommands : [subcommands]).map(sub => {
+      if (sub.ActuatorType === 'Position') return sub
+      const value = shapeLevel(sub.Scalar, profile)
+      return value === sub.Scalar ? sub : Object.assign(Object.create(Object.getPrototypeOf(sub)), sub, { Scalar: value })
+    })
+    return rawScalar(shaped)
+  }
+
+  device.rotate = (speed, clockwise) => {
+    const profile = getDeviceProfile(device)
+    if (typeof speed === 'number') return rawRotate(shapeLevel(speed, profile), clockwise)
+    if (!Array.isArray(speed)) return rawRotate(speed, clockwise)
+    return rawRotate(speed.map(([value, cw]) => [shapeLevel(value, profile), cw]))
+  }
+
+  device.linear = (position, duration) => {
+    const profile = getDeviceProfile(device)
+    if (typeof position === 'number') return rawLinear(shapePosition(position, profile), duration)
+    if (!Array.isArray(position)) return rawLinear(position, duration)
+    return rawLinear(position.map(([pos, ms]) => [shapePosition(pos, profile), ms]))
+  }
+
+  return device
+}
+
+/**
+ * Short description of a device's type for its card
+ * @param {Object} dev - Buttplug device
+ * @returns {string}
+ */
+export function describeDeviceType(dev) {
+  const { type, reason } = classifyDevice(dev)
+  return `${type} (${reason})`
+}
+
+/**
+ * Refresh the type line on every device card
+ */
+function renderDeviceTypes() {
+  for (const dev of deps.getDevices()) {
+    $(`.intiface-device-type[data-device-name="${dev.name}"]`).text(describeDeviceType(dev))
+  }
+}
+
+/**
+ * Render the name rules and profile tables
+ */
+export function renderProfilesEditor() {
+  const typeOptions = DEVICE_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')
+
+  const rules = $('#intiface-profile-rules').empty()
+  profileSettings.rules.forEach((rule, i) => {
+    const row = $(`
+<div style="display: flex; gap: 5px; align-items: center; margin-bottom: 3px;">
+<input type="text" class="text_pole intiface-profile-rule-match" data-rule="${i}" style="flex: 1;" placeholder="Text in the device name">
+<select class="text_pole intiface-profile-rule-type" data-rule="${i}" style="width: auto;">${typeOptions}</select>
+<button class="menu_button intiface-profile-rule-remove" data-rule="${i}" style="padding: 2px 6px;" title="Remove rule"><i class="fa-solid fa-trash"></i></button>
+</div>`)
+    row.find('.intiface-profile-rule-match').val(rule.match)
+    row.find('.intiface-profile-rule-type').val(rule.type)
+    rules.append(row)
+  })
+  if (profileSettings.rules.length === 0) rules.append('<div style="color: #666;">No name rules - devices are classified by their actuators</div>')
+
+  const curveOptions = Object.keys(CURVES).map(curve => `<option value="${curve}">${curve}</option>`).join('')
+  const table = $('#intiface-profile-types').empty()
+  table.append(`
+<tr style="color: #888;">
+<th style="text-align: left;">Type</th>
+<th title="Global intensity set when this is the first device">Start %</th>
+<th>Curve</th>
+<th title="Lowest level sent for anything above 0">Min %</th>
+<th title="Stroke range for linear devices">Stroke %</th>
+</tr>`)
+  for (const type of DEVICE_TYPES) {
+    const profile = getTypeProfile(type)
+    const row = $(`
+<tr data-type="${type}">
+<td>${type}</td>
+<td><input type="number" class="text_pole intiface-profile-field" data-field="defaultIntensity" min="0" max="100" style="width: 55px;"></td>
+<td><select class="text_pole intiface-profile-field" data-field="curve" style="width: auto;">${curveOptions}</select></td>
+<td><input type="number" class="text_pole intiface-profile-field" data-field="minLevel" min="0" max="50" style="width: 50px;"></td>
+<td style="white-space: nowrap;">
+<input type="number" class="text_pole intiface-profile-field" data-field="strokeMin" min="0" max="100" style="width: 50px;"> -
+<input type="number" class="text_pole intiface-profile-field" data-field="strokeMax" min="0" max="100" style="width: 50px;">
+</td>
+</tr>`)
+    row.find('.intiface-profile-field').each((i, el) => $(el).val(profile[$(el).data('field')]))
+    table.append(row)
+  }
+
+  renderDeviceTypes()
+}
+
+/**
+ * Save one profile field from the editor, keeping only changes from the default
+ * @param {string} type - Device type
+ * @param {string} field - Profile field
+ * @param {string} text - Input value
+ */
+function saveProfileField(type, field, text) {
+  const base = DEFAULT_PROFILES[type]
+  const current = getTypeProfile(type)
+  let value
+  if (field === 'curve') {
+    value = CURVES[text] ? text : base.curve
+  } else {
+    const limits = { defaultIntensity: [0, 100], minLevel: [0, 50], strokeMin: [0, current.strokeMax], strokeMax: [current.strokeMin, 100] }[field]
+    const number = Number(text)
+    value = text === '' || !Number.isFinite(number) ? base[field] : Math.round(Math.max(limits[0], Math.min(limits[1], number)))
+  }
+
+  const changes = { ...profileSettings.profiles[type] }
+  if (value === base[field]) delete changes[field]
+  else changes[field] = value
+  if (Object.keys(changes).length > 0) profileSettings.profiles[type] = changes
+  else delete profileSettings.profiles[type]
+
+  saveDeviceProfiles()
+  console.log(`${deps.NAME}: Set ${type} profile ${field} to ${value}`)
+}
+
+/**
+ * Setup device profile event handlers
+ */
+export function setupProfilesEventHandlers() {
+  $('#intiface-profiles-toggle').on('click', function() {
+    const content = $('#intiface-profiles-content')
+    const arrow = $('#intiface-profiles-arrow')
+
+    if (content.is(':visible')) {
+      content.slideUp(200)
+      arrow.removeClass('expanded')
+    } else {
+      renderProfilesEditor()
+      content.slideDown(200)
+      arrow.addClass('expanded')
+    }
+  })
+
+  $(document).on('change', '.intiface-profile-rule-match, .intiface-profile-rule-type', function() {
+    const rule = profileSettings.rules[$(this).data('rule')]
+    if (!rule) return
+    if ($(this).hasClass('intiface-profile-rule-match')) {
+      const match = $(this).val().trim()
+      if (!match) {
+        $(this).val(rule.match)
+        return
+      }
+      rule.match = match
+    } else {
+      rule.type = $(this).val()
+    }
+    saveDeviceProfiles()
+    renderDeviceTypes()
+  })
+
+  $(document).on('click', '.intiface-profile-rule-remove', function() {
+    profileSettings.rules.splice($(this).data('rule'), 1)
+    saveDeviceProfiles()
+    renderProfilesEditor()
+  })
+
+  $('#intiface-profile-rule-add').on('click', function() {
+    // Start from the first connected device's name, the usual reason to add a rule
+    const firstDevice = deps.getDevices()[0]
+    const match = (firstDevice?.name || 'device name').toLowerCase()
+    profileSettings.rules.unshift({ match, type: getDeviceType(firstDevice) })
+    saveDeviceProfiles()
+    renderProfilesEditor()
+  })
+
+  $('#intiface-profile-rules-reset').on('click', function() {
+    if (!confirm('Replace your name rules with the built-in ones?')) return
+    profileSettings.rules = DEFAULT_RULES.map(rule => ({ ...rule }))
+    saveDeviceProfiles()
+    renderProfilesEditor()
+  })
+
+  $(document).on('change', '.intiface-profile-field', function() {
+    saveProfileField($(this).closest('tr').data('type'), $(this).data('field'), String($(this).val()).trim())
+    renderProfilesEditor()
+  })
+
+  renderProfilesEditor()
+}
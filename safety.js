@@ -0,0 +1,502 @@
+/**
+ * Safety Limits Module
+ * User-owned hard ceilings applied to every connected device: max intensity
+ * (per device and per actuator), max continuous on-time with a forced rest,
+ * and a max session length. Limits are enforced by wrapping the device's own
+ * output methods, so every caller (chat commands, patterns, funscripts,
+ * timeline, custom modes, replay) goes through them.
+ */
+
+// Saved limits. Times are seconds except maxSession (minutes); 0 = no limit.
+// Per-device entries override the defaults; a missing field inherits.
+let safetyLimits = {
+  maxIntensity: 100,
+  maxOnTime: 0,
+  minRest: 0,
+  maxSession: 0,
+  devices: {} // device name -> { maxIntensity, maxOnTime, minRest, actuators: { Vibrate: 80, ... } }
+}
+
+// Runtime state
+const guardedDevices = new WeakSet()
+const deviceStates = new WeakMap() // device -> { outputs, linearUntil, activeSince, restUntil, capNoticed, blockNoticed }
+const rawStops = new WeakMap() // device -> its unwrapped stop()
+let sessionStartedAt = null // Date.now() of the first non-zero output
+let sessionEnded = false
+let watchdogId = null
+const WATCHDOG_INTERVAL_MS = 1000
+const LINEAR_IDLE_GRACE_MS = 1000 // A stroker counts as running until this long after its last stroke ends
+
+// External dependencies (will be injected via initSafetyModule)
+let deps = {
+  NAME: 'intiface-connect',
+  updateStatus: () => {},
+  getDevices: () => [],
+  getDeviceDisplayName: (dev) => dev?.name || 'Unknown',
+  logEvent: () => {},
+  setWorkerTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearWorkerTimeout: (id) => clearTimeout(id)
+}
+
+/**
+ * Initialize the safety module with required dependencies
+ * @param {Object} dependencies - Object containing all required dependencies
+ */
+export function initSafetyModule(dependencies) {
+  deps = { ...deps, ...dependencies }
+  console.log(`${deps.NAME}: Safety module initialized`)
+}
+
+/**
+ * Load safety limits from localStorage
+ */
+export function loadSafetyLimits() {
+  try {
+    const saved = localStorage.getItem('intiface-safety-limits')
+    if (saved) {
+      safetyLimits = { ...safetyLimits, ...JSON.parse(saved) }
+      console.log(`${deps.NAME}: Loaded safety limits (max ${safetyLimits.maxIntensity}%, ${Object.keys(safetyLimits.devices).length} device override(s))`)
+    }
+  } catch (e) {
+    console.error(`${deps.NAME}: Failed to load safety limits:`, e)
+  }
+}
+
+/**
+ * Save safety limits to localStorage
+ */
+function saveSafetyLimits() {
+  try {
+    localStorage.setItem('intiface-safety-limits', JSON.stringify(safetyLimits))
+  } catch (e) {
+    console.error(`${deps.NAME}: Failed to save safety limits:`, e)
+  }
+}
+
+/**
+ * Parse a limit input; blank means "not set"
+ * @param {string} text - Input value
+ * @param {number} max - Largest allowed value
+ * @returns {number|null}
+ */
+function parseLimit(text, max) {
+  if (String(text).trim() === '') return null
+  const value = Number(text)
+  if (!Number.isFinite(value)) return null
+  return Math.max(0, Math.min(max, value))
+}
+
+/**
+ * Get the limits that apply to a device (its overrides over the defaults)
+ * @param {Object} device - Buttplug device
+ * @returns {{maxIntensity: number, maxOnTime: number, minRest: number, actuators: Object}}
+ */
+export function getDeviceLimits(device) {
+  const own = safetyLimits.devices[device?.name] || {}
+  return {
+    maxIntensity: own.maxIntensity ?? safetyLimits.maxIntensity,
+    maxOnTime: own.maxOnTime ?? safetyLimits.maxOnTime,
+    minRest: own.minRest ?? safetyLimits.minRest,
+    actuators: own.actuators || {}
+  }
+}
+
+/**
+ * Highest value (0-1) an actuator of a device may be driven at
+ * @param {Object} device - Buttplug device
+ * @param {string} actuatorType - 'Vibrate', 'Oscillate', 'Rotate', 'Constrict', ...
+ * @returns {number}
+ */
+function getOutputCeiling(device, actuatorType) {
+  const limits = getDeviceLimits(device)
+  return Math.min(limits.maxIntensity, limits.actuators[actuatorType] ?? 100) / 100
+}
+
+function getState(device) {
+  if (!deviceStates.has(device)) {
+    deviceStates.set(device, { outputs: new Map(), linearUntil: 0, activeSince: null, restUntil: 0, capNoticed: false, blockNoticed: false })
+  }
+  return deviceStates.get(device)
+}
+
+function isActive(state, now) {
+  return state.linearUntil > now || [...state.outputs.values()].some(value => value > 0)
+}
+
+/**
+ * Log a safety event for a device and show it in the status bar
+ * @param {Object|null} device - Buttplug device, or null for all devices
+ * @param {string} summary - What happened
+ * @param {boolean} isError - Also flag the status panel
+ */
+function reportSafetyEvent(device, summary, isError = false) {
+  const index = device ? deps.getDevices().indexOf(device) : -1
+  deps.logEvent('safety', 'internal', { deviceIndex: index >= 0 ? index : null, summary })
+  deps.updateStatus(`Safety: ${device ? `${deps.getDeviceDisplayName(device)} ` : ''}${summary}`, isError)
+  console.log(`${deps.NAME}: Safety - ${device ? `${device.name}: ` : ''}${summary}`)
+}
+
+/**
+ * Whether the session length limit has been reached (ends the session if so)
+ * @param {number} now - Date.now()
+ * @returns {boolean}
+ */
+function isSessionOver(now) {
+  if (sessionEnded) return true
+  if (safetyLimits.maxSession > 0 && sessionStartedAt !== null && now - sessionStartedAt >= safetyLimits.maxSession * 60000) {
+    endSession()
+    return true
+  }
+  return false
+}
+
+/**
+ * Why a device may not run right now, or null if it may
+ * @param {Object} device - Buttplug device
+ * @param {Object} state - Device safety state
+ * @param {number} now - Date.now()
+ * @returns {string|null}
+ */
+function getBlockReason(device, state, now) {
+  if (isSessionOver(now)) return 'session limit reached'
+  if (state.restUntil > now) return `resting for ${Math.ceil((state.restUntil - now) / 1000)}s`
+  state.restUntil = 0
+  state.blockNoticed = false
+  return null
+}
+
+/**
+ * Update on-time tracking after an output change
+ * @param {Object} state - Device safety state
+ * @param {number} now - Date.now()
+ */
+function trackActivity(state, now) {
+  if (isActive(state, now)) {
+    if (state.activeSince === null) state.activeSince = now
+    if (sessionStartedAt === null) sessionStartedAt = now
+    scheduleWatchdog()
+  } else {
+    state.activeSince = null
+    state.capNoticed = false
+  }
+}
+
+/**
+ * Note (once per run) that a value was capped
+ * @param {Object} device - Buttplug device
+ * @param {Object} state - Device safety state
+ * @param {string} actuatorType - Capped actuator
+ * @param {number} ceiling - Ceiling it was capped to (0-1)
+ */
+function noticeCap(device, state, actuatorType, ceiling) {
+  if (state.capNoticed) return
+  state.capNoticed = true
+  reportSafetyEvent(device, `${actuatorType} capped at ${Math.round(ceiling * 100)}%`)
+}
+
+/**
+ * Note (once per block) that output was refused
+ * @param {Object} device - Buttplug device
+ * @param {Object} state - Device safety state
+ * @param {string} reason - From getBlockReason
+ */
+function noticeBlock(device, state, reason) {
+  if (state.blockNoticed) return
+  state.blockNoticed = true
+  reportSafetyEvent(device, `output blocked (${reason})`)
+}
+
+/**
+ * Wrap a device's output methods so every value sent to it is limited.
+ * vibrate() and oscillate() are built on scalar() inside the Buttplug
+ * client, so wrapping scalar(), rotate() and linear() covers every output.
+ * stop() always goes through and only resets tracking.
+ * @param {Object} device - Buttplug device
+ * @returns {Object} The same device
+ */
+export function guardDevice(device) {
+  if (!device || guardedDevices.has(device)) return device
+  guardedDevices.add(device)
+
+  const rawScalar = device.scalar.bind(device)
+  const rawRotate = device.rotate.bind(device)
+  const rawLinear = device.linear.bind(device)
+  const rawStop = device.stop.bind(device)
+  rawStops.set(device, rawStop)
+
+  device.scalar = (subcommands) => {
+    const now = Date.now()
+    const state = getState(device)
+    const blocked = getBlockReason(device, state, now)
+    const limited = (Array.isArray(subcommands) ? subcommands : [subcommands]).map(sub => {
+      const ceiling = blocked ? 0 : getOutputCeiling(device, sub.ActuatorType)
+      const value = Math.max(0, Math.min(sub.Scalar, ceiling))
+      if (sub.Scalar > value) {
+        if (blocked) noticeBlock(device, state, blocked)
+        else noticeCap(device, state, sub.ActuatorType, ceiling)
+      }
+      state.outputs.set(`${sub.ActuatorType}:${sub.Index}`, value)
+      return value === sub.Scalar ? sub : Object.assign(Object.create(Object.getPrototypeOf(sub)), sub, { Scalar: value })
+    })
+    trackActivity(state, now)
+    return rawScalar(limited)
+  }
+
+  device.rotate = (speed, clockwise) => {
+    const now = Date.now()
+    const state = getState(device)
+    const blocked = getBlockReason(device, state, now)
+    const ceiling = blocked ? 0 : getOutputCeiling(device, 'Rotate')
+    const rotations = typeof speed === 'number' ? [[speed, clockwise]] : Array.isArray(speed) ? speed : []
+    const limitSpeed = (value) => {
+      if (value > ceiling) {
+        if (blocked) noticeBlock(device, state, blocked)
+        else noticeCap(device, state, 'Rotate', ceiling)
+      }
+      return Math.max(0, Math.min(value, ceiling))
+    }
+    const limited = rotations.map(([value, cw]) => [limitSpeed(value), cw])
+    limited.forEach(([value], i) => state.outputs.set(`RotateCmd:${i}`, value))
+    trackActivity(state, now)
+    return typeof speed === 'number' ? rawRotate(limited[0][0], clockwise) : rawRotate(limited)
+  }
+
+  // A stroke position isn't an intensity, so linear output is only subject to
+  // the time limits: while blocked, strokes are dropped and the device holds still
+  device.linear = (position, duration) => {
+    const now = Date.now()
+    const state = getState(device)
+    const blocked = getBlockReason(device, state, now)
+    if (blocked) {
+      noticeBlock(device, state, blocked)
+      return Promise.resolve()
+    }
+    const strokeMs = typeof position === 'number' ? duration : Math.max(0, ...(Array.isArray(position) ? position.map(([, ms]) => ms) : []))
+    state.linearUntil = Math.max(state.linearUntil, now + (strokeMs || 0) + LINEAR_IDLE_GRACE_MS)
+    trackActivity(state, now)
+    return rawLinear(position, duration)
+  }
+
+  device.stop = () => {
+    const state = getState(device)
+    state.outputs.clear()
+    state.linearUntil = 0
+    trackActivity(state, Date.now())
+    return rawStop()
+  }
+
+  return device
+}
+
+/**
+ * Stop a device that ran past its max on-time and start its rest period
+ * @param {Object} device - Buttplug device
+ * @param {Object} state - Device safety state
+ * @param {number} now - Date.now()
+ */
+function restDevice(device, state, now) {
+  const { maxOnTime, minRest } = getDeviceLimits(device)
+  state.outputs.clear()
+  state.linearUntil = 0
+  state.activeSince = null
+  state.capNoticed = false
+  state.blockNoticed = false
+  state.restUntil = now + minRest * 1000
+  rawStops.get(device)().catch(e => console.error(`${deps.NAME}: Safety stop failed for ${device.name}:`, e))
+  reportSafetyEvent(device, `ran for ${maxOnTime}s - stopped${minRest > 0 ? `, resting for ${minRest}s` : ''}`, true)
+}
+
+/**
+ * Stop every device and block output until the session is reset
+ */
+function endSession() {
+  sessionEnded = true
+  for (const device of deps.getDevices()) {
+    if (!guardedDevices.has(device)) continue
+    const state = getState(device)
+    state.outputs.clear()
+    state.linearUntil = 0
+    state.activeSince = null
+    rawStops.get(device)().catch(e => console.error(`${deps.NAME}: Safety stop failed for ${device.name}:`, e))
+  }
+  reportSafetyEvent(null, `session limit of ${safetyLimits.maxSession} min reached - all output stopped`, true)
+  renderSafetySession()
+}
+
+/**
+ * Start a new session: clears the session timer and any rest periods
+ */
+export function resetSafetySession() {
+  sessionStartedAt = null
+  sessionEnded = false
+  for (const device of deps.getDevices()) {
+    const state = deviceStates.get(device)
+    if (!state) continue
+    state.restUntil = 0
+    state.blockNoticed = false
+    state.activeSince = isActive(state, Date.now()) ? Date.now() : null
+  }
+  renderSafetySession()
+}
+
+function scheduleWatchdog() {
+  if (watchdogId !== null) return
+  watchdogId = deps.setWorkerTimeout(checkLimits, WATCHDOG_INTERVAL_MS)
+}
+
+/**
+ * Enforce time limits on running devices (outputs can stay on without any
+ * further commands, so this can't wait for the next call)
+ */
+function checkLimits() {
+  watchdogId = null
+  const now = Date.now()
+  let anyActive = false
+
+  if (!isSessionOver(now)) {
+    for (const device of deps.getDevices()) {
+      const state = deviceStates.get(device)
+      if (!state) continue
+      if (!isActive(state, now)) {
+        state.activeSince = null
+        continue
+      }
+      const { maxOnTime } = getDeviceLimits(device)
+      if (maxOnTime > 0 && now - state.activeSince >= maxOnTime * 1000) {
+        restDevice(device, state, now)
+      } else {
+        anyActive = true
+      }
+    }
+  }
+
+  renderSafetySession()
+  if (anyActive) scheduleWatchdog()
+}
+
+/**
+ * Show the session timer / state in the settings panel
+ */
+export function renderSafetySession() {
+  const el = $('#intiface-safety-session-status')
+  if (el.length === 0) return
+  if (sessionEnded) {
+    el.text('Session limit reached - output blocked').css('color', '#f44336')
+  } else if (sessionStartedAt === null) {
+    el.text('No output yet this session').css('color', '#888')
+  } else {
+    const minutes = Math.floor((Date.now() - sessionStartedAt) / 60000)
+    el.text(`Session: ${minutes} min${safetyLimits.maxSession > 0 ? ` of ${safetyLimits.maxSession}` : ''}`).css('color', '#888')
+  }
+}
+
+/**
+ * Device card controls for a device's own limits (blank = use the defaults)
+ * @param {Object} device - Buttplug device
+ * @returns {string} HTML
+ */
+export function getDeviceSafetyHtml(device) {
+  const own = safetyLimits.devices[device.name] || {}
+  const actuatorTypes = [...new Set((device.messageAttributes?.ScalarCmd || []).map(attr => attr.ActuatorType))]
+  if (device.messageAttributes?.RotateCmd?.length > 0 && !actuatorTypes.includes('Rotate')) actuatorTypes.push('Rotate')
+
+  const field = (key, label, value, placeholder, max, title) => `
+<label style="flex: 1; min-width: 70px; font-size: 0.65em; color: #888;" title="${title}">${label}
+<input type="number" class="text_pole device-safety-input" data-device-name="${device.name}" data-limit="${key}" min="0" max="${max}"
+value="${value ?? ''}" placeholder="${placeholder}" style="width: 100%; font-size: 1.1em;">
+</label>`
+
+  return `
+<div style="margin-top: 8px; padding: 5px; background: rgba(100,100,100,0.1); border-radius: 3px;">
+<label style="font-size: 0.75em; color: #aaa; display: block; margin-bottom: 3px;">
+<i class="fa-solid fa-shield-halved"></i> Safety Limits:
+</label>
+<div style="display: flex; flex-wrap: wrap; gap: 5px;">
+${field('maxIntensity', 'Max %', own.maxIntensity, safetyLimits.maxIntensity, 100, 'Highest output level sent to this device')}
+${field('maxOnTime', 'Max on (s)', own.maxOnTime, safetyLimits.maxOnTime || 'off', 86400, 'Longest continuous run before a forced stop')}
+${field('minRest', 'Rest (s)', own.minRest, safetyLimits.minRest, 86400, 'Pause enforced after a forced stop')}
+${actuatorTypes.map(type => field(`actuator:${type}`, `${type} %`, own.actuators?.[type], 100, 100, `Highest ${type} level`)).join('')}
+</div>
+<div style="font-size: 0.65em; color: #666; margin-top: 2px;">
+Blank uses the defaults under Safety Limits
+</div>
+</div>
+`
+}
+
+/**
+ * Save one device card limit input
+ * @param {string} deviceName - Device name
+ * @param {string} key - 'maxIntensity', 'maxOnTime', 'minRest' or 'actuator:<Type>'
+ * @param {string} text - Input value
+ */
+function saveDeviceLimit(deviceName, key, text) {
+  const own = safetyLimits.devices[deviceName] || {}
+  if (key.startsWith('actuator:')) {
+    const value = parseLimit(text, 100)
+    own.actuators = { ...own.actuators }
+    if (value === null) delete own.actuators[key.slice(9)]
+    else own.actuators[key.slice(9)] = value
+    if (Object.keys(own.actuators).length === 0) delete own.actuators
+  } else {
+    const value = parseLimit(text, key === 'maxIntensity' ? 100 : 86400)
+    if (value === null) delete own[key]
+    else own[key] = value
+  }
+
+  if (Object.keys(own).length > 0) {
+    safetyLimits.devices[deviceName] = own
+  } else {
+    delete safetyLimits.devices[deviceName]
+  }
+  saveSafetyLimits()
+  console.log(`${deps.NAME}: Saved safety limit ${key} for ${deviceName}: ${text || '(default)'}`)
+}
+
+/**
+ * Setup safety limit event handlers
+ */
+export function setupSafetyEventHandlers() {
+  $('#intiface-safety-toggle').on('click', function() {
+    const content = $('#intiface-safety-content')
+    const arrow = $('#intiface-safety-arrow')
+
+    if (content.is(':visible')) {
+      content.slideUp(200)
+      arrow.removeClass('expanded')
+    } else {
+      content.slideDown(200, renderSafetySession)
+      arrow.addClass('expanded')
+    }
+  })
+
+  const defaults = {
+    '#intiface-safety-max-intensity': ['maxIntensity', 100, 100],
+    '#intiface-safety-max-on-time': ['maxOnTime', 86400, 0],
+    '#intiface-safety-min-rest': ['minRest', 86400, 0],
+    '#intiface-safety-max-session': ['maxSession', 1440, 0]
+  }
+  for (const [selector, [key, max, fallback]] of Object.entries(defaults)) {
+    $(selector).val(safetyLimits[key]).on('change', function() {
+      safetyLimits[key] = parseLimit($(this).val(), max) ?? fallback
+      $(this).val(safetyLimits[key])
+      saveSafetyLimits()
+      renderSafetySession()
+      $('.device-safety-input').each(function() {
+        if ($(this).data('limit') === key) $(this).attr('placeholder', key === 'maxOnTime' && !safetyLimits[key] ? 'off' : safetyLimits[key])
+      })
+      console.log(`${deps.NAME}: Saved default safety limit ${key}: ${safetyLimits[key]}`)
+    })
+  }
+
+  $('#intiface-safety-reset-session').on('click', () => {
+    resetSafetySession()
+    deps.updateStatus('Safety session reset')
+  })
+
+  $(document).on('change', '.device-safety-input', function() {
+    saveDeviceLimit($(this).data('device-name'), $(this).data('limit'), $(this).val())
+  })
+
+  renderSafetySession()
+}
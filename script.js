@@ -28,6 +28,47 @@ import {
   getTimelineCurrentPosition,
   isTimelinePlaying
 } from "./timeline.js"
+import {
+  initEventLogModule,
+  logEvent,
+  stopEventLogReplay,
+  setupEventLogEventHandlers
+} from "./eventlog.js"
+import {
+  initSafetyModule,
+  loadSafetyLimits,
+  guardDevice,
+  getDeviceSafetyHtml,
+  setupSafetyEventHandlers
+} from "./safety.js"
+import {
+  initSlewModule,
+  loadSlewRates,
+  smoothDevice,
+  getDeviceSlewHtml,
+  setupSlewEventHandlers
+} from "./slew.js"
+import {
+  initPermissionsModule,
+  checkCommandPermission,
+  isVerbAllowed,
+  isModeAllowed,
+  isDeviceAllowed,
+  filterAllowedCommands,
+  formatPermissionsNote,
+  renderPermissionsEditor,
+  setupPermissionsEventHandlers
+} from "./permissions.js"
+import {
+  initProfilesModule,
+  loadDeviceProfiles,
+  getDeviceType,
+  getDeviceDefaultIntensity,
+  isTypeCompatible,
+  describeDeviceType,
+  shapeDevice,
+  setupProfilesEventHandlers
+} from "./profiles.js"
 import {
 mediaPlayer,
 funscriptCache,
@@ -64,6 +105,9 @@ initPlaybackSystem,
 PatternLibrary,
 activePatterns,
 getMotorCount,
+getCommandMotors,
+getScalarActuators,
+canRotate,
 applyMaxVibrate,
 applyMaxOscillate,
 generateWaveformValues,
@@ -72,10 +116,25 @@ executeWaveformPattern,
 executeGradientPattern,
 executeLinearWaveform,
 executeLinearGradient,
+executeLinearPattern,
 executeTeaseAndDenialMode,
 stopDevicePattern,
-executePattern
+cancelDevicePattern,
+executePattern,
+runTrackedPattern,
+scheduleTimedRelease,
+cancelTimedReleases,
+startSequenceProgram,
+cancelSequencePrograms
 } from "./playback.js"
+import {
+parseCommandTags,
+createStreamParser,
+EXCLUSION_REGIONS,
+parseError,
+formatParseError,
+PARSE_ERRORS
+} from "./parser.js"
 
 // @ts-ignore: Hack to suppress IDE errors
 const $ = window.$
@@ -92,15 +151,15 @@ let device
 let devices = [] // Track all connected devices
 if (typeof window !== 'undefined') window.devices = devices // Make available globally for playback module
 let deviceAssignments = {} // device.index -> 'A', 'B', 'C', etc. for multi-funscript support
-let intervalId
+let deviceAliases = {} // device name -> user-defined chat aliases, e.g. ['plug']
+let deviceGroups = {} // group name -> member targets, e.g. { front: ['plug', '#2'] }
 
 // Chat-based control variables
 let messageCommands = [] // Commands from current AI message
 let executedCommands = new Set() // Track executed commands
-let streamingText = '' // Accumulate streaming text
-let seenCommands = new Set() // Track command text signatures that have been seen complete
+let streamParser = createStreamParser() // Incremental tag parser for the message being streamed
+let streamedCommands = [] // Commands already fired while streaming the current message
 let commandQueueInterval = null // Interval for sequential execution
-let isExecutingCommands = false
 let isStartingIntiface = false // Prevent multiple simultaneous start attempts
 let playModeSequenceTimeouts = new Set() // Track timeouts for play mode sequence cleanup
 
@@ -109,6 +168,7 @@ let timerWorker = null
 let workerTimers = new Map() // timerId -> { callback, interval, createdAt, lastExecuted, isOneShot }
 let workerTimerId = 0
 let isWorkerTimerRunning = false
+let workerTickInterval = null // ms between worker ticks while running
 
 // Mode settings now managed by PlayModeLoader - uses folder names consistently
 // Proxy provides backwards compatibility for any code expecting modeSettings object
@@ -235,6 +295,84 @@ function saveGlobalInvert(value) {
   }
 }
 
+// Targets reserved by the chat syntax, not usable as aliases
+const RESERVED_TARGETS = ['any', 'all', 'device', 'media', 'interface', 'intiface', 'system', 'a', 'b', 'c', 'd']
+
+// Load device aliases (device name -> ['alias', ...]) from localStorage
+function loadDeviceAliases() {
+  try {
+    const saved = localStorage.getItem('intiface-device-aliases')
+    if (saved) {
+      deviceAliases = JSON.parse(saved)
+      console.log(`${NAME}: Loaded aliases for ${Object.keys(deviceAliases).length} device(s)`)
+    }
+  } catch (e) {
+    console.error(`${NAME}: Failed to load device aliases:`, e)
+    deviceAliases = {}
+  }
+}
+
+// Save aliases for one device (comma-separated input from the device card)
+function saveDeviceAliases(deviceName, aliasText) {
+  try {
+    const aliases = aliasText.split(',')
+      .map(alias => alias.trim().toLowerCase())
+      .filter(alias => /^[a-z][\w-]*$/.test(alias) && !RESERVED_TARGETS.includes(alias))
+    if (aliases.length > 0) {
+      deviceAliases[deviceName] = [...new Set(aliases)]
+    } else {
+      delete deviceAliases[deviceName]
+    }
+    localStorage.setItem('intiface-device-aliases', JSON.stringify(deviceAliases))
+    console.log(`${NAME}: Saved aliases for ${deviceName}: ${aliases.join(', ') || '(none)'}`)
+    return aliases
+  } catch (e) {
+    console.error(`${NAME}: Failed to save device aliases:`, e)
+    return []
+  }
+}
+
+// Get the user-defined aliases for a device
+function getDeviceAliases(dev) {
+  return deviceAliases[dev?.name] || []
+}
+
+// Load named device groups from localStorage
+function loadDeviceGroups() {
+  try {
+    const saved = localStorage.getItem('intiface-device-groups')
+    if (saved) {
+      deviceGroups = JSON.parse(saved)
+      console.log(`${NAME}: Loaded ${Object.keys(deviceGroups).length} device group(s)`)
+    }
+  } catch (e) {
+    console.error(`${NAME}: Failed to load device groups:`, e)
+    deviceGroups = {}
+  }
+}
+
+// Save device groups from the settings text (one "name: member, member" per line)
+function saveDeviceGroups(groupText) {
+  try {
+    deviceGroups = {}
+    for (const line of groupText.split('\n')) {
+      const [name, members] = line.split(':').map(part => part?.trim().toLowerCase())
+      if (!name || !members || !/^[a-z][\w-]*$/.test(name) || RESERVED_TARGETS.includes(name)) continue
+      const memberList = members.split(',').map(m => m.trim()).filter(m => /^(#\d+|[a-z][\w-]*)$/.test(m))
+      if (memberList.length > 0) deviceGroups[name] = memberList
+    }
+    localStorage.setItem('intiface-device-groups', JSON.stringify(deviceGroups))
+    console.log(`${NAME}: Saved ${Object.keys(deviceGroups).length} device group(s)`)
+  } catch (e) {
+    console.error(`${NAME}: Failed to save device groups:`, e)
+  }
+}
+
+// Format device groups for the settings textarea
+function formatDeviceGroups() {
+  return Object.entries(deviceGroups).map(([name, members]) => `${name}: ${members.join(', ')}`).join('\n')
+}
+
 // Apply inversion to intensity/position values (0-100)
 function applyInversion(value) {
   if (globalInvert) {
@@ -342,6 +480,9 @@ function initTimerWorker() {
             }
           }
         }
+
+        // Expired one-shots are gone: slow the tick to what is left, or stop it
+        if (timersToExecute.length > 0) updateWorkerTick()
       } else if (type === 'heartbeat') {
         // Keep worker alive
       }
@@ -360,6 +501,28 @@ function initTimerWorker() {
   }
 }
 
+// Start the worker timer, or change its tick to the shortest registered delay.
+// Every worker timer fires on a tick, so a long timer (e.g. the heartbeat)
+// must not set the pace for short ones (100ms pattern steps).
+function updateWorkerTick() {
+  if (!timerWorker) return
+  if (workerTimers.size === 0) {
+    if (isWorkerTimerRunning) timerWorker.postMessage({ command: 'stop' })
+    isWorkerTimerRunning = false
+    workerTickInterval = null
+    return
+  }
+
+  const shortest = Math.min(...[...workerTimers.values()].map(timer => timer.interval))
+  if (!isWorkerTimerRunning) {
+    timerWorker.postMessage({ command: 'start', data: { interval: shortest } })
+    isWorkerTimerRunning = true
+  } else if (shortest !== workerTickInterval) {
+    timerWorker.postMessage({ command: 'interval', data: { interval: shortest } })
+  }
+  workerTickInterval = shortest
+}
+
 // Set timeout using worker (if available) or fall back to regular setTimeout
 function setWorkerTimeout(callback, delay) {
   if (timerWorker && delay >= 50) {
@@ -367,11 +530,7 @@ function setWorkerTimeout(callback, delay) {
     const now = Date.now()
     workerTimers.set(id, { callback, interval: delay, createdAt: now, lastExecuted: null, isOneShot: true })
 
-    // Only start the worker timer if not already running
-    if (!isWorkerTimerRunning) {
-      timerWorker.postMessage({ command: 'start', data: { interval: delay } })
-      isWorkerTimerRunning = true
-    }
+    updateWorkerTick()
 
     return id
   } else {
@@ -386,11 +545,7 @@ function setWorkerInterval(callback, delay) {
     const now = Date.now()
     workerTimers.set(id, { callback, interval: delay, createdAt: now, lastExecuted: null, isOneShot: false })
 
-    // Only start the worker timer if not already running
-    if (!isWorkerTimerRunning) {
-      timerWorker.postMessage({ command: 'start', data: { interval: delay } })
-      isWorkerTimerRunning = true
-    }
+    updateWorkerTick()
 
     return id
   } else {
@@ -403,11 +558,8 @@ function clearWorkerTimeout(id) {
   if (typeof id === 'number' && workerTimers.has(id)) {
     workerTimers.delete(id)
 
-    // If no more timers, stop the worker
-    if (timerWorker && workerTimers.size === 0 && isWorkerTimerRunning) {
-      timerWorker.postMessage({ command: 'stop' })
-      isWorkerTimerRunning = false
-    }
+    // Stop the worker when no timers are left, or slow it to what the rest need
+    updateWorkerTick()
   } else if (typeof id === 'number' && id !== 0) {
     // It's a native setInterval ID (not in workerTimers)
     clearInterval(id)
@@ -433,338 +585,463 @@ initPlaybackSystem({
   updateStatus,
   getDeviceDisplayName,
   getDeviceType,
+  getDeviceDefaultIntensity,
+  isTypeCompatible,
   executeCommand,
   stopAllDeviceActions,
   mediaPlayer,
   globalIntensityScale,
-  deviceAssignments
+  deviceAssignments,
+  logEvent
 })
 
 // AI status check interval
 let aiStatusCheckInterval = null
 
-function parseDeviceCommands(text, skipModeCommands = false) {
-    const commands = []
+// Map play mode verbs (folder id and mode.json id, e.g. DENIAL / DENIAL_DOMINA) to mode ids
+function getModeVerbs() {
+  const verbs = {}
+  for (const [modeId, modeData] of Object.entries(PlayModeLoader.modes || {})) {
+    verbs[modeId.toUpperCase()] = modeId
+    if (modeData?.id) verbs[modeData.id.toUpperCase()] = modeId
+  }
+  return verbs
+}
+
+// Resolve a tag target to a device array index. Targets can be any/device (first
+// device), #N (slot, 1-based), A-D (funscript channel), a user alias, or part of
+// the device name. Returns { deviceIndex } or { error } - never guesses.
+function resolveTargetDevice(target) {
+  // With nothing connected executeCommand reports the problem itself
+  if (devices.length === 0 || target === 'any' || target === 'device') return { deviceIndex: 0 }
+
+  const slot = target.match(/^#(\d+)$/)
+  if (slot) {
+    const deviceIndex = parseInt(slot[1]) - 1
+    return devices[deviceIndex]
+      ? { deviceIndex }
+      : { error: `No device in slot #${slot[1]} (${devices.length} connected)` }
+  }
 
-    console.log(`${NAME}: Parsing commands from text:`, text.substring(0, 100) + '...', skipModeCommands ? '(skipping mode commands)' : '')
-  
-  // Match self-closing tags with device type: <type:command>
-  const deviceRegex = /<([a-z]+):([^>]+)>/gi
-  let match
-  
-  while ((match = deviceRegex.exec(text)) !== null) {
-    const deviceType = match[1].toLowerCase()
-    const commandText = match[2].trim().toUpperCase()
-    
-    console.log(`${NAME}: Found command - type: ${deviceType}, text: ${commandText}`)
-    
-    // Find matching device
-    let targetDeviceIndex = 0 // Default to first device
-    if (deviceType !== 'any' && deviceType !== 'device' && devices.length > 0) {
-      // Try to find device matching the type/name
-      const matchedIndex = devices.findIndex(dev => {
-        const devName = (dev.displayName || dev.name || '').toLowerCase()
-        return devName.includes(deviceType)
-      })
-      if (matchedIndex !== -1) {
-        targetDeviceIndex = matchedIndex
-      }
-    }
-    
-    // Check for STOP command first
-    if (commandText === 'STOP') {
-      commands.push({ type: 'stop', deviceIndex: targetDeviceIndex })
-      continue
+  if (/^[a-d]$/.test(target)) {
+    const channel = target.toUpperCase()
+    const deviceIndex = devices.findIndex(dev => deviceAssignments[dev.index] === channel)
+    return deviceIndex !== -1
+      ? { deviceIndex }
+      : { error: `No device is assigned to funscript channel ${channel}` }
+  }
+
+  const aliasIndex = devices.findIndex(dev => getDeviceAliases(dev).includes(target))
+  if (aliasIndex !== -1) return { deviceIndex: aliasIndex }
+
+  const nameIndex = devices.findIndex(dev => {
+    const devName = (dev.displayName || dev.name || '').toLowerCase()
+    return devName.includes(target)
+  })
+  if (nameIndex !== -1) return { deviceIndex: nameIndex }
+
+  return { error: `No connected device matches '${target}'` }
+}
+
+// Resolve a tag's target list (<plug,cage:...>, <all:...>, group names) to
+// device indices. Returns { deviceIndices } or { error } naming what didn't resolve.
+function resolveTargets(targets, seenGroups = new Set()) {
+  const deviceIndices = []
+  const unresolved = []
+
+  for (const target of targets) {
+    if (target === 'all') {
+      deviceIndices.push(...(devices.length > 0 ? devices.map((dev, idx) => idx) : [0]))
+    } else if (deviceGroups[target] && !seenGroups.has(target)) {
+      seenGroups.add(target)
+      const group = resolveTargets(deviceGroups[target], seenGroups)
+      if (group.error) unresolved.push(`group '${target}' (${group.error})`)
+      else deviceIndices.push(...group.deviceIndices)
+    } else {
+      const resolved = resolveTargetDevice(target)
+      if (resolved.error) unresolved.push(resolved.error)
+      else deviceIndices.push(resolved.deviceIndex)
     }
-    
-    // Check for INTERFACE system commands (start, connect, disconnect)
-    if (deviceType === 'interface' || deviceType === 'system') {
-if (commandText === 'START') {
-commands.push({ type: 'interface_start' })
-continue
-}
-if (commandText === 'CONNECT') {
-commands.push({ type: 'interface_connect' })
-continue
-}
-if (commandText === 'DISCONNECT') {
-commands.push({ type: 'interface_disconnect' })
-continue
-}
-if (commandText === 'SCAN') {
-commands.push({ type: 'interface_scan' })
-continue
-}
-}
-
-// Check for MEDIA commands
-if (deviceType === 'media') {
-if (commandText === 'LIST') {
-commands.push({ type: 'media_list' })
-continue
-}
-if (commandText === 'STOP') {
-commands.push({ type: 'media_stop' })
-continue
-}
-if (commandText === 'PAUSE') {
-commands.push({ type: 'media_pause' })
-continue
-}
-if (commandText === 'RESUME' || commandText === 'PLAY') {
-commands.push({ type: 'media_resume' })
-continue
-}
-// Parse PLAY command with filename
-// Format: PLAY: filename.ext or PLAY filename.ext (supports: mp4, m4a, mp3, wav, webm, mkv, avi, mov, ogg)
-const playMatch = commandText.match(/PLAY[\s:]+(.+)/i)
-if (playMatch) {
-commands.push({
-type: 'media_play',
-filename: playMatch[1].trim()
-})
-continue
+  }
+
+  if (unresolved.length > 0) return { error: unresolved.join('; ') }
+  return { deviceIndices: [...new Set(deviceIndices)] }
 }
-// Parse INTENSITY command for funscript
-// Format: INTENSITY: 150 or INTENSITY 150 (sets funscript intensity percentage)
-const intensityMatch = commandText.match(/INTENSITY[\s:]+(\d+)/i)
-if (intensityMatch) {
-const intensity = parseInt(intensityMatch[1])
-if (intensity >= 0 && intensity <= 500) {
-commands.push({
-type: 'media_intensity',
-intensity: intensity
-})
-} else {
-console.log(`${NAME}: Ignoring out-of-range media intensity: ${intensity}%`)
+
+// Whether a STOP's targets mean every device rather than the ones named
+function isGlobalStopTarget(targets) {
+  return targets.includes('all') || targets.every(target => target === 'any' || target === 'device')
 }
-      continue
-    }
+
+// Timed release fields from for=/then= (empty when for= isn't given)
+function toRelease(args) {
+  return args.for ? { releaseAfter: args.for, releaseLevel: args.then ?? 0 } : {}
+}
+
+// Convert a SCALAR actuator name to its Buttplug ActuatorType ('constrict' -> 'Constrict')
+function toActuatorType(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1)
+}
+
+// Check a target device has the actuator a ROTATE/SCALAR command needs; returns an error message or null
+function checkActuatorSupport(node, dev) {
+  if (node.verb === 'ROTATE' && !canRotate(dev)) {
+    return `${getDeviceDisplayName(dev)} cannot rotate`
   }
+  if (node.verb === 'SCALAR') {
+    const actuatorType = toActuatorType(node.args.actuator)
+    const count = getScalarActuators(dev, actuatorType).length
+    if (count === 0) return `${getDeviceDisplayName(dev)} has no ${actuatorType} actuator`
+    if (node.args.index > count) return `${getDeviceDisplayName(dev)} has only ${count} ${actuatorType} actuator${count === 1 ? '' : 's'}`
+  }
+  return null
+}
 
-// Parse PRESET command
-    // Format: PRESET: tease or PRESET tease
-    const presetMatch = commandText.match(/PRESET[\s:]+(\w+)/i)
-    if (presetMatch) {
-      commands.push({
-        type: 'preset',
-        presetName: presetMatch[1].toLowerCase(),
-        deviceIndex: targetDeviceIndex
-      })
-      continue
-    }
+// Convert a parsed motor= value (1-based list or 'all') to 0-based motor indices.
+// undefined means all motors.
+function toMotorIndices(motor) {
+  return Array.isArray(motor) ? motor.map(m => m - 1) : undefined
+}
 
-// Parse mode commands dynamically from PlayModeLoader (skip during streaming)
-    if (!skipModeCommands) {
-      const enabledModes = PlayModeLoader.getEnabledModes()
-      for (const modeId of enabledModes) {
-        const modeData = PlayModeLoader.modes[modeId]
-        if (!modeData) continue
-        
-        // Build regex from mode ID (convert snake_case to UPPER_SNAKE_CASE)
-        const modePrefix = modeId.toUpperCase().replace(/_/g, '_')
-        const regex = new RegExp(`${modePrefix}\\s*[:\\s]\\s*([\\w_]+)`, 'i')
-        const match = commandText.match(regex)
-        
-        if (match) {
-          const modeName = match[1].toLowerCase()
-          // Validate sequence exists before queuing
-          if (PlayModeLoader.getSequence(modeId, modeName)) {
-            commands.push({
-              type: modeId,
-              modeName: modeName,
-              deviceIndex: targetDeviceIndex
-            })
-          }
-          break // Found a match, no need to check other modes
-        }
-      }
+// Turn a parsed command node into an executable command object.
+// Returns null (and records an error) if the node can't be executed.
+function buildCommand(node, errors) {
+  const { args } = node
+  const source = { start: node.start, end: node.end, text: node.source }
+  const where = { verb: node.verb, target: node.target, start: node.start, end: node.end, source: node.source }
+
+  if (node.scope === 'system') {
+    return { type: `interface_${node.verb.toLowerCase()}`, source }
+  }
+
+  if (node.scope === 'media') {
+    switch (node.verb) {
+      case 'LIST': return { type: 'media_list', source }
+      case 'STOP': return { type: 'media_stop', source }
+      case 'PAUSE': return { type: 'media_pause', source }
+      case 'RESUME': return { type: 'media_resume', source }
+      case 'PLAY':
+        return args.file
+          ? { type: 'media_play', filename: args.file, source }
+          : { type: 'media_resume', source }
+      case 'INTENSITY': return { type: 'media_intensity', intensity: args.intensity, source }
     }
+  }
 
-    // Parse DUAL command (independent motor patterns)
-  // Format: DUAL: pattern1=sine, pattern2=sawtooth, min=10, max=80, duration=5000, cycles=3
-  const dualMatch = commandText.match(/DUAL[\s:]+pattern1[=:]?(\w+)(?:[\s,]+pattern2[=:]?(\w+))?(?:[\s,]+min[=:]?(\d+))?(?:[\s,]+max[=:]?(\d+))?(?:[\s,]+duration[=:]?(\d+))?(?:[\s,]+cycles[=:]?(\d+))?/i)
-  if (dualMatch) {
-    commands.push({
-      type: 'dual_waveform',
-      pattern1: dualMatch[1].toLowerCase(),
-      pattern2: dualMatch[2] ? dualMatch[2].toLowerCase() : dualMatch[1].toLowerCase(),
-      min: dualMatch[3] ? parseInt(dualMatch[3]) : 20,
-      max: dualMatch[4] ? parseInt(dualMatch[4]) : 80,
-      duration: dualMatch[5] ? parseInt(dualMatch[5]) : 5000,
-      cycles: dualMatch[6] ? parseInt(dualMatch[6]) : 3,
-      deviceIndex: targetDeviceIndex
-    })
-    continue
+  const resolved = resolveTargets(node.targets || [node.target])
+  if (resolved.error) {
+    errors.push(parseError(PARSE_ERRORS.UNKNOWN_TARGET, resolved.error, where))
+    return null
   }
 
-  // Parse WAVEFORM command
-    // Format: WAVEFORM: sine, min=10, max=80, duration=5000, cycles=3
-    const waveformMatch = commandText.match(/WAVEFORM[\s:]+(\w+)(?:[\s,]+min[=:]?(\d+))?(?:[\s,]+max[=:]?(\d+))?(?:[\s,]+duration[=:]?(\d+))?(?:[\s,]+cycles[=:]?(\d+))?/i)
-    if (waveformMatch) {
-      commands.push({
-        type: 'waveform',
-        pattern: waveformMatch[1].toLowerCase(),
-        min: waveformMatch[2] ? parseInt(waveformMatch[2]) : 20,
-        max: waveformMatch[3] ? parseInt(waveformMatch[3]) : 80,
-        duration: waveformMatch[4] ? parseInt(waveformMatch[4]) : 5000,
-        cycles: waveformMatch[5] ? parseInt(waveformMatch[5]) : 3,
-        deviceIndex: targetDeviceIndex
-      })
-      continue
+  let cmd
+  if (node.format === 'seq') {
+    cmd = buildSequenceCommand(node, resolved.deviceIndices, source, where, errors)
+  } else {
+    if (!checkTargetSupport(node, resolved.deviceIndices, where, errors)) return null
+    // STOP only stops the devices it names; untargeted (any/device) and <all:STOP> stop everything
+    cmd = node.verb === 'STOP' && !isGlobalStopTarget(node.targets || [node.target])
+      ? { type: 'device_stop', deviceIndex: resolved.deviceIndices[0], source }
+      : buildDeviceCommand(node, resolved.deviceIndices[0], source, where, errors)
+  }
+
+  // Multi-target commands fan out to every device at once in executeCommand
+  if (cmd && resolved.deviceIndices.length > 1) cmd.deviceIndices = resolved.deviceIndices
+  if (cmd && args.queue) cmd.queue = args.queue
+  return cmd
+}
+
+// Check every targeted device can run a node (motor=, ROTATE/SCALAR actuators).
+// Records an error and returns false if one can't.
+function checkTargetSupport(node, deviceIndices, where, errors) {
+  if (devices.length === 0) return true
+
+  for (const deviceIndex of deviceIndices) {
+    const dev = devices[deviceIndex]
+
+    // motor= must exist on every targeted device
+    if (Array.isArray(node.args.motor)) {
+      const motorCount = dev?.vibrateAttributes?.length || 0
+      const missing = node.args.motor.find(m => m > motorCount)
+      if (missing !== undefined) {
+        errors.push(parseError(PARSE_ERRORS.OUT_OF_RANGE, `${getDeviceDisplayName(dev)} has no motor ${missing} (${motorCount} motor${motorCount === 1 ? '' : 's'})`, { ...where, param: 'motor', value: missing }))
+        return false
+      }
     }
-    
-    // Parse GRADIENT command
-    // Format: GRADIENT: start=0, end=90, duration=10000, hold=5000
-    const gradientMatch = commandText.match(/GRADIENT[\s:]+start[=:]?(\d+)(?:[\s,]+end[=:]?(\d+))(?:[\s,]+duration[=:]?(\d+))?(?:[\s,]+hold[=:]?(\d+))?(?:[\s,]+release[=:]?(\d+))?/i)
-    if (gradientMatch) {
-      commands.push({
-        type: 'gradient',
-        start: parseInt(gradientMatch[1]),
-        end: parseInt(gradientMatch[2]),
-        duration: gradientMatch[3] ? parseInt(gradientMatch[3]) : 10000,
-        hold: gradientMatch[4] ? parseInt(gradientMatch[4]) : 0,
-        release: gradientMatch[5] ? parseInt(gradientMatch[5]) : 0,
-        deviceIndex: targetDeviceIndex
-      })
-      continue
+
+    // ROTATE/SCALAR need the matching actuator on every targeted device
+    const unsupported = checkActuatorSupport(node, dev)
+    if (unsupported) {
+      errors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, unsupported, where))
+      return false
     }
-    
-    // Parse INTENSITY command for AI to set global intensity
-  // Format: INTENSITY: 150 or INTENSITY 150 (can be 0-400)
-  const intensityMatch = commandText.match(/INTENSITY[\s:]+(\d+)/i)
-  if (intensityMatch) {
-    commands.push({
-      type: 'set_intensity',
-      intensity: Math.max(0, Math.min(400, parseInt(intensityMatch[1]))),
-      deviceIndex: targetDeviceIndex
-    })
-    continue
-  }
-
-  // Parse VIBRATE command
-    // Format: VIBRATE: 50 or VIBRATE 50
-    const vibrateMatch = commandText.match(/VIBRATE[:\s]+(\d+)/i)
-    if (vibrateMatch) {
-      commands.push({
-        type: 'vibrate',
-        intensity: Math.max(0, Math.min(100, parseInt(vibrateMatch[1]))),
-        motorIndex: 0,
-        deviceIndex: targetDeviceIndex
-      })
+  }
+  return true
+}
+
+// Compile a <seq> block into a timed program: [{ at, command }] with `at` in ms
+// from the start. WAIT advances the clock; a step with for= holds the clock for
+// its duration and gets its then= level as an explicit step, so the timing is
+// exact instead of relying on the release timer.
+function buildSequenceCommand(node, deviceIndices, source, where, errors) {
+  const program = []
+  let clock = 0
+
+  for (const step of node.args.steps) {
+    if (step.verb === 'WAIT') {
+      clock += step.args.duration
       continue
     }
-    
-    // Parse OSCILLATE command
-    // Format: OSCILLATE: 75 or OSCILLATE 75
-    const oscillateMatch = commandText.match(/OSCILLATE[:\s]+(\d+)/i)
-    if (oscillateMatch) {
-      commands.push({
-        type: 'oscillate',
-        intensity: Math.max(0, Math.min(100, parseInt(oscillateMatch[1]))),
-        deviceIndex: targetDeviceIndex
-      })
-      continue
+
+    const stepSource = { start: step.start, end: step.end, text: step.source }
+    const stepWhere = { ...where, verb: step.verb, start: step.start, end: step.end, source: step.source }
+    if (!checkTargetSupport(step, deviceIndices, stepWhere, errors)) return null
+
+    // STOP inside a block only stops the block's device, not everything
+    const built = step.verb === 'STOP'
+      ? { type: 'device_stop', source: stepSource }
+      : buildDeviceCommand(step, deviceIndices[0], stepSource, stepWhere, errors)
+    if (!built) return null
+
+    const { releaseAfter, releaseLevel, deviceIndex, ...command } = built
+    program.push({ at: clock, command })
+    if (releaseAfter) {
+      clock += releaseAfter
+      program.push({ at: clock, command: { ...command, [LEVEL_FIELDS[command.type]]: releaseLevel } })
     }
-    
-    // Parse LINEAR command
-    // Format: LINEAR: start=10, end=90, duration=1000
-    const linearMatch = commandText.match(/LINEAR[:\s]+start[=:\s]*(\d+)[,\s]+end[=:\s]*(\d+)[,\s]+duration[=:\s]*(\d+)/i)
-    if (linearMatch) {
-      commands.push({
-        type: 'linear',
-        startPos: parseInt(linearMatch[1]),
-        endPos: parseInt(linearMatch[2]),
-        duration: parseInt(linearMatch[3]),
-        deviceIndex: targetDeviceIndex
-      })
-      continue
+  }
+
+  return { type: 'sequence', program, duration: clock, deviceIndex: deviceIndices[0], source }
+}
+
+// Build the executable command for a device-scope node
+function buildDeviceCommand(node, deviceIndex, source, where, errors) {
+  const { args } = node
+
+  // Play mode sequences
+  if (node.mode) {
+    if (!PlayModeLoader.isModeEnabled(node.mode)) {
+      errors.push(parseError(PARSE_ERRORS.UNKNOWN_VERB, `Play mode '${node.verb}' is disabled`, where))
+      return null
     }
-    
-    // Parse PATTERN command
-    // Format: PATTERN: [20, 40, 60], interval=[1000, 500, 1000], loop=3
-    const patternMatch = commandText.match(/PATTERN[:\s]+\[([^\]]+)\](?:[,\s]+interval[=:\s]+\[([^\]]+)\])?(?:[,\s]+loop[=:\s]*(\d+))?/i)
-    if (patternMatch) {
-      const intensities = patternMatch[1].split(',').map(s => parseInt(s.trim())).filter(n => !isNaN(n))
-      const intervals = patternMatch[2]
-        ? patternMatch[2].split(',').map(s => parseInt(s.trim())).filter(n => !isNaN(n))
-        : [1000]
-      const loop = patternMatch[3] ? parseInt(patternMatch[3]) : undefined
-      
-      if (intensities.length > 0) {
-        commands.push({
-          type: 'vibrate_pattern',
-          pattern: intensities,
-          intervals: intervals,
-          loop: loop,
-          deviceIndex: targetDeviceIndex
-        })
-      }
-      continue
+    if (!PlayModeLoader.getSequence(node.mode, args.sequence)) {
+      errors.push(parseError(PARSE_ERRORS.BAD_PARAMETER, `Unknown ${node.verb} sequence '${args.sequence}'`, { ...where, param: 'sequence' }))
+      return null
     }
-    
-    // Try old JSON format as fallback
-    try {
-      const jsonText = commandText.startsWith('{') ? commandText : `{${commandText}}`
-      const command = JSON.parse(jsonText)
-      
-      if (command.VIBRATE !== undefined) {
-        if (typeof command.VIBRATE === 'number') {
-          commands.push({
-            type: 'vibrate',
-            intensity: Math.max(0, Math.min(100, command.VIBRATE)),
-            motorIndex: 0,
-            deviceIndex: targetDeviceIndex
-          })
-        } else if (typeof command.VIBRATE === 'object') {
-          commands.push({
-            type: 'vibrate_pattern',
-            pattern: command.VIBRATE.pattern || [50],
-            intervals: command.VIBRATE.interval || [1000],
-            loop: command.VIBRATE.loop,
-            deviceIndex: targetDeviceIndex
-          })
-        }
-      }
-      
-      if (command.OSCILLATE !== undefined) {
-        if (typeof command.OSCILLATE === 'number') {
-          commands.push({
-            type: 'oscillate',
-            intensity: Math.max(0, Math.min(100, command.OSCILLATE)),
-            deviceIndex: targetDeviceIndex
-          })
-        } else if (typeof command.OSCILLATE === 'object') {
-          commands.push({
-            type: 'oscillate_pattern',
-            pattern: command.OSCILLATE.pattern || [50],
-            intervals: command.OSCILLATE.interval || [1000],
-            loop: command.OSCILLATE.loop,
-            deviceIndex: targetDeviceIndex
-          })
-        }
+    return { type: node.mode, modeName: args.sequence, deviceIndex, source }
+  }
+
+  switch (node.verb) {
+    case 'STOP':
+      return { type: 'stop', deviceIndex, source }
+    case 'VIBRATE':
+      return { type: 'vibrate', intensity: args.intensity, motorIndex: 0, motors: toMotorIndices(args.motor), ...toRelease(args), deviceIndex, source }
+    case 'OSCILLATE':
+      return { type: 'oscillate', intensity: args.intensity, ...toRelease(args), deviceIndex, source }
+    case 'ROTATE':
+      return { type: 'rotate', speed: args.speed, clockwise: args.clockwise, ...toRelease(args), deviceIndex, source }
+    case 'SCALAR':
+      return {
+        type: 'scalar',
+        actuator: toActuatorType(args.actuator),
+        level: args.level,
+        actuatorIndex: args.index !== undefined ? args.index - 1 : undefined,
+        ...toRelease(args),
+        deviceIndex,
+        source
       }
-      
-      if (command.LINEAR !== undefined && typeof command.LINEAR === 'object') {
-        commands.push({
-          type: 'linear',
-          startPos: command.LINEAR.start_position || 0,
-          endPos: command.LINEAR.end_position || 100,
-          duration: command.LINEAR.duration || 1000,
-          deviceIndex: targetDeviceIndex
-        })
+    case 'LINEAR':
+      return { type: 'linear', startPos: args.start, endPos: args.end, duration: args.duration, deviceIndex, source }
+    case 'LINEAR_PATTERN':
+      return { type: 'linear_pattern', segments: args.segments, repeat: args.repeat, deviceIndex, source }
+    case 'PATTERN':
+      return {
+        type: args.actuator === 'oscillate' ? 'oscillate_pattern' : 'vibrate_pattern',
+        pattern: args.pattern,
+        intervals: args.interval,
+        loop: args.loop,
+        motors: toMotorIndices(args.motor),
+        deviceIndex,
+        source
       }
-      
-      if (command.STOP !== undefined) {
-        commands.push({ type: 'stop' })
+    case 'WAVEFORM':
+      return { type: 'waveform', pattern: args.pattern, min: args.min, max: args.max, duration: args.duration, cycles: args.cycles, motors: toMotorIndices(args.motor), deviceIndex, source }
+    case 'DUAL':
+      return {
+        type: 'dual_waveform',
+        pattern1: args.pattern1,
+        pattern2: args.pattern2 || args.pattern1,
+        min: args.min,
+        max: args.max,
+        duration: args.duration,
+        cycles: args.cycles,
+        deviceIndex,
+        source
       }
-    } catch (e) {
-      // Command not recognized
-      console.log(`${NAME}: Unrecognized command format: ${commandText}`)
+    case 'GRADIENT':
+      return { type: 'gradient', start: args.start, end: args.end, duration: args.duration, hold: args.hold, release: args.release, deviceIndex, source }
+    case 'RAMP':
+      return { type: 'ramp', to: args.to, duration: args.over, motors: toMotorIndices(args.motor), deviceIndex, source }
+    case 'INTENSITY':
+      return { type: 'set_intensity', intensity: args.intensity, deviceIndex, source }
+    case 'PRESET':
+      return { type: 'preset', presetName: args.name, deviceIndex, source }
+  }
+
+  errors.push(parseError(PARSE_ERRORS.UNKNOWN_VERB, `Unknown command '${node.verb}'`, where))
+  return null
+}
+
+// Parse device tags in a message into executable commands.
+// Returns { commands, errors, skipped } - errors are structured (see parser.js
+// PARSE_ERRORS); skipped lists tags inside excluded regions (code, <think>, ...).
+function parseDeviceCommands(text, skipModeCommands = false) {
+  const { nodes, errors, skipped } = parseCommandTags(text, getParseOptions())
+  return { ...buildCommands(nodes, errors, skipModeCommands), skipped }
+}
+
+// Build executable commands from parsed nodes (shared by full and streaming parses)
+function buildCommands(nodes, errors, skipModeCommands = false) {
+  const commands = []
+
+  for (const node of nodes) {
+    if (node.mode && skipModeCommands) continue
+    const cmd = buildCommand(node, errors)
+    if (cmd) commands.push(cmd)
+  }
+
+  return { commands, errors }
+}
+
+// Log structured parse errors for a message
+function reportParseErrors(errors) {
+  for (const error of errors) {
+    console.warn(`${NAME}: Command error ${formatParseError(error)}`, error)
+  }
+}
+
+// Log tags that were ignored because they sit in an excluded region
+function reportSkippedCommands(skipped) {
+  for (const entry of skipped) {
+    console.info(`${NAME}: Skipped ${entry.source} (${entry.reason})`)
+  }
+}
+
+// Region kinds whose tags are ignored (see parser.js EXCLUSION_REGIONS)
+let excludedRegions = [...EXCLUSION_REGIONS]
+
+// Load excluded regions from localStorage
+function loadExcludedRegions() {
+  try {
+    const saved = localStorage.getItem('intiface-excluded-regions')
+    if (saved) {
+      excludedRegions = JSON.parse(saved).filter(kind => EXCLUSION_REGIONS.includes(kind))
     }
+  } catch (e) {
+    console.error(`${NAME}: Failed to load excluded regions:`, e)
+    excludedRegions = [...EXCLUSION_REGIONS]
   }
-  
-  return commands
+}
+
+// Save excluded regions to localStorage
+function saveExcludedRegions(kinds) {
+  try {
+    excludedRegions = kinds
+    localStorage.setItem('intiface-excluded-regions', JSON.stringify(kinds))
+  } catch (e) {
+    console.error(`${NAME}: Failed to save excluded regions:`, e)
+  }
+}
+
+// Parser options shared by full-message and streaming parses
+function getParseOptions() {
+  return { modeVerbs: getModeVerbs(), exclude: excludedRegions }
+}
+
+// ==========================================
+// REJECTED COMMAND FEEDBACK
+// ==========================================
+// Commands rejected in the latest AI message are fed back to the model in the
+// next prompt injection, and optionally shown as a badge on the message.
+
+const MAX_REPORTED_ERRORS = 5
+let rejectedCommands = [] // Errors from the latest AI message
+let showCommandErrorBadges = false
+
+// Load the error badge setting from localStorage
+function loadCommandErrorBadges() {
+  try {
+    showCommandErrorBadges = localStorage.getItem('intiface-error-badges') === 'true'
+  } catch (e) {
+    console.error(`${NAME}: Failed to load error badge setting:`, e)
+    showCommandErrorBadges = false
+  }
+}
+
+// Save the error badge setting to localStorage
+function saveCommandErrorBadges(value) {
+  try {
+    showCommandErrorBadges = value
+    localStorage.setItem('intiface-error-badges', value.toString())
+  } catch (e) {
+    console.error(`${NAME}: Failed to save error badge setting:`, e)
+  }
+}
+
+// Remember the errors of an AI message for the next prompt (an empty list clears them).
+// Skipped tags are only shown on the badge - they were never meant to run.
+function recordRejectedCommands(messageId, errors, skipped = []) {
+  const hadErrors = rejectedCommands.length > 0
+  rejectedCommands = errors
+  if (showCommandErrorBadges) showCommandErrorBadge(messageId, errors, skipped)
+  if (hadErrors || errors.length > 0) updatePrompt()
+}
+
+// Shorten a command's source text for the prompt/badge
+function describeRejectedSource(error) {
+  const source = (error.source || '').replace(/\s+/g, ' ').trim()
+  return source.length > 80 ? `${source.slice(0, 77)}...` : source
+}
+
+// Build the prompt note listing the latest rejected commands
+function formatRejectedCommandsNote() {
+  if (rejectedCommands.length === 0) return ''
+
+  const lines = rejectedCommands.slice(0, MAX_REPORTED_ERRORS).map(error => {
+    const source = describeRejectedSource(error)
+    return `- ${source ? `${source} → ` : ''}${error.message}`
+  })
+  const more = rejectedCommands.length - lines.length
+  if (more > 0) lines.push(`- ...and ${more} more`)
+
+  return `
+=== YOUR LAST COMMANDS THAT FAILED ===
+These commands in your previous message were rejected and did nothing:
+${lines.join('\n')}
+Fix the syntax or target instead of repeating them.
+`
+}
+
+// Show (or clear) the rejected/skipped-command badge on a chat message
+function showCommandErrorBadge(messageId, errors, skipped = []) {
+  const mesBlock = $(`.mes[mesid="${messageId}"] .mes_block`)
+  mesBlock.find('.intiface-command-errors').remove()
+  if ((errors.length === 0 && skipped.length === 0) || mesBlock.length === 0) return
+
+  const summary = []
+  if (errors.length > 0) summary.push(`${errors.length} device command${errors.length === 1 ? '' : 's'} rejected`)
+  if (skipped.length > 0) summary.push(`${skipped.length} skipped`)
+  const details = [
+    ...errors.map(error => `${describeRejectedSource(error)}\n  ${error.message}`),
+    ...skipped.map(entry => `${describeRejectedSource(entry)}\n  skipped: ${entry.reason}`)
+  ].join('\n')
+  const badge = $(`<div class="intiface-command-errors" style="display: inline-flex; align-items: center; gap: 4px; margin-top: 4px; padding: 1px 6px; border-radius: 8px; font-size: 0.7em; background: rgba(255, 152, 0, 0.15); color: #FFB74D; cursor: help;">
+    <i class="fa-solid fa-triangle-exclamation"></i>
+    <span></span>
+  </div>`)
+  badge.find('span').text(summary.join(', '))
+  badge.attr('title', details)
+  mesBlock.find('.mes_text').after(badge)
 }
 
 // Execute a single command
@@ -773,9 +1050,20 @@ async function executeCommand(cmd) {
   if (cmd.type !== 'vibrate' || cmd.motorIndex === undefined || cmd.motorIndex === 0) {
     console.log(`${NAME}: Executing command type: ${cmd.type}`)
   }
+
+  // AI commands must fit the character's or chat's permission profile
+  if (getCommandOrigin(cmd) === 'ai') {
+    const denied = checkCommandPermission(cmd)
+    if (denied) {
+      console.warn(`${NAME}: Blocked AI command ${cmd.source?.text || cmd.type}: ${denied}`)
+      updateStatus(`Blocked AI command: ${denied}`, true)
+      return
+    }
+  }
   
 // System commands can run without connection
 if (cmd.type === 'interface_start' || cmd.type === 'interface_connect' || cmd.type === 'interface_disconnect' || cmd.type === 'interface_scan') {
+logEvent('command', getCommandOrigin(cmd), { command: cmd })
 try {
 switch (cmd.type) {
 case 'interface_start':
@@ -800,6 +1088,7 @@ break
 // Media commands
 if (cmd.type === 'media_list' || cmd.type === 'media_play' || cmd.type === 'media_stop' ||
 cmd.type === 'media_pause' || cmd.type === 'media_resume' || cmd.type === 'media_intensity') {
+logEvent('command', getCommandOrigin(cmd), { command: cmd })
 try {
 switch (cmd.type) {
 case 'media_list':
@@ -832,6 +1121,17 @@ break
     console.log(`${NAME}: Cannot execute device command - not connected or no devices`)
     return
   }
+
+  // Multi-target command: run on every target simultaneously (global commands once)
+  if (cmd.deviceIndices?.length > 1) {
+    const { deviceIndices, ...single } = cmd
+    if (cmd.type === 'stop' || cmd.type === 'set_intensity') {
+      await executeCommand(single)
+    } else {
+      await Promise.all(deviceIndices.map(deviceIndex => executeCommand({ ...single, deviceIndex })))
+    }
+    return
+  }
   
   // Use specified device index or default to first device
   const deviceIndex = cmd.deviceIndex !== undefined ? cmd.deviceIndex : 0
@@ -844,6 +1144,21 @@ break
   
   try {
     const deviceName = targetDevice?.displayName || targetDevice?.name || `Device ${deviceIndex}`
+
+    // A newer command on the same outputs takes over from any pending for= release
+    const outputKeys = getOutputKeys(cmd, targetDevice)
+    cancelTimedReleases(deviceIndex, outputKeys)
+
+    // Relative levels (+15, -20%) and RAMP start from what the outputs are doing now
+    cmd = resolveRelativeLevels(cmd, deviceIndex, outputKeys)
+
+    // STOP is logged by stopAllDeviceActions, which also runs for stops outside the queue
+    if (cmd.type !== 'stop') {
+      logEvent('command', getCommandOrigin(cmd), { deviceIndex: cmd.type === 'set_intensity' ? null : deviceIndex, command: cmd })
+    }
+
+    // Chat and manual commands take the outputs over from whichever message drove them
+    if (cmd.owner !== undefined) claimPlayback(deviceIndex, cmd, outputKeys)
     
   switch (cmd.type) {
 
@@ -855,21 +1170,26 @@ break
 
 case 'vibrate':
         const vibrateAttrs = targetDevice.vibrateAttributes
-        if (vibrateAttrs && vibrateAttrs[cmd.motorIndex]) {
+        if (vibrateAttrs && vibrateAttrs.length > 0) {
           // Apply global inversion if enabled
           let intensity = applyInversion(cmd.intensity)
           const intensityValue = intensity / 100
-          // Try simple vibrate method first (better for Lovense), fallback to scalar
+          const motors = getCommandMotors(cmd, vibrateAttrs.length)
+
+          if (motors) {
+            // Specific motors - one ScalarCmd so they change together
+            if (motors.length === 0) break
+            await targetDevice.scalar(motors.map(m => new buttplug.ScalarSubcommand(vibrateAttrs[m].Index, intensityValue, "Vibrate")))
+            if (cmd.motors) updateStatus(`${deviceName} motor ${motors.map(m => m + 1).join(', ')} vibrating at ${intensity}%`)
+            break
+          }
+
+          // All motors: try simple vibrate method first (better for Lovense), fallback to scalar
           try {
             await targetDevice.vibrate(intensityValue)
           } catch (e) {
             // Fallback to scalar command
-            const scalarCmd = new buttplug.ScalarSubcommand(
-              vibrateAttrs[cmd.motorIndex].Index,
-              intensityValue,
-              "Vibrate"
-            )
-            await targetDevice.scalar(scalarCmd)
+            await targetDevice.scalar(vibrateAttrs.map(attr => new buttplug.ScalarSubcommand(attr.Index, intensityValue, "Vibrate")))
           }
           updateStatus(`${deviceName} vibrating at ${intensity}%`)
         }
@@ -882,6 +1202,36 @@ case 'vibrate':
         updateStatus(`${deviceName} oscillating at ${oscillateIntensity}%`)
         break
 
+      case 'rotate':
+        // Apply global inversion if enabled
+        let rotateSpeed = applyInversion(cmd.speed)
+        if (targetDevice.rotateAttributes?.length > 0) {
+          await targetDevice.rotate(rotateSpeed / 100, cmd.clockwise !== false)
+        } else {
+          // Some devices expose rotation as a plain ScalarCmd actuator (no direction)
+          const rotateScalars = getScalarActuators(targetDevice, 'Rotate')
+          if (rotateScalars.length === 0) {
+            console.log(`${NAME}: ${deviceName} does not support rotation`)
+            break
+          }
+          await targetDevice.scalar(rotateScalars.map(attr => new buttplug.ScalarSubcommand(attr.Index, rotateSpeed / 100, "Rotate")))
+        }
+        updateStatus(`${deviceName} rotating ${cmd.clockwise !== false ? 'clockwise' : 'counter-clockwise'} at ${rotateSpeed}%`)
+        break
+
+      case 'scalar':
+        // Generic ScalarCmd actuator (Constrict, Inflate, ...); actuatorIndex picks one of that type
+        const scalarAttrs = getScalarActuators(targetDevice, cmd.actuator)
+          .filter((attr, idx) => cmd.actuatorIndex === undefined || idx === cmd.actuatorIndex)
+        if (scalarAttrs.length === 0) {
+          console.log(`${NAME}: ${deviceName} has no ${cmd.actuator} actuator`)
+          break
+        }
+        let scalarLevel = applyInversion(cmd.level)
+        await targetDevice.scalar(scalarAttrs.map(attr => new buttplug.ScalarSubcommand(attr.Index, scalarLevel / 100, attr.ActuatorType)))
+        updateStatus(`${deviceName} ${cmd.actuator.toLowerCase()} at ${scalarLevel}%`)
+        break
+
       case 'linear':
         // Apply global inversion if enabled (invert both positions)
         let startPos = applyInversion(cmd.startPos)
@@ -890,28 +1240,25 @@ case 'vibrate':
         updateStatus(`${deviceName} linear stroke ${startPos}% to ${endPos}%`)
         break
       
+      case 'linear_pattern':
+        // Segmented strokes from <device> blocks; replaces a stroke pattern already running
+        const previousStrokes = activePatterns.get(deviceIndex)
+        if (previousStrokes?.mode === 'linear_pattern') previousStrokes.stop()
+        await executeLinearPattern(deviceIndex, { segments: cmd.segments, repeat: cmd.repeat })
+        break
+
       case 'stop':
-        await stopAllDeviceActions()
+        await stopAllDeviceActions(getCommandOrigin(cmd))
         break
-      
+
       case 'vibrate_pattern':
         // Execute pattern - store in activePatterns for cleanup
-        const vibrateStop = executePattern(cmd, 'vibrate', deviceIndex)
-        activePatterns.set(deviceIndex, {
-          mode: 'pattern',
-          modeName: 'vibrate_pattern',
-          stop: vibrateStop
-        })
+        runTrackedPattern(deviceIndex, 'vibrate_pattern', executePattern(cmd, 'vibrate', deviceIndex))
         break
 
       case 'oscillate_pattern':
         // Execute pattern - store in activePatterns for cleanup
-        const oscillateStop = executePattern(cmd, 'oscillate', deviceIndex)
-        activePatterns.set(deviceIndex, {
-          mode: 'pattern',
-          modeName: 'oscillate_pattern',
-          stop: oscillateStop
-        })
+        runTrackedPattern(deviceIndex, 'oscillate_pattern', executePattern(cmd, 'oscillate', deviceIndex))
         break
       
       case 'preset':
@@ -924,7 +1271,8 @@ case 'vibrate':
         min: cmd.min,
         max: cmd.max,
         duration: cmd.duration,
-        cycles: cmd.cycles
+        cycles: cmd.cycles,
+        motors: cmd.motors
       })
       updateStatus(`${deviceName}: ${cmd.pattern} waveform (${cmd.min}-${cmd.max}%)`)
       break
@@ -957,7 +1305,7 @@ case 'vibrate':
         }
         updateStatus(`${deviceName}: ${cmd.pattern1} waveform (${cmd.min}-${cmd.max}%)`)
       }
-      await executePattern(patternDataDual, 'vibrate', deviceIndex)
+      await runTrackedPattern(deviceIndex, 'dual_waveform', executePattern(patternDataDual, 'vibrate', deviceIndex))
       break
       
 case 'gradient':
@@ -971,19 +1319,468 @@ case 'gradient':
       updateStatus(`${deviceName}: gradient ${cmd.start}% → ${cmd.end}%`)
       break
 
-    default:
-      // Check if cmd.type is a valid mode ID from PlayModeLoader
-      if (PlayModeLoader.isModeEnabled(cmd.type)) {
-        await executeTeaseAndDenialMode(cmd.deviceIndex, cmd.modeName)
-        updateStatus(`${deviceName}: Mode - ${cmd.modeName}`)
-      } else {
-        console.warn(`${NAME}: Unknown command type: ${cmd.type}`)
-      }
-      break
-    }
-  } catch (e) {
-    console.error(`${NAME}: Command execution failed:`, e)
+    case 'sequence':
+      // Timed <seq> program; replaces any program already running on this device
+      startSequenceProgram(deviceIndex, cmd.program, command => executeCommand({ ...command, deviceIndex, owner: cmd.owner, origin: 'internal', fromSequence: true }))
+      updateStatus(`${deviceName}: running sequence (${cmd.program.length} steps, ${(cmd.duration / 1000).toFixed(1)}s)`)
+      break
+
+    case 'device_stop':
+      // Stop a single device: a targeted STOP (<plug:STOP>), or a STOP step in a
+      // <seq> block, which leaves its own program running
+      if (!cmd.fromSequence) cancelSequencePrograms(deviceIndex)
+      cancelTimedReleases(deviceIndex)
+      outputLevels.delete(deviceIndex)
+      await stopDevicePattern(deviceIndex)
+      await targetDevice.stop()
+      updateStatus(`${deviceName} stopped`)
+      break
+
+    case 'ramp':
+      // All targeted motors move together from their current level to the target
+      updateStatus(`${deviceName}: ramping ${cmd.from}% → ${cmd.to}%`)
+      await executeGradientPattern(deviceIndex, {
+        start: cmd.from,
+        end: cmd.to,
+        duration: cmd.duration,
+        motors: cmd.motors,
+        together: true
+      })
+      break
+
+    default:
+      // Check if cmd.type is a valid mode ID from PlayModeLoader
+      if (PlayModeLoader.isModeEnabled(cmd.type)) {
+        await executeTeaseAndDenialMode(cmd.deviceIndex, cmd.modeName)
+        updateStatus(`${deviceName}: Mode - ${cmd.modeName}`)
+      } else {
+        console.warn(`${NAME}: Unknown command type: ${cmd.type}`)
+      }
+      break
+    }
+
+    // Remember what the outputs were set to for later relative commands. Pattern
+    // steps carry their level from before scaling and inversion.
+    const level = cmd.trackedLevel ?? getCommandLevel(cmd)
+    if (level !== undefined) setOutputLevels(deviceIndex, outputKeys, level)
+
+    // for=<ms>: drop back to then=<level> unless something newer takes over first
+    if (cmd.releaseAfter) {
+      scheduleTimedRelease(deviceIndex, getOutputKeys(cmd, targetDevice), cmd.releaseAfter, (remainingKeys) => {
+        executeCommand({ ...getReleaseCommand(cmd, remainingKeys), origin: 'internal' })
+      })
+    }
+  } catch (e) {
+    console.error(`${NAME}: Command execution failed:`, e)
+  }
+}
+
+// Get the device outputs a command drives, e.g. ['vibrate:0', 'vibrate:1'] or ['rotate'].
+// Used to decide which pending for= releases a command preempts.
+function getOutputKeys(cmd, targetDevice) {
+  const motorCount = getMotorCount(targetDevice)
+  const allMotors = Array.from({ length: motorCount }, (_, m) => `vibrate:${m}`)
+
+  switch (cmd.type) {
+    case 'vibrate': {
+      const motors = getCommandMotors(cmd, motorCount)
+      return motors ? motors.map(m => `vibrate:${m}`) : allMotors
+    }
+    case 'vibrate_pattern':
+    case 'waveform':
+    case 'ramp':
+      return cmd.motors ? cmd.motors.map(m => `vibrate:${m}`) : allMotors
+    case 'oscillate':
+    case 'oscillate_pattern':
+      return ['oscillate']
+    case 'rotate':
+      return ['rotate']
+    case 'scalar':
+      return getScalarActuators(targetDevice, cmd.actuator)
+        .map((attr, idx) => `${cmd.actuator}:${idx}`)
+        .filter((key, idx) => cmd.actuatorIndex === undefined || idx === cmd.actuatorIndex)
+    case 'linear':
+    case 'linear_pattern':
+    case 'set_intensity':
+      return []
+    default:
+      // Presets, gradients, dual waveforms and play modes drive all vibrators
+      return allMotors
+  }
+}
+
+// ==========================================
+// TRACKED OUTPUT LEVELS
+// ==========================================
+// Last level sent to each output (0-100, before scaling and inversion), keyed like
+// getOutputKeys. Relative commands and RAMP start from these.
+
+const outputLevels = new Map() // deviceIndex -> Map(outputKey -> level)
+
+// The field holding the level each output command sets
+const LEVEL_FIELDS = { vibrate: 'intensity', oscillate: 'intensity', rotate: 'speed', scalar: 'level' }
+
+// Get the level a command sets, if it sets one
+function getCommandLevel(cmd) {
+  return LEVEL_FIELDS[cmd.type] ? cmd[LEVEL_FIELDS[cmd.type]] : undefined
+}
+
+// Record the level now driving the given outputs
+function setOutputLevels(deviceIndex, keys, level) {
+  if (!outputLevels.has(deviceIndex)) outputLevels.set(deviceIndex, new Map())
+  const levels = outputLevels.get(deviceIndex)
+  for (const key of keys) levels.set(key, level)
+}
+
+// Get the current level of a set of outputs (the strongest one; 0 if never set)
+function getOutputLevel(deviceIndex, keys) {
+  const levels = outputLevels.get(deviceIndex)
+  if (!levels) return 0
+  return keys.reduce((max, key) => Math.max(max, levels.get(key) || 0), 0)
+}
+
+// Apply a relative level to the current one: { delta } adds points, { percent } scales it
+function applyRelativeLevel(current, value) {
+  const target = value.percent !== undefined ? current * (1 + value.percent / 100) : current + value.delta
+  return Math.max(0, Math.min(100, Math.round(target)))
+}
+
+// Replace relative { delta } and { percent } levels with absolute ones and fill in a RAMP's start level
+function resolveRelativeLevels(cmd, deviceIndex, keys) {
+  const field = cmd.type === 'ramp' ? 'to' : LEVEL_FIELDS[cmd.type]
+  if (!field) return cmd
+
+  const current = getOutputLevel(deviceIndex, keys)
+  const value = cmd[field]
+  const resolved = { ...cmd }
+  if (value && typeof value === 'object') resolved[field] = applyRelativeLevel(current, value)
+  if (cmd.type === 'ramp') resolved.from = current
+  return resolved
+}
+
+// Build the command a for= release runs for the outputs it still owns
+function getReleaseCommand(cmd, remainingKeys) {
+  const { releaseAfter, releaseLevel, source, ...release } = cmd
+  const level = releaseLevel ?? 0
+
+  switch (cmd.type) {
+    case 'vibrate':
+      return { ...release, intensity: level, motors: remainingKeys.map(key => parseInt(key.split(':')[1])) }
+    case 'rotate':
+      return { ...release, speed: level }
+    case 'scalar':
+      return remainingKeys.length === 1
+        ? { ...release, level, actuatorIndex: parseInt(remainingKeys[0].split(':')[1]) }
+        : { ...release, level }
+    default:
+      return { ...release, intensity: level }
+  }
+}
+
+// ==========================================
+// MESSAGE PLAYBACK OWNERSHIP
+// ==========================================
+// Chat commands carry an owner: the message that issued them and the swipe
+// showing at the time. Each output, pattern and <seq> program belongs to the
+// last owner that drove it, so swiping, deleting or editing a message stops
+// exactly what that message still controls. Manual controls use owner null.
+
+const outputOwners = new Map() // deviceIndex -> Map(outputKey -> owner)
+const patternOwners = new Map() // deviceIndex -> owner of the pattern or program running there
+const issuedMessageText = new WeakMap() // message -> text its commands were issued from
+
+// Where a command came from, for the session log: chat commands carry an
+// owner, manual controls owner null. Anything else (pattern steps, replays)
+// says so itself or counts as internal.
+function getCommandOrigin(cmd) {
+  if (cmd.origin) return cmd.origin
+  if (cmd.owner === null) return 'ui'
+  if (cmd.owner || cmd.source) return 'ai'
+  return 'internal'
+}
+
+// Commands that keep playing after executeCommand has started them
+const BACKGROUND_COMMANDS = new Set(['vibrate_pattern', 'oscillate_pattern', 'preset', 'waveform', 'dual_waveform', 'gradient', 'ramp', 'linear_pattern', 'sequence'])
+
+// Get the owner for commands issued by a chat message. The message object is
+// kept rather than its index, which shifts when earlier messages are deleted.
+function getMessageOwner(message) {
+  if (!message || message.is_user) return null
+  return { message, swipeId: message.swipe_id ?? 0 }
+}
+
+// Match owners issued by one message, optionally only a given swipe of it
+function ownedByMessage(message, swipeId = null) {
+  return owner => !!owner && owner.message === message && (swipeId === null || owner.swipeId === swipeId)
+}
+
+// Record the owner now driving a device's outputs (and its pattern, if it starts one)
+function claimPlayback(deviceIndex, cmd, keys) {
+  if (!outputOwners.has(deviceIndex)) outputOwners.set(deviceIndex, new Map())
+  const owners = outputOwners.get(deviceIndex)
+  for (const key of keys) owners.set(key, cmd.owner)
+
+  if (BACKGROUND_COMMANDS.has(cmd.type) || PlayModeLoader.isModeEnabled(cmd.type)) {
+    patternOwners.set(deviceIndex, cmd.owner)
+  }
+}
+
+// Forget all ownership (everything was stopped or the devices went away)
+function clearPlaybackOwners() {
+  outputOwners.clear()
+  patternOwners.clear()
+}
+
+// Check whether any queued command, pattern or output still belongs to a matching owner
+function ownsPlayback(isOwned) {
+  return messageCommands.some(cmd => isOwned(cmd.owner)) ||
+    [...patternOwners.values()].some(isOwned) ||
+    [...outputOwners.values()].some(owners => [...owners.values()].some(isOwned))
+}
+
+// Commands that turn the given outputs off
+function getZeroCommands(keys) {
+  const motors = []
+  const commands = []
+  for (const key of keys) {
+    const [output, index] = key.split(':')
+    if (output === 'vibrate') motors.push(parseInt(index))
+    else if (output === 'oscillate') commands.push({ type: 'oscillate', intensity: 0 })
+    else if (output === 'rotate') commands.push({ type: 'rotate', speed: 0 })
+    else commands.push({ type: 'scalar', actuator: output, level: 0, actuatorIndex: parseInt(index) })
+  }
+  if (motors.length > 0) commands.unshift({ type: 'vibrate', intensity: 0, motors })
+  return commands
+}
+
+// Stop the queued commands, patterns, programs and outputs of matching owners.
+// Outputs another message (or the user) has since taken over keep running.
+async function stopOwnedPlayback(isOwned) {
+  messageCommands = messageCommands.filter(cmd => !isOwned(cmd.owner))
+  dropPendingApprovals(cmd => isOwned(cmd.owner))
+
+  const deviceIndices = new Set([...outputOwners.keys(), ...patternOwners.keys()])
+  for (const deviceIndex of deviceIndices) {
+    if (isOwned(patternOwners.get(deviceIndex))) {
+      patternOwners.delete(deviceIndex)
+      cancelSequencePrograms(deviceIndex)
+      cancelDevicePattern(deviceIndex)
+    }
+
+    const owners = outputOwners.get(deviceIndex)
+    const keys = owners ? [...owners].filter(([, owner]) => isOwned(owner)).map(([key]) => key) : []
+    if (keys.length === 0) continue
+    keys.forEach(key => owners.delete(key))
+    cancelTimedReleases(deviceIndex, keys)
+
+    if (!client.connected) continue
+    for (const command of getZeroCommands(keys)) {
+      await executeCommand({ ...command, deviceIndex })
+    }
+  }
+}
+
+// Swiping shows another version of a reply: stop what the hidden versions still drive
+async function onMessageSwiped(messageId) {
+  const message = getContext().chat[messageId]
+  if (!message) return
+
+  const currentSwipe = message.swipe_id ?? 0
+  await stopOwnedPlayback(owner => ownedByMessage(message)(owner) && owner.swipeId !== currentSwipe)
+  renderMessageHaptics(messageId)
+}
+
+// Deleted messages (including the reply a regenerate throws away) stop what they still drive
+async function onMessageDeleted() {
+  const chat = getContext().chat
+  await stopOwnedPlayback(owner => !!owner && !chat.includes(owner.message))
+}
+
+// Editing a reply replaces whatever it still drives with the edited commands
+async function onMessageEdited(messageId) {
+  const context = getContext()
+  const message = context.chat[messageId]
+  const owner = getMessageOwner(message)
+  if (!owner || message.mes === issuedMessageText.get(message)) return
+
+  const isOwned = ownedByMessage(message, owner.swipeId)
+  if (!ownsPlayback(isOwned)) return
+
+  console.log(`${NAME}: Message ${messageId} edited - replacing its commands`)
+  issuedMessageText.set(message, message.mes)
+  await stopOwnedPlayback(isOwned)
+
+  const { commands, errors, skipped } = parseDeviceCommands(message.mes || '')
+  reportParseErrors(errors)
+  reportSkippedCommands(skipped)
+  recordRejectedCommands(messageId, errors, skipped)
+
+  // System commands aren't replayed - an edit shouldn't restart or reconnect Intiface.
+  // The rest pass the approval gate again, like a new message.
+  const deviceCommandsList = commands.filter(cmd => !cmd.type.startsWith('interface_'))
+  messageCommands.push(...withoutHeldCommands(deviceCommandsList.map(cmd => ({ ...cmd, owner }))))
+  processCommandQueue()
+}
+
+// ==========================================
+// MESSAGE HAPTICS INSPECTOR
+// ==========================================
+// A small control under each AI message lists the commands parsed from it and
+// can replay them or stop what the message is still playing.
+
+let showMessageHaptics = true
+
+// Colors for inspector row statuses
+const HAPTICS_STATUS_COLORS = { ready: '#4CAF50', rejected: '#FFB74D', ignored: '#888' }
+
+// Load the message haptics control setting from localStorage
+function loadMessageHaptics() {
+  try {
+    showMessageHaptics = localStorage.getItem('intiface-message-haptics') !== 'false'
+  } catch (e) {
+    console.error(`${NAME}: Failed to load message haptics setting:`, e)
+    showMessageHaptics = true
+  }
+}
+
+// Save the message haptics control setting to localStorage
+function saveMessageHaptics(value) {
+  try {
+    showMessageHaptics = value
+    localStorage.setItem('intiface-message-haptics', value.toString())
+  } catch (e) {
+    console.error(`${NAME}: Failed to save message haptics setting:`, e)
+  }
+}
+
+// Format parsed tag parameters for display, e.g. "intensity=+15, motor=[1,2]"
+function formatCommandArgs(args = {}) {
+  return Object.entries(args)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      if (key === 'steps' && Array.isArray(value)) return `${value.length} step${value.length === 1 ? '' : 's'}`
+      if (value && typeof value === 'object' && value.delta !== undefined) return `${key}=${value.delta > 0 ? '+' : ''}${value.delta}`
+      if (value && typeof value === 'object' && value.percent !== undefined) return `${key}=${value.percent > 0 ? '+' : ''}${value.percent}%`
+      return `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`
+    })
+    .join(', ')
+}
+
+// List every command in a message with its parse status: ready, rejected
+// (with the reason) or ignored (inside an excluded region). Ordered as written.
+function inspectMessageCommands(text) {
+  const { nodes, errors, skipped } = parseCommandTags(text, getParseOptions())
+  const rows = []
+
+  for (const node of nodes) {
+    const nodeErrors = []
+    const cmd = buildCommand(node, nodeErrors)
+    rows.push({
+      start: node.start,
+      target: (node.targets || [node.target]).join(','),
+      verb: node.verb,
+      params: formatCommandArgs(node.args),
+      status: cmd && nodeErrors.length === 0 ? 'ready' : 'rejected',
+      detail: nodeErrors.map(error => error.message).join('; ') || node.source
+    })
+  }
+  for (const error of errors) {
+    rows.push({ start: error.start ?? 0, target: error.target || '', verb: error.verb || '?', params: '', status: 'rejected', detail: error.message })
+  }
+  for (const entry of skipped) {
+    rows.push({ start: entry.start, target: entry.target, verb: entry.verb, params: '', status: 'ignored', detail: entry.reason })
+  }
+
+  return rows.sort((a, b) => a.start - b.start)
+}
+
+// Add (or refresh) the haptics control under an AI message
+function renderMessageHaptics(messageId) {
+  const mesBlock = $(`.mes[mesid="${messageId}"] .mes_block`)
+  mesBlock.find('.intiface-message-haptics').remove()
+  const message = getContext().chat[messageId]
+
+  // Re-rendering the message can drop its approval prompts
+  const hasPending = [...pendingApprovals.values()].some(pending => pending.cmd.owner?.message === message)
+  if (hasPending && mesBlock.find('.intiface-approval').length === 0) renderApprovalPrompts()
+
+  if (!showMessageHaptics || mesBlock.length === 0 || !message || message.is_user) return
+
+  const rows = inspectMessageCommands(message.mes || '')
+  if (rows.length === 0) return
+
+  const control = $(`<div class="intiface-message-haptics" style="margin-top: 4px; font-size: 0.7em; color: #aaa;">
+    <div style="display: flex; align-items: center; gap: 10px;">
+      <span class="intiface-haptics-toggle" style="cursor: pointer;"><i class="fa-solid fa-wave-square"></i> <span></span> <i class="fa-solid fa-chevron-down"></i></span>
+      <span class="intiface-haptics-replay" title="Replay this message's device commands" style="cursor: pointer;"><i class="fa-solid fa-rotate-right"></i> Replay</span>
+      <span class="intiface-haptics-stop" title="Stop what this message is still playing" style="cursor: pointer;"><i class="fa-solid fa-stop"></i> Stop</span>
+    </div>
+    <div class="intiface-haptics-list" style="display: none; margin-top: 3px; padding: 4px 6px; border-radius: 4px; background: rgba(0,0,0,0.15);"></div>
+  </div>`)
+  control.find('.intiface-haptics-toggle > span').text(`${rows.length} device command${rows.length === 1 ? '' : 's'}`)
+
+  const list = control.find('.intiface-haptics-list')
+  for (const row of rows) {
+    const item = $(`<div style="display: flex; gap: 6px; flex-wrap: wrap;">
+      <span class="intiface-haptics-status"></span>
+      <span class="intiface-haptics-target" style="color: #888;"></span>
+      <span class="intiface-haptics-verb" style="font-weight: bold;"></span>
+      <span class="intiface-haptics-params"></span>
+    </div>`)
+    item.find('.intiface-haptics-status').text(row.status).css('color', HAPTICS_STATUS_COLORS[row.status])
+    item.find('.intiface-haptics-target').text(row.target)
+    item.find('.intiface-haptics-verb').text(row.verb)
+    item.find('.intiface-haptics-params').text(row.params)
+    item.attr('title', row.detail)
+    list.append(item)
+  }
+
+  // Keep it below the rejected-command badge, if there is one
+  const badge = mesBlock.find('.intiface-command-errors')
+  if (badge.length > 0) badge.after(control)
+  else mesBlock.find('.mes_text').after(control)
+}
+
+// Refresh the haptics control on every message currently shown
+function renderAllMessageHaptics() {
+  $('.mes[mesid]').each(function() {
+    renderMessageHaptics($(this).attr('mesid'))
+  })
+}
+
+// Re-run a chat message's device commands from the start. Uses the same parser
+// and queue as live messages, so tags, <seq> and <device> blocks all work here.
+async function replayMessage(messageId) {
+  const message = getContext().chat[messageId]
+  if (!message || !message.mes) return
+
+  const { commands, errors, skipped } = parseDeviceCommands(message.mes)
+  reportParseErrors(errors)
+  reportSkippedCommands(skipped)
+
+  // System commands aren't replayed - a replay shouldn't restart or reconnect Intiface
+  const owner = getMessageOwner(message)
+  const deviceCommandsList = commands
+    .filter(cmd => !cmd.type.startsWith('interface_'))
+    .map(cmd => ({ ...cmd, owner }))
+  if (deviceCommandsList.length === 0) {
+    updateStatus("No device commands in that message")
+    return
   }
+
+  issuedMessageText.set(message, message.mes)
+  messageCommands = []
+  await stopAllDeviceActions()
+  messageCommands = deviceCommandsList
+  processCommandQueue()
+}
+
+// Stop what a message (any of its swipes) is still playing
+async function stopMessagePlayback(messageId) {
+  const message = getContext().chat[messageId]
+  if (!message) return
+  await stopOwnedPlayback(ownedByMessage(message))
+  updateStatus("Stopped this message's device commands")
 }
 
 // Handle Intiface start command
@@ -1439,9 +2236,21 @@ function updateAIStatusFromActivity() {
 const statusEl = $("#intiface-ai-status")
 const textEl = $("#intiface-ai-status-text")
 
+if (aiControlPaused) {
+statusEl.css("background", "rgba(244, 67, 54, 0.15)")
+textEl.css("color", "#f44336").text(`AI device control paused after emergency stop (${emergencyStopReason})`)
+return
+}
+
+if (pendingApprovals.size > 0) {
+statusEl.css("background", "rgba(255, 183, 77, 0.15)")
+textEl.css("color", "#FFB74D").text(`${pendingApprovals.size} AI command${pendingApprovals.size === 1 ? '' : 's'} waiting for your approval`)
+return
+}
+
 // Check if any patterns are active or command queue is running
 const hasActivePatterns = activePatterns.size > 0
-const isProcessing = isExecutingCommands || messageCommands.length > 0
+const isProcessing = busyLanes.size > 0 || messageCommands.length > 0
 
 if (hasActivePatterns || isProcessing) {
 statusEl.css("background", "rgba(76, 175, 80, 0.15)")
@@ -1466,125 +2275,641 @@ aiStatusCheckInterval = null
 }
 }
 
-// Process command queue sequentially
-async function processCommandQueue() {
-if (isExecutingCommands || messageCommands.length === 0) return
+// ==========================================
+// PER-DEVICE COMMAND QUEUES
+// ==========================================
+// Queued commands run in per-device lanes, so commands for different devices
+// never wait on each other. A command's queue= policy decides how it joins
+// the lanes of the devices it targets:
+// - append (default): runs after the earlier commands on those devices
+// - replace: drops the earlier pending commands on those devices and cancels
+//   their running pattern or sequence, then runs at once
+// - layer: runs at once alongside whatever is playing, leaving the lane alone
+// STOP occupies every device's lane; INTENSITY and media commands have none.
+
+const busyLanes = new Map() // deviceIndex -> command currently running in that lane
+
+// Get the device lanes a queued command occupies
+function getCommandLanes(cmd) {
+  if (cmd.type === 'stop') return devices.map((dev, index) => index)
+  if (cmd.type === 'set_intensity' || cmd.type.startsWith('media_')) return []
+  return cmd.deviceIndices || [cmd.deviceIndex ?? 0]
+}
+
+// 'replace': drop the commands waiting ahead of cmd on its lanes and cancel
+// what those devices are playing, handing the lanes to cmd
+function preemptLanes(cmd, lanes) {
+  const ahead = messageCommands.slice(0, messageCommands.indexOf(cmd))
+  const dropped = new Set(ahead.filter(pending => getCommandLanes(pending).some(lane => lanes.includes(lane))))
+  if (dropped.size > 0) {
+    console.log(`${NAME}: ${cmd.type} replaces ${dropped.size} queued command${dropped.size === 1 ? '' : 's'}`)
+    messageCommands = messageCommands.filter(pending => !dropped.has(pending))
+  }
 
-// Check if media player is active before starting
-const playerPanel = $("#intiface-chat-media-panel")
-const isMediaPlaying = playerPanel.length > 0 && playerPanel.is(":visible") && mediaPlayer.isPlaying
+  for (const lane of lanes) {
+    cancelSequencePrograms(lane)
+    cancelDevicePattern(lane)
+    busyLanes.delete(lane)
+  }
+}
 
-if (isMediaPlaying) {
-// Clear all pending commands if media is playing
-if (messageCommands.length > 0) {
-console.log(`${NAME}: Clearing ${messageCommands.length} pending AI commands - media player is active`)
-messageCommands = []
+// Run a command, holding its lanes until it finishes
+async function runQueuedCommand(cmd, lanes) {
+  lanes.forEach(lane => busyLanes.set(lane, cmd))
+  try {
+    await executeCommand(cmd)
+  } finally {
+    lanes.forEach(lane => {
+      if (busyLanes.get(lane) === cmd) busyLanes.delete(lane)
+    })
+    processCommandQueue()
+    updateAIStatusFromActivity()
+  }
 }
-return
+
+// Start every queued command whose lanes allow it. Called whenever commands
+// are queued and whenever a lane frees up.
+function processCommandQueue() {
+  if (messageCommands.length === 0) return
+
+  if (aiControlPaused) {
+    console.log(`${NAME}: Dropping ${messageCommands.length} queued command(s) - AI device control is paused`)
+    messageCommands = []
+    return
+  }
+
+  // Skip AI device commands when media player is open (funscript/media has priority until player is closed)
+  const playerPanel = $("#intiface-chat-media-panel")
+  if (playerPanel.length > 0 && playerPanel.is(":visible") && mediaPlayer.isPlaying) {
+    console.log(`${NAME}: Clearing ${messageCommands.length} pending AI commands - media player is active`)
+    messageCommands = []
+    return
+  }
+
+  startAIStatusMonitoring()
+
+  // Lanes an earlier command is still running in or waiting for, so order is kept per device
+  const blockedLanes = new Set(busyLanes.keys())
+
+  for (const cmd of [...messageCommands]) {
+    // Dropped by an earlier 'replace' in this pass
+    if (!messageCommands.includes(cmd)) continue
+
+    // Skip system commands - they should have been handled immediately
+    if (cmd.type === 'interface_start' || cmd.type === 'interface_connect' || cmd.type === 'interface_disconnect') {
+      console.log(`${NAME}: Skipping system command in queue (should have been handled immediately): ${cmd.type}`)
+      messageCommands = messageCommands.filter(pending => pending !== cmd)
+      continue
+    }
+
+    const lanes = getCommandLanes(cmd)
+    const policy = cmd.queue || 'append'
+    if (policy === 'append' && lanes.some(lane => blockedLanes.has(lane))) {
+      lanes.forEach(lane => blockedLanes.add(lane))
+      continue
+    }
+
+    if (policy === 'replace') preemptLanes(cmd, lanes)
+    messageCommands = messageCommands.filter(pending => pending !== cmd)
+
+    // Device commands require connection
+    if (!client.connected) {
+      console.log(`${NAME}: Skipping device command - not connected`)
+      continue
+    }
+
+    const heldLanes = policy === 'layer' ? [] : lanes
+    heldLanes.forEach(lane => blockedLanes.add(lane))
+    runQueuedCommand(cmd, heldLanes)
+  }
+
+  updateAIStatusFromActivity()
+}
+
+// ==========================================
+// EMERGENCY STOP
+// ==========================================
+// A hotkey, or a safeword in a user message, stops every device, the
+// timeline, media sync and session replay at once, and pauses AI device
+// control until the user resumes it. While paused, AI commands are dropped
+// and the prompt only tells the AI that a stop happened.
+
+let aiControlPaused = false
+let emergencyStopReason = null // What triggered the pause (shown to the user and the AI)
+let emergencyHotkey = 'Ctrl+Shift+X'
+let safewords = [] // Lowercase words/phrases, matched as whole words
+
+// Load the hotkey, safewords and paused state from localStorage
+function loadEmergencyStopSettings() {
+  try {
+    const savedHotkey = localStorage.getItem('intiface-estop-hotkey')
+    if (savedHotkey !== null) emergencyHotkey = savedHotkey
+    const savedSafewords = localStorage.getItem('intiface-safewords')
+    if (savedSafewords) safewords = JSON.parse(savedSafewords)
+    const savedPause = localStorage.getItem('intiface-ai-paused')
+    if (savedPause) {
+      aiControlPaused = true
+      emergencyStopReason = JSON.parse(savedPause).reason
+    }
+  } catch (e) {
+    console.error(`${NAME}: Failed to load emergency stop settings:`, e)
+  }
 }
 
-isExecutingCommands = true
-startAIStatusMonitoring()
+// Save the safeword list (one word or phrase per line in the settings)
+function saveSafewords(text) {
+  safewords = [...new Set(text.split('\n').map(word => word.trim().toLowerCase()).filter(Boolean))]
+  try {
+    localStorage.setItem('intiface-safewords', JSON.stringify(safewords))
+    console.log(`${NAME}: Saved ${safewords.length} safeword(s)`)
+  } catch (e) {
+    console.error(`${NAME}: Failed to save safewords:`, e)
+  }
+}
 
-while (messageCommands.length > 0) {
-const cmd = messageCommands.shift()
+// Save the emergency stop hotkey ('' disables it)
+function saveEmergencyHotkey(hotkey) {
+  emergencyHotkey = hotkey
+  try {
+    localStorage.setItem('intiface-estop-hotkey', hotkey)
+    console.log(`${NAME}: Saved emergency stop hotkey: ${hotkey || '(none)'}`)
+  } catch (e) {
+    console.error(`${NAME}: Failed to save emergency stop hotkey:`, e)
+  }
+}
 
-// Skip system commands - they should have been handled immediately
-if (cmd.type === 'interface_start' || cmd.type === 'interrface_connect' || cmd.type === 'interface_disconnect') {
-console.log(`${NAME}: Skipping system command in queue (should have been handled immediately): ${cmd.type}`)
-continue
+// Save whether AI control is paused, so a reload doesn't silently resume it
+function saveAIControlPause() {
+  try {
+    if (aiControlPaused) {
+      localStorage.setItem('intiface-ai-paused', JSON.stringify({ reason: emergencyStopReason }))
+    } else {
+      localStorage.removeItem('intiface-ai-paused')
+    }
+  } catch (e) {
+    console.error(`${NAME}: Failed to save AI control pause:`, e)
+  }
 }
 
-// Skip AI device commands when media player is open (funscript/media has priority until player is closed)
-const currentPlayerPanel = $("#intiface-chat-media-panel")
-if (currentPlayerPanel.length > 0 && currentPlayerPanel.is(":visible") && mediaPlayer.isPlaying) {
-console.log(`${NAME}: Skipping AI command - media player is active: ${cmd.type}`)
-// Clear remaining commands
-messageCommands = []
-break
+// Key combination of a keydown event, like 'Ctrl+Shift+X', or null for a lone modifier
+function formatHotkey(event) {
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) return null
+  const parts = []
+  if (event.ctrlKey) parts.push('Ctrl')
+  if (event.altKey) parts.push('Alt')
+  if (event.shiftKey) parts.push('Shift')
+  if (event.metaKey) parts.push('Meta')
+  parts.push(event.code.replace(/^Key|^Digit/, ''))
+  return parts.join('+')
 }
 
-// Device commands require connection
-if (client.connected) {
-await executeCommand(cmd)
-} else {
-console.log(`${NAME}: Skipping device command - not connected`)
+// Whether a combination is safe as a global hotkey (it must not fire while typing)
+function isUsableHotkey(event) {
+  return event.ctrlKey || event.altKey || event.metaKey || /^(F\d+|Pause|Escape|ScrollLock)$/.test(event.code)
+}
+
+// Find the first safeword in a message, matched as a whole word, case-insensitive
+function findSafeword(text) {
+  return safewords.find(word => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'iu').test(text)
+  }) || null
+}
+
+// Stop everything now and pause AI device control
+async function emergencyStop(reason) {
+  aiControlPaused = true
+  emergencyStopReason = reason
+  saveAIControlPause()
+  messageCommands = []
+  dropPendingApprovals()
+
+  // The prompt must be updated before a generation that is about to start picks it up
+  actuallyUpdatePrompt()
+  renderAIControlPause()
+  console.log(`${NAME}: EMERGENCY STOP (${reason})`)
+
+  stopEventLogReplay()
+  try {
+    if (isTimelinePlaying()) {
+      await stopTimeline()
+    } else if (mediaPlayer.isPlaying) {
+      stopMediaPlayback()
+    } else {
+      stopFunscriptSync()
+    }
+  } catch (e) {
+    console.error(`${NAME}: Failed to stop media during emergency stop:`, e)
+  }
+  await stopAllDeviceActions('ui')
+  updateStatus(`EMERGENCY STOP (${reason}) - AI device control paused`, true)
+}
+
+// Let the AI control devices again
+function resumeAIControl() {
+  aiControlPaused = false
+  emergencyStopReason = null
+  saveAIControlPause()
+  updatePrompt()
+  renderAIControlPause()
+  updateStatus('AI device control resumed')
+  console.log(`${NAME}: AI device control resumed`)
+}
+
+// Show the paused state and resume button in the AI status panel
+function renderAIControlPause() {
+  $("#intiface-ai-resume").toggle(aiControlPaused)
+  updateAIStatusFromActivity()
+}
+
+// Prompt sent instead of the command instructions while AI control is paused
+function formatEmergencyStopNote() {
+  return `=== DEVICE CONTROL PAUSED ===
+
+The user triggered an emergency stop (${emergencyStopReason}). All devices, media and patterns have been stopped, and device control is disabled until the user turns it back on themselves.
+Do not send any device or media commands - they will be ignored. Acknowledge the stop and check in with the user.`
+}
+
+// Check each user message for a safeword before the reply is generated
+async function onMessageSent(messageId) {
+  const message = getContext().chat[messageId]
+  if (!message?.is_user) return
+
+  const safeword = findSafeword(message.mes || '')
+  if (safeword) await emergencyStop(`safeword "${safeword}"`)
+}
+
+// ==========================================
+// COMMAND APPROVAL
+// ==========================================
+// An optional consent step between parsing and the queue. AI commands above
+// the set intensity or duration, or of a gated type, wait under their message
+// for the user to approve or deny them. Unanswered prompts fall back to the
+// timeout action. "Allow this session" pre-approves that reason until reload.
+
+let approvalSettings = {
+  enabled: false,
+  maxIntensity: 70, // Highest level (%) that runs without asking
+  maxDuration: 0, // Longest timed command (s) that runs without asking, 0 = no limit
+  types: ['set_intensity', 'interface_start', 'media_play', 'mode'], // 'mode' = play mode sequences
+  timeout: 15, // Seconds before an unanswered prompt falls back to timeoutAction
+  timeoutAction: 'deny' // 'deny' or 'approve'
+}
+const pendingApprovals = new Map() // id -> { cmd, reasons, expiresAt }
+const sessionApprovals = new Set() // Reason keys pre-approved until reload
+let approvalIdCounter = 0
+let approvalTickId = null
+
+// Verbs shown for gated types in prompts
+const APPROVAL_TYPE_NAMES = { set_intensity: 'INTENSITY', interface_start: 'START', media_play: 'MEDIA PLAY', mode: 'play mode' }
+
+// Load approval settings from localStorage
+function loadApprovalSettings() {
+  try {
+    const saved = localStorage.getItem('intiface-approval')
+    if (saved) approvalSettings = { ...approvalSettings, ...JSON.parse(saved) }
+  } catch (e) {
+    console.error(`${NAME}: Failed to load approval settings:`, e)
+  }
+}
+
+// Save approval settings to localStorage
+function saveApprovalSettings() {
+  try {
+    localStorage.setItem('intiface-approval', JSON.stringify(approvalSettings))
+    console.log(`${NAME}: Saved approval settings`)
+  } catch (e) {
+    console.error(`${NAME}: Failed to save approval settings:`, e)
+  }
+}
+
+// All levels in a pattern, whether steps are numbers, [motor1, motor2] pairs or { motor1, motor2 }
+function flattenPatternLevels(pattern) {
+  if (Array.isArray(pattern)) return pattern.flatMap(flattenPatternLevels)
+  if (pattern && typeof pattern === 'object') return Object.values(pattern).flatMap(flattenPatternLevels)
+  return typeof pattern === 'number' ? [pattern] : []
+}
+
+// First sequence with this name in the enabled play modes, as playback looks it up
+function findEnabledSequence(name) {
+  for (const modeId of PlayModeLoader.getEnabledModes?.() || []) {
+    const sequence = PlayModeLoader.getSequence(modeId, name)
+    if (sequence) return sequence
+  }
+  return null
+}
+
+// Highest level (0-100) a command can reach, with relative levels applied to
+// what its devices run now. Undefined if the command sets no level.
+function getCommandPeakLevel(cmd) {
+  const resolveLevel = (value) => {
+    if (!value || typeof value !== 'object') return value
+    const deviceIndices = cmd.deviceIndices || [cmd.deviceIndex]
+    return Math.max(...deviceIndices.map(deviceIndex => {
+      const current = getOutputLevel(deviceIndex, getOutputKeys(cmd, devices[deviceIndex]))
+      return applyRelativeLevel(current, value)
+    }))
+  }
+
+  // Play modes run every step of their sequence; a step without a max, or a
+  // sequence that can't be found, counts as 100% rather than skipping the check
+  if (cmd.modeName) {
+    const steps = findEnabledSequence(cmd.modeName)?.steps
+    return Array.isArray(steps) && steps.length > 0
+      ? Math.max(...steps.map(step => typeof step.max === 'number' ? step.max : 100))
+      : 100
+  }
+
+  let levels
+  switch (cmd.type) {
+    case 'preset': {
+      // Mirrors executeWaveformPattern: the first step of a same-named
+      // sequence, else a 20-60% sine
+      const sequence = findEnabledSequence(cmd.presetName)
+      levels = [sequence ? (sequence.steps?.[0]?.max || 60) : 60]
+      break
+    }
+    case 'vibrate_pattern':
+    case 'oscillate_pattern':
+      levels = flattenPatternLevels(cmd.pattern)
+      break
+    case 'waveform':
+    case 'dual_waveform':
+      levels = [cmd.max]
+      break
+    case 'gradient':
+      levels = [cmd.start, cmd.end]
+      break
+    case 'ramp':
+      levels = [resolveLevel(cmd.to)]
+      break
+    case 'sequence':
+      levels = cmd.program.map(step => getCommandPeakLevel({ ...step.command, deviceIndex: cmd.deviceIndex }))
+      break
+    default:
+      levels = [resolveLevel(getCommandLevel(cmd)), cmd.releaseAfter ? cmd.releaseLevel : undefined]
+  }
+
+  levels = levels.filter(level => typeof level === 'number')
+  return levels.length > 0 ? Math.max(...levels) : undefined
+}
+
+// How long a command plays, in ms. Undefined for commands without an end
+// (plain levels, endless patterns), which run until the next command.
+function getCommandDuration(cmd) {
+  switch (cmd.type) {
+    case 'vibrate_pattern':
+    case 'oscillate_pattern': {
+      if (!cmd.loop || !Array.isArray(cmd.pattern)) return undefined
+      const intervals = cmd.intervals?.length ? cmd.intervals : [1000]
+      return cmd.pattern.reduce((sum, step, i) => sum + intervals[i % intervals.length], 0) * cmd.loop
+    }
+    case 'waveform':
+    case 'dual_waveform':
+      return cmd.duration * (cmd.cycles || 3)
+    case 'gradient':
+      return cmd.duration + (cmd.hold || 0) + (cmd.release || 0)
+    case 'ramp':
+    case 'sequence':
+      return cmd.duration
+    default:
+      return cmd.releaseAfter || undefined
+  }
+}
+
+// Why a command needs approval: [{ key, text }], empty if it can run as is
+function getApprovalReasons(cmd) {
+  const reasons = []
+  const type = cmd.modeName ? 'mode' : cmd.type
+  if (approvalSettings.types.includes(type)) {
+    reasons.push({ key: `type:${type}`, text: cmd.modeName ? `play mode ${cmd.modeName}` : APPROVAL_TYPE_NAMES[type] })
+  }
+
+  const peak = getCommandPeakLevel(cmd)
+  if (peak !== undefined && peak > approvalSettings.maxIntensity) {
+    reasons.push({ key: 'intensity', text: `${Math.round(peak)}% (above ${approvalSettings.maxIntensity}%)` })
+  }
+
+  const duration = getCommandDuration(cmd)
+  if (approvalSettings.maxDuration > 0 && duration > approvalSettings.maxDuration * 1000) {
+    reasons.push({ key: 'duration', text: `${(duration / 1000).toFixed(1)}s (above ${approvalSettings.maxDuration}s)` })
+  }
+  return reasons
+}
+
+// Hold a command for approval if it needs it. Returns true if it was held;
+// it then runs (or not) once the user answers or the prompt times out.
+function holdForApproval(cmd) {
+  if (!approvalSettings.enabled || checkCommandPermission(cmd)) return false
+  const reasons = getApprovalReasons(cmd).filter(reason => !sessionApprovals.has(reason.key))
+  if (reasons.length === 0) return false
+
+  // <media:PLAY: file> is both a command and a file mention - ask once
+  const isDuplicate = cmd.type === 'media_play' && [...pendingApprovals.values()].some(pending =>
+    pending.cmd.type === 'media_play' && pending.cmd.filename === cmd.filename && pending.cmd.owner?.message === cmd.owner?.message)
+  if (isDuplicate) return true
+
+  const id = ++approvalIdCounter
+  pendingApprovals.set(id, { cmd, reasons, expiresAt: Date.now() + approvalSettings.timeout * 1000 })
+  console.log(`${NAME}: Holding ${cmd.type} for approval: ${reasons.map(reason => reason.text).join(', ')}`)
+  renderApprovalPrompts()
+  startApprovalTimer()
+  return true
+}
+
+// Play a media file mentioned in the text. A mention plays like
+// <media:PLAY: file>, so it goes through the same approval gate.
+// Returns true if it started playing now.
+async function playMentionedMedia(filename, owner) {
+  const cmd = { type: 'media_play', filename, owner, source: { text: `<media:PLAY: ${filename}>` } }
+  const blocked = checkCommandPermission(cmd)
+  if (blocked) {
+    console.warn(`${NAME}: Not playing mentioned ${filename}: ${blocked}`)
+    return false
+  }
+  if (holdForApproval(cmd)) return false
+  await loadChatMediaFile(filename)
+  return true
+}
+
+// Drop the commands that wait for approval from a list
+function withoutHeldCommands(commands) {
+  return commands.filter(cmd => !holdForApproval(cmd))
+}
+
+// Run a command the user approved through the normal path
+function runApprovedCommand(cmd) {
+  if (aiControlPaused) return
+  if (cmd.type.startsWith('interface_') || cmd.type.startsWith('media_')) {
+    executeCommand(cmd)
+  } else {
+    messageCommands.push(cmd)
+    processCommandQueue()
+  }
+}
+
+// Answer a pending approval: 'approve', 'deny' or 'session' (approve and
+// pre-approve its reasons until reload)
+function resolveApproval(id, answer) {
+  const pending = pendingApprovals.get(id)
+  if (!pending) return
+  pendingApprovals.delete(id)
+
+  if (answer === 'session') {
+    pending.reasons.forEach(reason => sessionApprovals.add(reason.key))
+    $("#intiface-approval-clear-session").show()
+  }
+  const approved = answer !== 'deny'
+  console.log(`${NAME}: ${pending.cmd.type} ${approved ? 'approved' : 'denied'}`)
+  logEvent('approval', getCommandOrigin(pending.cmd), {
+    deviceIndex: pending.cmd.deviceIndex ?? null,
+    summary: `${approved ? 'Approved' : 'Denied'}${answer === 'session' ? ' for this session' : ''}: ${pending.cmd.source?.text || pending.cmd.type}`
+  })
+  if (approved) runApprovedCommand(pending.cmd)
+
+  renderApprovalPrompts()
+  if (pendingApprovals.size === 0) stopApprovalTimer()
+}
+
+// Deny every pending approval whose command matches
+function dropPendingApprovals(matches = () => true) {
+  for (const [id, pending] of pendingApprovals) {
+    if (matches(pending.cmd)) pendingApprovals.delete(id)
+  }
+  renderApprovalPrompts()
+  if (pendingApprovals.size === 0) stopApprovalTimer()
+}
+
+// Count down pending prompts once a second and apply the timeout action.
+// A plain interval: it only drives the prompts on screen, and keeps the timer
+// worker free for device timing.
+function startApprovalTimer() {
+  if (approvalTickId !== null) return
+  approvalTickId = setInterval(() => {
+    const now = Date.now()
+    for (const [id, pending] of pendingApprovals) {
+      if (now >= pending.expiresAt) resolveApproval(id, approvalSettings.timeoutAction)
+    }
+    $(".intiface-approval").each(function() {
+      const pending = pendingApprovals.get(Number($(this).data('approval-id')))
+      if (pending) $(this).find('.intiface-approval-countdown').text(formatApprovalCountdown(pending))
+    })
+  }, 1000)
 }
+
+// Stop the countdown once nothing is pending
+function stopApprovalTimer() {
+  if (approvalTickId === null) return
+  clearInterval(approvalTickId)
+  approvalTickId = null
+}
+
+// e.g. "deny in 12s"
+function formatApprovalCountdown(pending) {
+  const seconds = Math.max(0, Math.ceil((pending.expiresAt - Date.now()) / 1000))
+  return `${approvalSettings.timeoutAction} in ${seconds}s`
 }
 
-isExecutingCommands = false
-updateAIStatusFromActivity()
+// Show each pending approval under the message that issued it, or in the
+// panel if that message isn't on screen
+function renderApprovalPrompts() {
+  $(".intiface-approval").remove()
+  const chat = getContext().chat
+
+  for (const [id, pending] of pendingApprovals) {
+    const prompt = $(`<div class="intiface-approval" style="margin-top: 4px; padding: 4px 6px; font-size: 0.75em; border-radius: 4px; background: rgba(255,183,77,0.15); border: 1px solid rgba(255,183,77,0.4);">
+      <div><i class="fa-solid fa-circle-question" style="color: #FFB74D;"></i> Allow <code class="intiface-approval-command"></code>?
+        <span class="intiface-approval-reasons" style="color: #aaa;"></span></div>
+      <div style="display: flex; align-items: center; gap: 6px; margin-top: 4px;">
+        <button class="menu_button intiface-approval-answer" data-answer="approve" style="font-size: 0.9em; padding: 3px 8px;"><i class="fa-solid fa-check"></i> Approve</button>
+        <button class="menu_button intiface-approval-answer" data-answer="deny" style="font-size: 0.9em; padding: 3px 8px;"><i class="fa-solid fa-xmark"></i> Deny</button>
+        <button class="menu_button intiface-approval-answer" data-answer="session" title="Approve, and don't ask again for these reasons until reload" style="font-size: 0.9em; padding: 3px 8px;">Allow this session</button>
+        <span class="intiface-approval-countdown" style="color: #888;"></span>
+      </div>
+    </div>`)
+    prompt.attr('data-approval-id', id)
+    prompt.find('.intiface-approval-command').text(pending.cmd.source?.text || pending.cmd.type)
+    prompt.find('.intiface-approval-reasons').text(pending.reasons.map(reason => reason.text).join(', '))
+    prompt.find('.intiface-approval-countdown').text(formatApprovalCountdown(pending))
+
+    const messageId = chat.indexOf(pending.cmd.owner?.message)
+    const mesBlock = $(`.mes[mesid="${messageId}"] .mes_block`)
+    if (messageId >= 0 && mesBlock.length > 0) {
+      mesBlock.append(prompt)
+    } else {
+      $("#intiface-approvals").append(prompt)
+    }
+  }
+  updateAIStatusFromActivity()
 }
 
 // Handle streaming token received
 async function onStreamTokenReceived(data) {
+    if (aiControlPaused) return
+
     const token = typeof data === 'string' ? data : (data?.text || data?.message || '')
     if (!token) return
 
-    streamingText += token
+    // Some SillyTavern versions emit the whole text so far instead of just the new token
+    const chunk = streamParser.text && token.startsWith(streamParser.text) ? token.slice(streamParser.text.length) : token
+
+    // Tags are buffered until their closing '>' arrives, then fire exactly once
+    const { nodes, errors } = streamParser.push(chunk)
 
-    // Check for video mentions
-    const videoFilename = checkForVideoMentions(streamingText)
+    // Check for video mentions (they play media, so they need MEDIA permission)
+    const videoFilename = isVerbAllowed('MEDIA') && checkForVideoMentions(streamParser.text)
     if (videoFilename && !executedCommands.has(`video:${videoFilename}`)) {
         executedCommands.add(`video:${videoFilename}`)
         console.log(`${NAME}: Detected video mention in stream:`, videoFilename)
-        await loadChatMediaFile(videoFilename)
+        await playMentionedMedia(videoFilename, getMessageOwner(getContext().chat.at(-1)))
     }
 
-    // Only parse and queue commands when we have complete command tags (ending with >)
-    // This prevents queuing incomplete commands during streaming
-    if (!streamingText.includes('>')) return
+    if (nodes.length === 0) return
 
-    const commands = parseDeviceCommands(streamingText)
+    // Streamed commands belong to the reply being generated (the last message)
+    const owner = getMessageOwner(getContext().chat.at(-1))
+    const commands = buildCommands(nodes, errors).commands.map(cmd => ({ ...cmd, owner }))
 
     // Check if media player is active (funscript has priority)
     const playerPanel = $("#intiface-chat-media-panel")
     const isMediaPlaying = playerPanel.length > 0 && playerPanel.is(":visible") && mediaPlayer.isPlaying
 
     for (const cmd of commands) {
-        // Create a signature based on the command's essential properties
-        // This ensures we only process a command when it's fully formed
-        const cmdSignature = JSON.stringify({
-            type: cmd.type,
-            deviceIndex: cmd.deviceIndex,
-            modeName: cmd.modeName,
-            presetName: cmd.presetName,
-            pattern: cmd.pattern,
-            intensity: cmd.intensity
-        })
-
-        // Only process if we haven't seen this exact command before
-        if (!seenCommands.has(cmdSignature)) {
-            seenCommands.add(cmdSignature)
-
-            // Now check if it's been executed (for deduplication across streaming and final)
-            const cmdKey = JSON.stringify({
-                type: cmd.type,
-                deviceIndex: cmd.deviceIndex,
-                modeName: cmd.modeName,
-                presetName: cmd.presetName,
-                pattern: cmd.pattern,
-                intensity: cmd.intensity
-            })
-
-            if (!executedCommands.has(cmdKey)) {
-                executedCommands.add(cmdKey)
-                console.log(`${NAME}: New command detected: ${cmd.type}`)
-
-                // Execute system commands immediately (don't add to queue)
-                if (cmd.type === 'interface_start' || cmd.type === 'intiface_connect' || cmd.type === 'interface_disconnect') {
-                    console.log(`${NAME}: Executing system command immediately: ${cmd.type}`)
-                    executeCommand(cmd)
-                } else if (isMediaPlaying) {
-                    // Skip device commands when media player is active (funscript has priority)
-                    console.log(`${NAME}: Skipping AI device command - media player is active: ${cmd.type}`)
-                } else {
-                    // Device commands go to queue
-                    messageCommands.push(cmd)
-                }
-            }
+        streamedCommands.push(cmd)
+        console.log(`${NAME}: New command detected at offset ${cmd.source.start}: ${cmd.type}`)
+
+        // Commands above the approval thresholds wait for the user
+        if (holdForApproval(cmd)) continue
+
+        // Execute system commands immediately (don't add to queue)
+        if (cmd.type === 'interface_start' || cmd.type === 'interface_connect' || cmd.type === 'interface_disconnect') {
+            console.log(`${NAME}: Executing system command immediately: ${cmd.type}`)
+            executeCommand(cmd)
+        } else if (isMediaPlaying) {
+            // Skip device commands when media player is active (funscript has priority)
+            console.log(`${NAME}: Skipping AI device command - media player is active: ${cmd.type}`)
+        } else {
+            // Device commands go to queue
+            messageCommands.push(cmd)
         }
     }
+
+    processCommandQueue()
+}
+
+// Drop commands from the final message that already fired while streaming.
+// Matched by tag text and occurrence, so a command written twice still runs twice.
+function withoutStreamedCommands(commands) {
+  const remaining = new Map()
+  for (const cmd of streamedCommands) {
+    remaining.set(cmd.source.text, (remaining.get(cmd.source.text) || 0) + 1)
+  }
+  return commands.filter(cmd => {
+    const count = remaining.get(cmd.source?.text) || 0
+    if (count === 0) return true
+    remaining.set(cmd.source.text, count - 1)
+    return false
+  })
 }
 
 // Handle message received (fallback for non-streaming)
@@ -1594,17 +2919,36 @@ async function onMessageReceived(data) {
   const message = context.chat[messageId]
   
   if (!message || message.is_user) return
+
+  if (aiControlPaused) {
+    console.log(`${NAME}: AI device control is paused - ignoring message ${messageId}`)
+    streamParser.reset()
+    streamedCommands = []
+    return
+  }
   
   const messageText = message.mes || ''
   
-  // Check for video mentions in the complete message
-  const videoFilename = checkForVideoMentions(messageText)
-  if (videoFilename) {
-    console.log(`${NAME}: Detected video mention in message:`, videoFilename)
-    await loadChatMediaFile(videoFilename)
+  // Check for video mentions in the complete message (the stream already handled its own)
+  const mentionedVideo = isVerbAllowed('MEDIA') && checkForVideoMentions(messageText)
+  let videoFilename = null
+  if (mentionedVideo && !executedCommands.has(`video:${mentionedVideo}`)) {
+    console.log(`${NAME}: Detected video mention in message:`, mentionedVideo)
+    if (await playMentionedMedia(mentionedVideo, getMessageOwner(message))) videoFilename = mentionedVideo
   }
   
-const commands = parseDeviceCommands(messageText)
+const { commands: parsedCommands, errors: parseErrors, skipped: skippedCommands } = parseDeviceCommands(messageText)
+reportParseErrors(parseErrors)
+reportSkippedCommands(skippedCommands)
+recordRejectedCommands(messageId, parseErrors, skippedCommands)
+
+// Commands that already fired while this message streamed are not run again
+const wasStreamed = streamedCommands.length > 0
+const owner = getMessageOwner(message)
+const commands = withoutHeldCommands(withoutStreamedCommands(parsedCommands).map(cmd => ({ ...cmd, owner })))
+issuedMessageText.set(message, messageText)
+streamParser.reset()
+streamedCommands = []
 
 if (commands.length === 0 && !videoFilename) return
 
@@ -1623,7 +2967,7 @@ const isMediaPlaying = playerPanel.length > 0 && playerPanel.is(":visible") && m
 const deviceCommandsList = isMediaPlaying ? [] : commands.filter(cmd =>
 cmd.type !== 'interface_start' &&
 cmd.type !== 'interface_connect' &&
-cmd.type !== 'intiface_disconnect'
+cmd.type !== 'interface_disconnect'
 )
 
 if (isMediaPlaying && commands.some(cmd =>
@@ -1642,11 +2986,16 @@ await executeCommand(cmd)
 // Only process device commands if connected
 if (!client.connected && !videoFilename) return
 
+// Streamed messages are already playing - just add anything the stream missed
+if (wasStreamed) {
+messageCommands.push(...deviceCommandsList)
+processCommandQueue()
+return
+}
+
 // Clear previous commands and stop current activity (unless we're playing video OR tab is hidden)
 if (!mediaPlayer.isPlaying && !document.hidden) {
 messageCommands = []
-executedCommands.clear()
-streamingText = ''
 
 if (commandQueueInterval) {
 clearWorkerTimeout(commandQueueInterval)
@@ -1657,16 +3006,7 @@ await stopAllDeviceActions()
 }
 
     // Queue new device commands (empty if media is playing)
-    // Clear any incomplete commands from streaming before replacing with final parsed commands
-    messageCommands = deviceCommandsList.filter(cmd => {
-        // For mode commands, ensure modeName exists and is not empty/invalid
-        if (cmd.modeName && !cmd.modeName.includes('_') && cmd.modeName.length < 5) {
-            console.log(`${NAME}: Filtering out likely incomplete mode command: ${cmd.modeName}`)
-            return false
-        }
-        return true
-    })
-    executedCommands = new Set(messageCommands.map(cmd => JSON.stringify(cmd)))
+    messageCommands = deviceCommandsList
 
 // Start processing
 processCommandQueue()
@@ -1675,15 +3015,13 @@ processCommandQueue()
 // Handle generation started
 function onGenerationStarted() {
     executedCommands.clear()
-    seenCommands.clear()
     messageCommands = []
-    streamingText = ''
+    streamParser = createStreamParser(getParseOptions())
+    streamedCommands = []
 }
 
 // Handle generation ended
 function onGenerationEnded() {
-    streamingText = ''
-    seenCommands.clear()
     // Process any remaining commands
     processCommandQueue()
 }
@@ -1694,19 +3032,6 @@ function getDeviceDisplayName(dev) {
   return dev.displayName || dev.name || 'Unknown Device'
 }
 
-// Get device type - simplified, all devices are treated generically
-function getDeviceType(dev) {
-  // All devices use generic type - capabilities are detected dynamically
-  return 'general'
-}
-
-// Get device-specific default intensity - simplified
-function getDeviceDefaultIntensity(dev) {
-  // Return default intensity for all devices
-  // User can adjust per-device intensity via UI
-  return 100
-}
-
 // Get shorthand for device - simplified to first word of name
 function getDeviceShorthand(dev) {
   const devName = (dev.displayName || dev.name || '').toLowerCase()
@@ -1754,6 +3079,100 @@ function updateButtonStates(isConnected) {
   $("#intiface-connect-button .drawer-icon").toggleClass("flashing-icon", isConnected)
 }
 
+// ==========================================
+// DEAD-MAN HEARTBEAT
+// ==========================================
+// When connected through the internal proxy, a second socket to the proxy
+// carries a beat every third of the timeout. If the beats stop (tab frozen,
+// crashed or offline), the proxy sends StopAllDevices to Intiface itself.
+// A clean disconnect sends 'disarm' first. See sillytavern_plugins/intiface-proxy.js.
+
+let heartbeatEnabled = false
+let heartbeatTimeout = 5 // Seconds without a beat before the proxy stops the devices
+let heartbeatSocket = null
+let heartbeatServerUrl = null
+let heartbeatIntervalId = null
+let heartbeatRetryId = null
+
+// Load heartbeat settings from localStorage
+function loadHeartbeatSettings() {
+  try {
+    heartbeatEnabled = localStorage.getItem('intiface-heartbeat-enabled') === 'true'
+    heartbeatTimeout = Number(localStorage.getItem('intiface-heartbeat-timeout')) || 5
+  } catch (e) {
+    console.error(`${NAME}: Failed to load heartbeat settings:`, e)
+  }
+}
+
+// Save heartbeat settings to localStorage
+function saveHeartbeatSettings() {
+  try {
+    localStorage.setItem('intiface-heartbeat-enabled', heartbeatEnabled.toString())
+    localStorage.setItem('intiface-heartbeat-timeout', heartbeatTimeout.toString())
+    console.log(`${NAME}: Saved heartbeat: ${heartbeatEnabled ? `${heartbeatTimeout}s timeout` : 'off'}`)
+  } catch (e) {
+    console.error(`${NAME}: Failed to save heartbeat settings:`, e)
+  }
+}
+
+// Open the heartbeat socket next to the device connection
+function startHeartbeat(serverUrl) {
+  stopHeartbeat()
+  heartbeatServerUrl = serverUrl
+  if (!heartbeatEnabled) return
+
+  const socket = new WebSocket(`${serverUrl}/heartbeat?timeout=${heartbeatTimeout * 1000}`)
+  heartbeatSocket = socket
+  let acknowledged = false
+
+  // Only the proxy answers - anything else (Intiface itself) gets no beats
+  const ackTimeoutId = setTimeout(() => {
+    if (acknowledged || heartbeatSocket !== socket) return
+    console.warn(`${NAME}: No heartbeat answer from ${serverUrl} - is the connection going through the internal proxy?`)
+    updateStatus('Heartbeat needs the internal proxy (port 12346)', true)
+    stopHeartbeat()
+  }, 2000)
+
+  socket.onmessage = (event) => {
+    if (acknowledged || !String(event.data).startsWith('heartbeat-ok')) return
+    acknowledged = true
+    clearTimeout(ackTimeoutId)
+    heartbeatIntervalId = setWorkerInterval(() => {
+      if (socket.readyState === WebSocket.OPEN) socket.send('beat')
+    }, Math.max(250, Math.round(heartbeatTimeout * 1000 / 3)))
+    console.log(`${NAME}: Heartbeat running (${heartbeatTimeout}s timeout)`)
+  }
+
+  socket.onclose = () => {
+    // Replaced or stopped on purpose
+    if (heartbeatSocket !== socket) return
+    clearTimeout(ackTimeoutId)
+    clearWorkerTimeout(heartbeatIntervalId)
+    heartbeatIntervalId = null
+    heartbeatSocket = null
+    if (acknowledged && client.connected) {
+      console.warn(`${NAME}: Heartbeat connection lost - retrying in 5s`)
+      heartbeatRetryId = setTimeout(() => startHeartbeat(serverUrl), 5000)
+    }
+  }
+}
+
+// Close the heartbeat socket, disarming the proxy's timeout first
+function stopHeartbeat() {
+  clearTimeout(heartbeatRetryId)
+  heartbeatRetryId = null
+  if (heartbeatIntervalId) {
+    clearWorkerTimeout(heartbeatIntervalId)
+    heartbeatIntervalId = null
+  }
+  if (heartbeatSocket) {
+    const socket = heartbeatSocket
+    heartbeatSocket = null
+    if (socket.readyState === WebSocket.OPEN) socket.send('disarm')
+    socket.close()
+  }
+}
+
 async function connect(isAutoConnect = false) {
   console.log(`${NAME}: connect() called${isAutoConnect ? ' (auto-connect mode)' : ''}`)
 
@@ -1774,9 +3193,9 @@ async function connect(isAutoConnect = false) {
     await client.connect(connector)
     console.log(`${NAME}: client.connect() succeeded`)
     updateStatus("Connected")
+    startHeartbeat(serverUrl)
     $("#intiface-status-panel").removeClass("disconnected").addClass("connected")
     updateButtonStates(true)
-    intervalId = setInterval(processMessage, 1000) // Start processing messages
 
     // Re-attach device event handlers
     attachDeviceEventHandlers()
@@ -1858,6 +3277,7 @@ async function disconnect() {
   console.log(`${NAME}: Disconnect called, client.connected = ${client?.connected}`)
 
   try {
+    stopHeartbeat()
     await client.disconnect()
     console.log(`${NAME}: client.disconnect() completed`)
     updateStatus("Disconnected")
@@ -1867,10 +3287,9 @@ $("#intiface-devices").empty()
 devices = [] // Clear devices array
 if (typeof window !== 'undefined') window.devices = devices
 device = null
-    if (intervalId) {
-      clearWorkerTimeout(intervalId) // Stop processing messages
-      intervalId = null
-    }
+outputLevels.clear()
+cancelSequencePrograms()
+clearPlaybackOwners()
     if (strokerIntervalId) {
       clearWorkerTimeout(strokerIntervalId)
       strokerIntervalId = null
@@ -1911,6 +3330,11 @@ async function handleDeviceAdded(newDevice) {
   console.log(`${NAME}: handleDeviceAdded called for ${newDevice.name}`)
   updateStatus(`Device found: ${newDevice.name}`)
 
+  // Output stage, before anything can use the device: slew limiting next to
+  // the hardware, safety limits over everything sent to it, and the device
+  // profile's curve and stroke limits shaping what goes into them
+  shapeDevice(guardDevice(smoothDevice(newDevice)))
+
   // Add to devices array if not already present
   if (!devices.find(d => d.index === newDevice.index)) {
     devices.push(newDevice)
@@ -1939,7 +3363,7 @@ const deviceDiv = $(`<div id="device-${currentDevice.index}" style="margin-botto
 
 // Device header
 const deviceHeaderHtml = `<div style="font-size: 0.9em; font-weight: bold; margin-bottom: 8px; color: #fff;">
-${currentDevice.name} ${devIndex === 0 ? '(active)' : ''}
+<span style="color: #64B5F6;" title="Chat address: <#${devIndex + 1}:...>">#${devIndex + 1}</span> ${currentDevice.name} ${devIndex === 0 ? '(active)' : ''}
 </div>`
 deviceDiv.append(deviceHeaderHtml)
 
@@ -1948,6 +3372,12 @@ const messageAttrs = currentDevice.messageAttributes
 const hasVibration = currentDevice.vibrateAttributes && currentDevice.vibrateAttributes.length > 0
 const hasOscillate = messageAttrs?.OscillateCmd !== undefined
 const hasLinear = messageAttrs?.LinearCmd !== undefined
+const hasRotate = canRotate(currentDevice)
+// Other ScalarCmd actuators, grouped by type: { Constrict: [attr, ...], ... }
+const extraActuators = {}
+getScalarActuators(currentDevice)
+.filter(attr => !['Vibrate', 'Oscillate', 'Rotate'].includes(attr.ActuatorType))
+.forEach(attr => (extraActuators[attr.ActuatorType] = extraActuators[attr.ActuatorType] || []).push(attr))
 
 // Get device type
 const deviceType = getDeviceType(currentDevice)
@@ -1967,13 +3397,15 @@ const featuresList = []
 if (hasVibration) featuresList.push(`Vibrate (${currentDevice.vibrateAttributes.length} motor${currentDevice.vibrateAttributes.length > 1 ? 's' : ''})`)
 if (hasOscillate) featuresList.push('Oscillate')
 if (hasLinear) featuresList.push('Linear')
+if (hasRotate) featuresList.push('Rotate')
+Object.entries(extraActuators).forEach(([type, attrs]) => featuresList.push(attrs.length > 1 ? `${type} (${attrs.length})` : type))
 
 if (featuresList.length > 0) {
 const featuresHtml = `<div style="margin: 5px 0; font-size: 0.85em; color: #888;">
 <strong>Supported:</strong> ${featuresList.join(', ')}
 </div>
 <div style="margin: 3px 0; font-size: 0.8em; color: #666; font-style: italic;">
-Type: ${deviceType}
+Type: <span class="intiface-device-type" data-device-name="${currentDevice.name}">${describeDeviceType(currentDevice)}</span>
 </div>`
 deviceDiv.append(featuresHtml)
 }
@@ -2002,11 +3434,32 @@ style="width: 100%; padding: 3px; font-size: 0.75em; background: rgba(0,0,0,0.3)
 <option value="D" ${currentAssignment === 'D' ? 'selected' : ''}>Channel D</option>
 </select>
 <div style="font-size: 0.65em; color: #666; margin-top: 2px;">
-Use filename_A.funscript for specific channels
+Use filename_A.funscript for specific channels
+</div>
+</div>
+`
+deviceDiv.append(assignmentHtml)
+
+// Chat aliases, e.g. <plug:VIBRATE: 40>
+const aliasHtml = `
+<div style="margin-top: 8px; padding: 5px; background: rgba(100,100,100,0.1); border-radius: 3px;">
+<label style="font-size: 0.75em; color: #aaa; display: block; margin-bottom: 3px;">
+<i class="fa-solid fa-tag"></i> Chat Aliases:
+</label>
+<input type="text" class="text_pole device-alias-input" data-device-name="${currentDevice.name}" value="${getDeviceAliases(currentDevice).join(', ')}"
+placeholder="e.g. plug, toy" style="width: 100%; font-size: 0.75em;">
+<div style="font-size: 0.65em; color: #666; margin-top: 2px;">
+Comma-separated names the AI can use as &lt;alias:VIBRATE: 40&gt;
 </div>
 </div>
 `
-deviceDiv.append(assignmentHtml)
+deviceDiv.append(aliasHtml)
+
+// Per-device safety limits
+deviceDiv.append(getDeviceSafetyHtml(currentDevice))
+
+// Slew rates and live output meter
+deviceDiv.append(getDeviceSlewHtml(currentDevice))
 $(document).on("click", "[id^='intiface-presets-toggle-']", function() {
 const toggleId = $(this).attr("id")
 const deviceIndex = toggleId.replace("intiface-presets-toggle-", "")
@@ -2079,6 +3532,31 @@ min="0" max="100" value="0" style="width: 100%; margin-top: 3px;">
 deviceDiv.append(motorsHtml)
 }
 
+// Rotation and other scalar actuator controls
+if (hasRotate || Object.keys(extraActuators).length > 0) {
+const actuatorsHtml = `
+<div style="margin-top: 10px; padding: 8px; background: rgba(0,0,0,0.05); border-radius: 4px;">
+<div style="font-size: 0.85em; font-weight: bold; margin-bottom: 5px;">Actuators</div>
+${hasRotate ? `
+<div style="margin: 5px 0;">
+<label style="font-size: 0.8em;">Rotate:</label>
+<input type="range" class="actuator-slider" data-device="${devIndex}" data-actuator="rotate"
+min="0" max="100" value="0" style="width: 100%; margin-top: 3px;">
+<label style="font-size: 0.75em; color: #aaa; cursor: pointer;">
+<input type="checkbox" class="rotate-direction" data-device="${devIndex}" checked style="margin-right: 4px;">Clockwise
+</label>
+</div>` : ''}
+${Object.entries(extraActuators).map(([type, attrs]) => attrs.map((attr, idx) => `
+<div style="margin: 5px 0;">
+<label style="font-size: 0.8em;">${type}${attrs.length > 1 ? ` ${idx + 1}` : ''}:</label>
+<input type="range" class="actuator-slider" data-device="${devIndex}" data-actuator="${type}" data-index="${idx}"
+min="0" max="100" value="0" style="width: 100%; margin-top: 3px;">
+</div>`).join('')).join('')}
+</div>
+`
+deviceDiv.append(actuatorsHtml)
+}
+
 // Waveform patterns are now in the unified Play Mode section
 // Per-device waveform generator removed
 
@@ -2130,6 +3608,10 @@ function handleDeviceRemoved(removedDevice) {
     devices = []
   }
   if (typeof window !== 'undefined') window.devices = devices
+  // Device indices shift, so tracked levels, running programs and ownership no longer line up
+  outputLevels.clear()
+  cancelSequencePrograms()
+  clearPlaybackOwners()
 
   // Update active device
   device = devices.length > 0 ? devices[0] : null
@@ -2208,19 +3690,25 @@ function actuallyUpdatePrompt() {
     const exePath = localStorage.getItem("intiface-exe-path")
     const canStartIntiface = !!exePath
 
-    // Only show devices if actually connected
-    const connectedDevices = client?.connected ? devices : []
+    // Only show devices if actually connected, and only those the AI may use
+    const connectedDevices = client?.connected ? devices.filter(isDeviceAllowed) : []
 
     // Build device info (only if connected)
-    const deviceInfo = connectedDevices.map((dev, idx) => {
+    const deviceInfo = connectedDevices.map((dev) => {
+    const idx = devices.indexOf(dev)
     const caps = []
     if (dev.vibrateAttributes?.length > 0) caps.push('vibrate')
     if (dev.messageAttributes?.OscillateCmd) caps.push('oscillate')
     if (dev.messageAttributes?.LinearCmd) caps.push('linear')
+    if (canRotate(dev)) caps.push('rotate')
+    const extraTypes = [...new Set(getScalarActuators(dev).map(attr => attr.ActuatorType))]
+      .filter(type => !['Vibrate', 'Oscillate', 'Rotate'].includes(type))
+    extraTypes.forEach(type => caps.push(type.toLowerCase()))
     const deviceType = getDeviceType(dev)
     return {
       name: dev.displayName || dev.name,
       index: idx,
+      address: [`#${idx + 1}`, deviceAssignments[dev.index], ...getDeviceAliases(dev)].filter(Boolean),
       capabilities: caps,
       type: deviceType,
       motors: dev.vibrateAttributes?.length || 0
@@ -2235,8 +3723,8 @@ function actuallyUpdatePrompt() {
     console.log(`${NAME}: Building prompt... canStartIntiface=${canStartIntiface}, connectedDevices=${connectedDevices.length}`)
 
     const startCommand = `
-System commands (to manage Intiface itself):
-${canStartIntiface ? `- <interface:START> - Start Intiface Central application (configured: ${exePath})` : ''}
+System commands (to manage Intiface itself):${canStartIntiface ? `
+- <interface:START> - Start Intiface Central application (configured: ${exePath})` : ''}
 - <interface:CONNECT> - Connect to Intiface server
 - <interface:DISCONNECT> - Disconnect from Intiface server
 - <interface:SCAN> - Scan for new devices (runs for 5 seconds)`
@@ -2256,7 +3744,7 @@ ${canStartIntiface ? `- <interface:START> - Start Intiface Central application (
     
     // Build device type command examples
     const typeExamples = connectedTypes.map(type => {
-      const typeDevice = devices.find(d => getDeviceType(d) === type)
+      const typeDevice = connectedDevices.find(d => getDeviceType(d) === type)
       const shorthand = getDeviceShorthand(typeDevice)
       if (type === 'stroker') {
         return `- <${shorthand}:LINEAR: start=10, end=90, duration=1000> - Linear stroke for ${typeDevice.displayName || typeDevice.name}`
@@ -2270,7 +3758,7 @@ ${canStartIntiface ? `- <interface:START> - Start Intiface Central application (
   connectedTypes.forEach(type => {
     const typePresets = PatternLibrary.getCompatiblePresets(type)
     const presetNames = Object.keys(typePresets).slice(0, 3) // Max 3 presets per type
-    const typeDevice = devices.find(d => getDeviceType(d) === type)
+    const typeDevice = connectedDevices.find(d => getDeviceType(d) === type)
     const shorthand = getDeviceShorthand(typeDevice)
     presetNames.forEach(presetName => {
       presetList.push(`- <${shorthand}:PRESET: ${presetName}> - ${typePresets[presetName].description || presetName} pattern`)
@@ -2281,7 +3769,17 @@ ${canStartIntiface ? `- <interface:START> - Start Intiface Central application (
     // Build device-specific examples
     deviceTypeExamples = `${typeExamples}
 - <any:VIBRATE: 30> - Vibrate the first connected device at 30%
-- <any:STOP> - Stop all devices`
+- <any:VIBRATE: 60, for=5000> - Vibrate for 5 seconds, then stop (then=20 drops to 20% instead; also for OSCILLATE, ROTATE, SCALAR)
+- <any:VIBRATE: +15> - Raise the current level by 15 points (<any:VIBRATE: -20%> lowers it by a fifth; also for OSCILLATE, ROTATE, SCALAR)
+- <any:RAMP: to=80, over=5000> - Smoothly move vibration from wherever it is now to 80% over 5 seconds
+- <any:VIBRATE: 20, queue=replace> - Commands on a device wait their turn by default; queue=replace cancels what it is doing and runs now, queue=layer runs alongside it
+- <seq>VIBRATE 30; WAIT 2000; VIBRATE 70 for=3000; STOP</seq> - Exactly timed multi-step script in one block (<seq:target> picks the device; steps: VIBRATE, OSCILLATE, ROTATE, SCALAR, LINEAR, STOP, WAIT ms)
+- <#2:VIBRATE: 40> - Address a device by slot number, funscript channel (<A:...>) or alias
+${connectedDevices.some(dev => canRotate(dev)) ? `- <any:ROTATE: 50, clockwise=false> - Rotate at 50% (clockwise=true by default)
+` : ''}${deviceInfo.some(d => d.capabilities.some(cap => ['constrict', 'inflate', 'position'].includes(cap))) ? `- <any:SCALAR: constrict, 40> - Set another actuator type (constrict, inflate, position...) to 40%; index=2 picks the second one
+` : ''}${connectedDevices.some(dev => (dev.vibrateAttributes?.length || 0) > 1) ? `- <any:VIBRATE: 60, motor=2> - Drive single motors on multi-motor devices (motor=2, motor=[1,3] or motor=all; also works on PATTERN and WAVEFORM)
+` : ''}- <all:VIBRATE: 40> - Every device at once (also <plug,cage:...> lists${Object.keys(deviceGroups).length > 0 ? ` and groups: ${Object.keys(deviceGroups).join(', ')}` : ''})
+- <any:STOP> - Stop all devices (<plug:STOP> stops just that one)`
     
     // Gradient examples using first connected device type
     gradientExamples = `- <${firstShorthand}:GRADIENT: start=0, end=90, duration=10000> - Ramp from 0% to 90% over 10 seconds`
@@ -2296,7 +3794,7 @@ ${deviceTypeExamples}
 
 PRESET commands (device-optimized patterns):
 ${presetExamples}
-${modeSettings.denialDomina ? `
+${modeSettings.denialDomina && isModeAllowed('denial') ? `
 DENIAL_DOMINA MODE (dominance and denial sequences):
 - <any:DENIAL_DOMINA: gentle_tease> - Gentle teasing with soft pulses
 - <any:DENIAL_DOMINA: mind_games> - Random start-stop patterns
@@ -2309,7 +3807,7 @@ DENIAL_DOMINA MODE (dominance and denial sequences):
 - <any:DENIAL_DOMINA: abrupt_edge> - Peaks then abruptly stops (tease.funscript style)
 - <any:DENIAL_DOMINA: ghost_touches> - Almost imperceptible touches with rare bursts
 - <any:DENIAL_DOMINA: unpredictably_cruel> - Chaotic mix for maximum confusion
-` : ''}${modeSettings.milkMaid ? `
+` : ''}${modeSettings.milkMaid && isModeAllowed('milking') ? `
 MILK_MAID MODE (forced release - multiple crescendos):
 - <any:MILK_MAID: milk_maid> - Classic milking with slow builds to intense crescendos
 - <any:MILK_MAID: relentless_milking> - No breaks - relentless intensity
@@ -2317,7 +3815,7 @@ MILK_MAID MODE (forced release - multiple crescendos):
 - <any:MILK_MAID: spiral_crescendos> - Spiraling intensity that keeps building
 - <any:MILK_MAID: overload_milking> - Overload senses - maximum intensity
 - <any:MILK_MAID: gentle_milking> - Slower, more deliberate milking
-` : ''}${modeSettings.petTraining ? `
+` : ''}${modeSettings.petTraining && isModeAllowed('training') ? `
 PET_TRAINING MODE (obedience and discipline):
 - <any:PET_TRAINING: sit_stay> - Basic obedience - hold still and endure
 - <any:PET_TRAINING: reward_training> - Wait patiently for rewards
@@ -2330,7 +3828,7 @@ PET_TRAINING MODE (obedience and discipline):
 - <any:PET_TRAINING: endurance_test> - How long can the pet endure?
 - <any:PET_TRAINING: who_owns_you> - Reminder of ownership - intense control
 - <any:PET_TRAINING: training_session> - Full obedience training sequence
-` : ''}${modeSettings.sissySurrender ? `
+` : ''}${modeSettings.sissySurrender && isModeAllowed('sissy') ? `
 SISSY_SURRENDER MODE (submission and teasing sensations):
 - <any:SISSY_SURRENDER: cage_taps> - Light taps and touches on cage
 - <any:SISSY_SURRENDER: cage_rubs> - Gentle rubbing sensations
@@ -2343,7 +3841,7 @@ SISSY_SURRENDER MODE (submission and teasing sensations):
 - <any:SISSY_SURRENDER: plug_wave> - Wave-like thrusts
 - <any:SISSY_SURRENDER: plug_buildup> - Build the thrusting intensity
 - <any:SISSY_SURRENDER: full_surrender> - Complete surrender - mix of all sensations
-` : ''}${modeSettings.prejacPrincess ? `
+` : ''}${modeSettings.prejacPrincess && isModeAllowed('prejac') ? `
 PREJAC_PRINCESS MODE (quick overwhelming, back-to-back orgasms):
 - <any:PREJAC_PRINCESS: quick_overload> - Quick overwhelming stimulation
 - <any:PREJAC_PRINCESS: rapid_fire> - Rapid fire orgasms
@@ -2352,7 +3850,7 @@ PREJAC_PRINCESS MODE (quick overwhelming, back-to-back orgasms):
 - <any:PREJAC_PRINCESS: princess_torture> - Princess knows what you need
 - <any:PREJAC_PRINCESS: relentless_waves> - Relentless wave after wave
 - <any:PREJAC_PRINCESS: triple_threat> - Three rapid sequences back to back
-` : ''}${modeSettings.roboticRuination ? `
+` : ''}${modeSettings.roboticRuination && isModeAllowed('robotic') ? `
 ROBOTIC_RUINATION MODE (robotic, algorithmic feeling that trains/enforces ONLY ruined orgasms):
 - <any:ROBOTIC_RUINATION: mechanical_edging> - Robotic step-like builds to edge
 - <any:ROBOTIC_RUINATION: algorithm_ruin> - Algorithmic builds to 100% then drop to 5%
@@ -2365,7 +3863,7 @@ ROBOTIC_RUINATION MODE (robotic, algorithmic feeling that trains/enforces ONLY r
 - <any:ROBOTIC_RUINATION: loop_hell> - Endless loop of ruined peaks
 - <any:ROBOTIC_RUINATION: precision_lockout> - Precision lockout at critical moments
 - <any:ROBOTIC_RUINATION: calibrated_ruin> - Perfectly calibrated to ruin you
-` : ''}${modeSettings.evilEdgingMistress ? `
+` : ''}${modeSettings.evilEdgingMistress && isModeAllowed('evil') ? `
 EVIL_EDGING_MISTRESS MODE (wicked, sadistic torment):
 - <any:EVIL_EDGING_MISTRESS: wicked_torment> - Wicked torment with evil edges
 - <any:EVIL_EDGING_MISTRESS: cruel_edging> - Cruel and relentless edging
@@ -2378,7 +3876,7 @@ EVIL_EDGING_MISTRESS MODE (wicked, sadistic torment):
 - <any:EVIL_EDGING_MISTRESS: eternal_torment> - Eternal torment with no escape
 - <any:EVIL_EDGING_MISTRESS: maleficent> - Maleficent patterns of suffering
 - <any:EVIL_EDGING_MISTRESS: abyssal_torment> - Descend into torment from the abyss
-` : ''}${modeSettings.frustrationFairy ? `
+` : ''}${modeSettings.frustrationFairy && isModeAllowed('frustration') ? `
 FRUSTRATION_FAIRY MODE (super light, incredibly teasing, sensitivity build):
 - <any:FRUSTRATION_FAIRY: fairy_dust_tickle> - Light fairy dust tickles building sensitivity
 - <any:FRUSTRATION_FAIRY: phantom_touches> - Almost imperceptible phantom touches
@@ -2391,7 +3889,7 @@ FRUSTRATION_FAIRY MODE (super light, incredibly teasing, sensitivity build):
 - <any:FRUSTRATION_FAIRY: sensitivity_overload> - Overload sensitivity with feather touches
 - <any:FRUSTRATION_FAIRY: unbearable_tease> - Unbearable teasing intensity
 - <any:FRUSTRATION_FAIRY: maddening_dream> - Maddening dream of sensations
-` : ''}${modeSettings.hypnoHelper ? `
+` : ''}${modeSettings.hypnoHelper && isModeAllowed('hypno') ? `
 HYPNO_HELPER MODE (hypnotize, entrance, slow arousal build that never peaks):
 - <any:HYPNO_HELPER: dreamy_trance> - Dreamy hypnotic trance with slow build
 - <any:HYPNO_HELPER: hypnotic_pulse> - Hypnotic pulsing trance
@@ -2404,7 +3902,7 @@ HYPNO_HELPER MODE (hypnotize, entrance, slow arousal build that never peaks):
 - <any:HYPNO_HELPER: hypnotic_sustain> - Sustain hypnotic arousal without peaking
 - <any:HYPNO_HELPER: dreamy_edging> - Dreamy edging that never releases
 - <any:HYPNO_HELPER: hypnotic_loop> - Hypnotic loop of endless build
-` : ''}${modeSettings.chastityCaretaker ? `
+` : ''}${modeSettings.chastityCaretaker && isModeAllowed('chastity') ? `
 CHASTITY_CARETAKER MODE (gentle care with loving denial for chastity):
 - <any:CHASTITY_CARETAKER: gentle_checkup> - Gentle checkup on the cage
 - <any:CHASTITY_CARETAKER: daily_care> - Daily caretaker routine
@@ -2481,8 +3979,8 @@ ${patternExamples}` : ''
 
 // Build example responses using connected devices
 let exampleResponses = ''
-if (devices.length > 0) {
-  const firstDevice = devices[0]
+if (connectedDevices.length > 0) {
+  const firstDevice = connectedDevices[0]
   const shorthand = getDeviceShorthand(firstDevice)
   const type = getDeviceType(firstDevice)
   const typePresets = PatternLibrary.getCompatiblePresets(type)
@@ -2539,17 +4037,17 @@ EXAMPLE RESPONSES:
 ✗ Bad: "I will x the device for you" (no actual command)`
 }
 
-const prompt = `=== DEVICE CONTROL ACTIVE ===
+const prompt = aiControlPaused ? formatEmergencyStopNote() : `=== DEVICE CONTROL ACTIVE ===
 
 ⚠️ CRITICAL: These commands are HIDDEN from the user but will control their actual device.
 
 COMMAND FORMAT:
 Type the command EXACTLY like this (including the < and >):
-${startCommand}${deviceCommands}
-${exampleResponses}
-${deviceInfo.length > 0 ? 'You ARE currently connected - include device commands naturally in your responses.\n\nDEVICE CAPABILITIES:\n' + deviceInfo.map(d => `- ${d.name}: ${d.type} (${d.capabilities.join(', ')}, ${d.motors} motor${d.motors > 1 ? 's' : ''})`).join('\n') : '⚠️ You are DISCONNECTED - you MUST include [if you want to connect to devices] <interface:START> [to launch] or <interface:CONNECT> [to connect] and <interface:SCAN> in your response to establish connection BEFORE attempting to send any device commands.'}
+${filterAllowedCommands(startCommand + deviceCommands)}
+${filterAllowedCommands(exampleResponses)}
+${deviceInfo.length > 0 ? 'You ARE currently connected - include device commands naturally in your responses.\n\nDEVICE CAPABILITIES:\n' + deviceInfo.map(d => `- ${d.name} [address as: ${d.address.join(', ')}]: ${d.type} (${d.capabilities.join(', ')}, ${d.motors} motor${d.motors > 1 ? 's' : ''})`).join('\n') : '⚠️ You are DISCONNECTED - you MUST include [if you want to connect to devices] <interface:START> [to launch] or <interface:CONNECT> [to connect] and <interface:SCAN> in your response to establish connection BEFORE attempting to send any device commands.'}
 
-${connectedDevices.length > 0 ? `
+${connectedDevices.length > 0 && isVerbAllowed('MEDIA') ? `
 === VIDEO & FUNSCRIPT SUPPORT ===
 You can also play videos with synchronized haptic feedback! Videos are stored in the media library and can be played with matching Funscript files.
 
@@ -2595,7 +4093,8 @@ MEDIA EXAMPLES:
 5. Use PRESETS for optimized device-specific patterns
 6. Use WAVEFORM for dynamic, changing sensations
 7. Use GRADIENT for smooth intensity transitions
-8. Be creative - combine different command types for complex scenes`
+8. Be creative - combine different command types for complex scenes
+${formatPermissionsNote()}${formatRejectedCommandsNote()}`
 
     // Always set the prompt - hash check was preventing initial injection
     const promptHash = hashPrompt(prompt)
@@ -2618,457 +4117,18 @@ MEDIA EXAMPLES:
 let strokerIntervalId = null
 let vibrateIntervalId = null
 let oscillateIntervalId = null
-let lastProcessedMessage = null
 let isStroking = false // To control the async stroking loop
 let chatControlEnabled = false
 
 async function rescanLastMessage() {
   updateStatus("Rescanning last message...")
-  lastProcessedMessage = null
   await processMessage()
 }
 
+// Re-run the device commands in the last chat message
 async function processMessage() {
-  if (!device) return
-
   const context = getContext()
-  const lastMessage = context.chat[context.chat.length - 1]
-
-  if (!lastMessage || !lastMessage.mes || lastMessage.mes === lastProcessedMessage) {
-    return // No new message or message already processed
-  }
-
-  const stopActions = () => {
-    if (vibrateIntervalId) {
-      clearWorkerTimeout(vibrateIntervalId)
-      vibrateIntervalId = null
-      $("#intiface-interval-display").text("Interval: N/A")
-    }
-    if (oscillateIntervalId) {
-      clearWorkerTimeout(oscillateIntervalId)
-      oscillateIntervalId = null
-      $("#intiface-oscillate-interval-display").text("Oscillate Interval: N/A")
-    }
-    if (strokerIntervalId) {
-      clearWorkerTimeout(strokerIntervalId)
-      strokerIntervalId = null
-    }
-    isStroking = false
-  }
-
-  const messageText = lastMessage.mes
-
-  // Special handler for complex, nested LINEAR_PATTERN command
-  const linearPatternRegex = /"LINEAR_PATTERN"\s*:\s*({)/i
-  const linearPatternMatch = messageText.match(linearPatternRegex)
-
-  if (linearPatternMatch) {
-    const objectStartIndex = linearPatternMatch.index + linearPatternMatch[0].length - 1
-    let balance = 1
-    let objectEndIndex = -1
-
-    for (let i = objectStartIndex + 1; i < messageText.length; i++) {
-      if (messageText[i] === "{") {
-        balance++
-      } else if (messageText[i] === "}") {
-        balance--
-      }
-      if (balance === 0) {
-        objectEndIndex = i
-        break
-      }
-    }
-
-    if (objectEndIndex !== -1) {
-      const jsonString = messageText.substring(objectStartIndex, objectEndIndex + 1)
-      try {
-        const command = JSON.parse(jsonString)
-        // If parsing is successful, we have a valid command. Execute and return.
-        lastProcessedMessage = messageText
-        stopActions()
-
-        const segments = command.segments
-        const repeat = command.repeat === true
-
-        if (Array.isArray(segments) && segments.length > 0) {
-          let segmentIndex = 0
-          let loopIndex = 0
-          let durationIndex = 0
-          let isAtStart = true
-
-          const executeSegment = async () => {
-            if (segmentIndex >= segments.length) {
-              if (repeat) {
-                segmentIndex = 0
-                loopIndex = 0
-                durationIndex = 0
-                updateStatus("Repeating pattern...")
-                strokerIntervalId = setWorkerTimeout(executeSegment, 100)
-                return
-              }
-              updateStatus("All segments finished.")
-              if (strokerIntervalId) clearWorkerTimeout(strokerIntervalId)
-              strokerIntervalId = null
-              return
-            }
-
-            const segment = segments[segmentIndex]
-            const startPos = segment.start
-            const endPos = segment.end
-            const durations = segment.durations
-            const loopCount = segment.loop || 1
-
-            if (isNaN(startPos) || isNaN(endPos) || !Array.isArray(durations) || durations.length === 0) {
-              segmentIndex++
-              executeSegment()
-              return
-            }
-
-            if (loopIndex >= loopCount) {
-              segmentIndex++
-              loopIndex = 0
-              durationIndex = 0
-              executeSegment()
-              return
-            }
-
-            if (durationIndex >= durations.length) {
-              durationIndex = 0
-              loopIndex++
-            }
-
-            const duration = durations[durationIndex]
-            const targetPos = isAtStart ? endPos : startPos
-
-            $("#start-pos-slider").val(startPos).trigger("input")
-            $("#end-pos-slider").val(endPos).trigger("input")
-            $("#duration-input").val(duration).trigger("input")
-            updateStatus(
-              `Segment ${segmentIndex + 1}, Loop ${loopIndex + 1}: Stroking to ${targetPos}% over ${duration}ms`,
-            )
-
-            try {
-              await device.linear(targetPos / 100, duration)
-              isAtStart = !isAtStart
-              durationIndex++
-              if (strokerIntervalId) clearWorkerTimeout(strokerIntervalId)
-              strokerIntervalId = setWorkerTimeout(executeSegment, duration)
-            } catch (e) {
-              const errorMsg = `Segment ${segmentIndex + 1} failed: ${e.message}`
-              console.error(errorMsg, e)
-              updateStatus(errorMsg, true)
-              if (strokerIntervalId) clearWorkerTimeout(strokerIntervalId)
-
-              // Skip to the next segment after a failure
-              segmentIndex++
-              loopIndex = 0
-              durationIndex = 0
-              strokerIntervalId = setWorkerTimeout(executeSegment, 500) // Wait 0.5s before trying next segment
-            }
-          }
-          executeSegment()
-        }
-        return // Exit after handling LINEAR_PATTERN
-      } catch (e) {
-        console.error("Could not parse LINEAR_PATTERN command. String was:", jsonString, "Error:", e)
-        // Not a valid JSON object, fall through to legacy regex methods
-      }
-    }
-  }
-
-  // Regex definitions from the old, working version
-  const arrayVibrateRegex = /"VIBRATE"\s*:\s*(\[.*?\])/i
-  const multiVibrateRegex = /"VIBRATE"\s*:\s*({[^}]+})/i
-  const singleVibrateRegex = /"VIBRATE"\s*:\s*(\d+)/i
-  const multiOscillateRegex = /"OSCILLATE"\s*:\s*({[^}]+})/i
-  const singleOscillateRegex = /"OSCILLATE"\s*:\s*(\d+)/i
-  const linearRegex =
-    /"LINEAR"\s*:\s*{\s*(?:")?start_position(?:")?\s*:\s*(\d+)\s*,\s*(?:")?end_position(?:")?\s*:\s*(\d+)\s*,\s*(?:")?duration(?:")?\s*:\s*(\d+)\s*}/i
-  const linearSpeedRegex =
-    /"LINEAR_SPEED"\s*:\s*{\s*(?:")?start_position(?:")?\s*:\s*(\d+)\s*,\s*(?:")?end_position(?:")?\s*:\s*(\d+)\s*,\s*(?:")?start_duration(?:")?\s*:\s*(\d+)\s*,\s*(?:")?end_duration(?:")?\s*:\s*(\d+)\s*,\s*(?:")?steps(?:")?\s*:\s*(\d+)\s*}/i
-
-  const arrayVibrateMatch = messageText.match(arrayVibrateRegex)
-  const multiVibrateMatch = messageText.match(multiVibrateRegex)
-  const singleVibrateMatch = messageText.match(singleVibrateRegex)
-  const multiOscillateMatch = messageText.match(multiOscillateRegex)
-  const singleOscillateMatch = messageText.match(singleOscillateRegex)
-  const linearMatch = messageText.match(linearRegex)
-  const linearSpeedMatch = messageText.match(linearSpeedRegex)
-
-  // This is the old, working check
-  if (
-    arrayVibrateMatch ||
-    multiVibrateMatch ||
-    singleVibrateMatch ||
-    linearMatch ||
-    linearSpeedMatch ||
-    multiOscillateMatch ||
-    singleOscillateMatch
-  ) {
-    lastProcessedMessage = messageText
-  } else {
-    return // Not a command message, do nothing.
-  }
-
-  stopActions()
-
-  // OLD, WORKING if/else if structure
-  if (arrayVibrateMatch && arrayVibrateMatch[1]) {
-    try {
-      const speeds = JSON.parse(arrayVibrateMatch[1])
-      if (Array.isArray(speeds)) {
-        const normalizedSpeeds = speeds.map((s, index) => {
-          const intensity = Number.parseInt(s, 10)
-          const clamped = isNaN(intensity) ? 0 : Math.max(0, Math.min(100, intensity))
-          return applyMaxVibrate(clamped, index)
-        })
-
-        // Update sliders on UI
-        normalizedSpeeds.forEach((speed, index) => {
-          $(`#vibrate-slider-${index}`).val(speed)
-        })
-
-          // Try simple vibrate method first (better for Lovense), fallback to scalar
-          try {
-            const speeds = normalizedSpeeds.map((s) => s / 100)
-            for (const speed of speeds) {
-              await device.vibrate(speed)
-              await new Promise((resolve) => setTimeout(resolve, 50)) // 50ms delay
-            }
-          } catch (e) {
-            // Fallback to scalar command
-            const vibrateAttributes = device.vibrateAttributes
-            if (vibrateAttributes && vibrateAttributes.length >= normalizedSpeeds.length) {
-              // Asynchronous execution with a delay
-              for (let i = 0; i < normalizedSpeeds.length; i++) {
-                const speed = normalizedSpeeds[i]
-                // @ts-ignore
-                const scalarCommand = new buttplug.ScalarSubcommand(vibrateAttributes[i].Index, speed / 100, "Vibrate")
-                await device.scalar(scalarCommand)
-                await new Promise((resolve) => setTimeout(resolve, 50)) // 50ms delay
-              }
-            }
-          }
-        updateStatus(`Vibrating with pattern: [${normalizedSpeeds.join(", ")}]%`)
-      }
-    } catch (e) {
-      console.error("Could not parse array VIBRATE command.", e)
-    }
-  } else if (multiVibrateMatch && multiVibrateMatch[1]) {
-    try {
-      const command = JSON.parse(multiVibrateMatch[1])
-      if (command.pattern && Array.isArray(command.pattern) && command.interval) {
-        const pattern = command.pattern
-        const intervals = Array.isArray(command.interval) ? command.interval : [command.interval]
-        const loopCount = command.loop
-        let patternIndex = 0
-        let currentLoop = 0
-
-        const executeVibration = async () => {
-          if (patternIndex >= pattern.length) {
-            patternIndex = 0
-            currentLoop++
-            if (loopCount && currentLoop >= loopCount) {
-              if (vibrateIntervalId) clearWorkerTimeout(vibrateIntervalId)
-              vibrateIntervalId = null
-              await device.vibrate(0)
-              updateStatus("Vibration pattern finished")
-              $("#intiface-interval-display").text("Interval: N/A")
-              return
-            }
-          }
-          const patternStep = pattern[patternIndex]
-          if (Array.isArray(patternStep)) {
-            // It's an array of speeds for multiple motors
-            const normalizedSpeeds = patternStep.map((s, index) => {
-              const intensity = Number.parseInt(s, 10)
-              const clamped = isNaN(intensity) ? 0 : Math.max(0, Math.min(100, intensity))
-              return applyMaxVibrate(clamped, index)
-            })
-
-            // Update sliders on UI
-            normalizedSpeeds.forEach((speed, index) => {
-              $(`#vibrate-slider-${index}`).val(speed)
-            })
-
-            // Try simple vibrate method first (better for Lovense), fallback to scalar
-            try {
-              const speeds = normalizedSpeeds.map((s) => s / 100)
-              for (const speed of speeds) {
-                await device.vibrate(speed)
-                await new Promise((resolve) => setTimeout(resolve, 50)) // 50ms delay
-              }
-            } catch (e) {
-              // Fallback to scalar command
-              const vibrateAttributes = device.vibrateAttributes
-              if (vibrateAttributes && vibrateAttributes.length >= normalizedSpeeds.length) {
-                // Asynchronous execution with a delay
-                for (let i = 0; i < normalizedSpeeds.length; i++) {
-                  const speed = normalizedSpeeds[i]
-                  // @ts-ignore
-                  const scalarCommand = new buttplug.ScalarSubcommand(vibrateAttributes[i].Index, speed / 100, "Vibrate")
-                  await device.scalar(scalarCommand)
-                  await new Promise((resolve) => setTimeout(resolve, 50)) // 50ms delay
-                }
-              }
-            }
-            updateStatus(`Vibrating with pattern: [${normalizedSpeeds.join(", ")}]%`)
-          } else {
-            // It's a single intensity for all motors (backward compatibility)
-            const intensity = patternStep
-            if (!isNaN(intensity) && intensity >= 0 && intensity <= 100) {
-              const cappedIntensity = applyMaxVibrate(intensity, 0)
-              $(".vibrate-slider").val(cappedIntensity)
-              await device.vibrate(cappedIntensity / 100)
-              updateStatus(`Vibrating at ${cappedIntensity}% (Pattern)`)
-            }
-          }
-          const currentInterval = intervals[patternIndex % intervals.length]
-          $("#intiface-interval-display").text(`Interval: ${currentInterval}ms`)
-          patternIndex++
-      if (vibrateIntervalId) clearWorkerTimeout(vibrateIntervalId)
-      vibrateIntervalId = setWorkerTimeout(executeVibration, currentInterval)
-        }
-        executeVibration()
-      }
-    } catch (e) {
-      console.error("Could not parse multi-level VIBRATE command.", e)
-    }
-  } else if (singleVibrateMatch && singleVibrateMatch[1]) {
-    const intensity = Number.parseInt(singleVibrateMatch[1], 10)
-    if (!isNaN(intensity) && intensity >= 0 && intensity <= 100) {
-      const cappedIntensity = applyMaxVibrate(intensity, 0)
-      $(".vibrate-slider").val(cappedIntensity)
-      try {
-        await device.vibrate(cappedIntensity / 100)
-        updateStatus(`Vibrating at ${cappedIntensity}%`)
-      } catch (e) {
-        updateStatus(`Vibrate command failed: ${e.message}`, true)
-      }
-    }
-  } else if (linearMatch && linearMatch.length === 4) {
-    const startPos = Number.parseInt(linearMatch[1], 10)
-    const endPos = Number.parseInt(linearMatch[2], 10)
-    const duration = Number.parseInt(linearMatch[3], 10)
-
-    if (!isNaN(startPos) && !isNaN(endPos) && !isNaN(duration)) {
-      updateStatus(`Linear command received: ${startPos}-${endPos}% over ${duration}ms`)
-      $("#start-pos-slider").val(startPos).trigger("input")
-      $("#end-pos-slider").val(endPos).trigger("input")
-      $("#duration-input").val(duration).trigger("input")
-
-      let isAtStart = true
-      const move = () =>
-        device.linear(isAtStart ? endPos / 100 : startPos / 100, duration).catch((e) => {
-          const errorMsg = `Linear command failed: ${e.message}`
-          console.error(errorMsg, e)
-          updateStatus(errorMsg, true)
-        })
-      move()
-      isAtStart = !isAtStart
-      strokerIntervalId = setWorkerInterval(() => {
-        move()
-        isAtStart = !isAtStart
-      }, duration)
-    }
-  } else if (linearSpeedMatch && linearSpeedMatch.length === 6) {
-    const startPos = Number.parseInt(linearSpeedMatch[1], 10)
-    const endPos = Number.parseInt(linearSpeedMatch[2], 10)
-    const startDur = Number.parseInt(linearSpeedMatch[3], 10)
-    const endDur = Number.parseInt(linearSpeedMatch[4], 10)
-    const steps = Number.parseInt(linearSpeedMatch[5], 10)
-
-    if (!isNaN(startPos) && !isNaN(endPos) && !isNaN(startDur) && !isNaN(endDur) && !isNaN(steps) && steps > 1) {
-      $("#start-pos-slider").val(startPos).trigger("input")
-      $("#end-pos-slider").val(endPos).trigger("input")
-
-      let isAtStart = true
-      let currentStep = 0
-      isStroking = true
-
-      const strokerLoop = async () => {
-        if (!isStroking) return
-        const progress = currentStep / (steps - 1)
-        const duration = Math.round(startDur + (endDur - startDur) * progress)
-        $("#duration-input").val(duration).trigger("input")
-        updateStatus(`Stroking. Duration: ${duration}ms`)
-        const targetPos = isAtStart ? endPos / 100 : startPos / 100
-        try {
-          await device.linear(targetPos, duration)
-          await new Promise((resolve) => setTimeout(resolve, duration))
-          isAtStart = !isAtStart
-          currentStep++
-          if (currentStep >= steps) currentStep = 0
-          strokerLoop()
-        } catch (e) {
-          const errorMsg = `Linear Speed command failed: ${e.message}`
-          console.error(errorMsg, e)
-          updateStatus(errorMsg, true)
-          isStroking = false
-        }
-      }
-      strokerLoop()
-    }
-  } else if (multiOscillateMatch && multiOscillateMatch[1]) {
-    try {
-      const command = JSON.parse(multiOscillateMatch[1])
-      if (command.pattern && Array.isArray(command.pattern) && command.interval) {
-        const pattern = command.pattern
-        const intervals = Array.isArray(command.interval) ? command.interval : [command.interval]
-        const loopCount = command.loop
-        let patternIndex = 0
-        let currentLoop = 0
-
-        const executeOscillation = async () => {
-          if (patternIndex >= pattern.length) {
-            patternIndex = 0
-            currentLoop++
-            if (loopCount && currentLoop >= loopCount) {
-              if (oscillateIntervalId) clearWorkerTimeout(oscillateIntervalId)
-              oscillateIntervalId = null
-              try {
-                await device.oscillate(0)
-              } catch (e) {
-                /* Ignore */
-              }
-              updateStatus("Oscillation pattern finished")
-              $("#intiface-oscillate-interval-display").text("Oscillate Interval: N/A")
-              return
-            }
-          }
-          const intensity = pattern[patternIndex]
-          if (!isNaN(intensity) && intensity >= 0 && intensity <= 100) {
-            $("#oscillate-slider").val(intensity).trigger("input")
-            try {
-              await device.oscillate(intensity / 100)
-            } catch (e) {
-              /* Ignore */
-            }
-            updateStatus(`Oscillating at ${intensity}% (Pattern)`)
-          }
-          const currentInterval = intervals[patternIndex % intervals.length]
-          $("#intiface-oscillate-interval-display").text(`Oscillate Interval: ${currentInterval}ms`)
-          patternIndex++
-      if (oscillateIntervalId) clearWorkerTimeout(oscillateIntervalId)
-      oscillateIntervalId = setWorkerTimeout(executeOscillation, currentInterval)
-        }
-        executeOscillation()
-      }
-    } catch (e) {
-      console.error("Could not parse multi-level OSCILLATE command.", e)
-    }
-  } else if (singleOscillateMatch && singleOscillateMatch[1]) {
-    const intensity = Number.parseInt(singleOscillateMatch[1], 10)
-    if (!isNaN(intensity) && intensity >= 0 && intensity <= 100) {
-      $("#oscillate-slider").val(intensity).trigger("input")
-      try {
-        await device.oscillate(intensity / 100)
-        updateStatus(`Oscillating at ${intensity}%`)
-      } catch (e) {
-        // Don't worry about it, some devices don't support this.
-      }
-    }
-  }
+  await replayMessage(context.chat.length - 1)
 }
 
 async function toggleConnection() {
@@ -3112,8 +4172,10 @@ handleDeviceAdded(newDevice)
 let isScanningForDevices = false
 
 // Stop all device actions immediately
-async function stopAllDeviceActions() {
+async function stopAllDeviceActions(origin = 'internal') {
   try {
+    logEvent('command', origin, { command: { type: 'stop' } })
+
     // Update AI status immediately since we're stopping
     updateAIStatusFromActivity()
 
@@ -3125,6 +4187,13 @@ async function stopAllDeviceActions() {
     // This stops vibration immediately even if pattern cleanup takes time
     const immediateStopPromises = devices.map(async (dev) => {
       try {
+        // StopDeviceCmd first: it also cuts any slew ramp short
+        try {
+          await dev.stop()
+        } catch (e) {
+          // Fall through to zeroing each motor
+        }
+
         // Stop all motors immediately
         const motorCount = getMotorCount(dev)
         for (let i = 0; i < motorCount; i++) {
@@ -3169,6 +4238,14 @@ async function stopAllDeviceActions() {
     }
     isStroking = false
 
+    // Cancel pending for= releases - nothing should restart after a stop
+    cancelTimedReleases()
+    cancelSequencePrograms()
+    outputLevels.clear()
+    clearPlaybackOwners()
+    // Queued commands no longer wait on the stopped ones
+    busyLanes.clear()
+
     // Clear all active patterns
     for (const [deviceIndex, active] of activePatterns.entries()) {
       if (active.interval) {
@@ -3222,6 +4299,17 @@ await dev.oscillate(0)
 }
 }, 1000)
 
+// Stop rotation and release other scalar actuators (constrict, inflate, ...)
+await stopWithTimeout(async () => {
+if (dev.rotateAttributes?.length > 0) {
+await dev.rotate(0, true)
+}
+const otherScalars = getScalarActuators(dev).filter(attr => attr.ActuatorType !== 'Vibrate' && attr.ActuatorType !== 'Oscillate')
+if (otherScalars.length > 0) {
+await dev.scalar(otherScalars.map(attr => new buttplug.ScalarSubcommand(attr.Index, 0, attr.ActuatorType)))
+}
+}, 1000)
+
 return dev.name
 } catch (devError) {
 console.error(`Failed to stop ${dev.name}:`, devError)
@@ -3235,6 +4323,7 @@ const results = (await Promise.all(stopPromises)).filter(name => name !== null)
 // Reset sliders
 $(".vibrate-slider").val(0)
 $(".motor-slider").val(0)
+$(".actuator-slider").val(0)
 $("#oscillate-slider").val(0)
 $("#intiface-interval-display").text("Interval: N/A")
 $("#intiface-oscillate-interval-display").text("Oscillate Interval: N/A")
@@ -3280,6 +4369,55 @@ $(async () => {
     // Load device polling rate
     loadDevicePollingRate()
 
+    // Load chat aliases and groups for devices
+    loadDeviceAliases()
+    loadDeviceGroups()
+
+    // Load safety limits and slew rates (must be ready before any device connects)
+    initSafetyModule({
+      NAME,
+      updateStatus,
+      getDevices: () => devices,
+      getDeviceDisplayName,
+      logEvent,
+      setWorkerTimeout,
+      clearWorkerTimeout
+    })
+    loadSafetyLimits()
+    initSlewModule({
+      NAME,
+      getPollingInterval,
+      setWorkerTimeout,
+      clearWorkerTimeout
+    })
+    loadSlewRates()
+    initProfilesModule({
+      NAME,
+      getDevices: () => devices,
+      onProfilesChanged: () => {
+        populatePatternButtons(devices.length > 0 ? getDeviceType(devices[0]) : 'general')
+        updatePrompt()
+      }
+    })
+    loadDeviceProfiles()
+    initPermissionsModule({
+      NAME,
+      getContext,
+      getDevices: () => devices,
+      getModes: () => PlayModeLoader.getAllModes(),
+      getModeVerbs,
+      getCommandPeakLevel,
+      updatePrompt
+    })
+
+    // Load rejected-command badge and excluded region settings
+    loadCommandErrorBadges()
+    loadExcludedRegions()
+    loadMessageHaptics()
+    loadEmergencyStopSettings()
+    loadApprovalSettings()
+    loadHeartbeatSettings()
+
 client = new buttplug.ButtplugClient("SillyTavern Intiface Client")
   if (typeof window !== 'undefined') window.client = client
 
@@ -3353,6 +4491,19 @@ $("#intiface-ip-input").on("input", function () {
       console.log(`${NAME}: Auto-connect set to: ${$(this).is(":checked")}`)
     })
 
+    // Dead-man heartbeat settings (applied right away when connected)
+    $("#intiface-heartbeat-enabled").prop("checked", heartbeatEnabled)
+    $("#intiface-heartbeat-timeout").val(heartbeatTimeout)
+    $("#intiface-heartbeat-enabled, #intiface-heartbeat-timeout").on("change", function () {
+      heartbeatEnabled = $("#intiface-heartbeat-enabled").is(":checked")
+      heartbeatTimeout = Math.min(60, Math.max(1, Number($("#intiface-heartbeat-timeout").val()) || 5))
+      $("#intiface-heartbeat-timeout").val(heartbeatTimeout)
+      saveHeartbeatSettings()
+      if (client.connected && heartbeatServerUrl) {
+        startHeartbeat(heartbeatServerUrl)
+      }
+    })
+
 // Set mode checkboxes from PlayModeLoader settings
   $("#intiface-mode-denial-domina").prop("checked", PlayModeLoader.isModeEnabled('denial_domina'))
   $("#intiface-mode-milk-maid").prop("checked", PlayModeLoader.isModeEnabled('milk_maid'))
@@ -3525,8 +4676,16 @@ populatePatternButtons = function(deviceType = 'general') {
     return
   }
 
+  // Modes and sequences list the device types they're made for
+  const mode = PlayModeLoader.getMode(currentPatternCategory)
+  if (mode && !isTypeCompatible(mode.compatibleDevices, deviceType)) {
+    container.html(`<div style="color: #666; font-size: 0.8em; width: 100%; text-align: center; padding: 20px;">${mode.name || currentPatternCategory} isn't made for ${deviceType} devices</div>`)
+    return
+  }
+
   // Get presets for current category (using folder name)
   let presets = {}
+  let hiddenCount = 0
 
   if (currentPatternCategory === 'basic') {
     // Basic category: show basic waveform patterns from PlayModeLoader
@@ -3549,6 +4708,10 @@ populatePatternButtons = function(deviceType = 'general') {
     const modeSequences = PlayModeLoader.getSequencesForMode(modeId)
     if (modeSequences) {
       for (const [seqName, seqData] of Object.entries(modeSequences)) {
+        if (!isTypeCompatible(seqData.compatibleDevices, deviceType)) {
+          hiddenCount++
+          continue
+        }
         presets[seqName] = {
           type: 'sequence',
           sequence: seqData.steps,
@@ -3597,6 +4760,9 @@ populatePatternButtons = function(deviceType = 'general') {
   if (Object.keys(presets).length === 0) {
     container.html('<div style="color: #666; font-size: 0.8em; width: 100%; text-align: center; padding: 20px;">No patterns available for this category</div>')
   }
+  if (hiddenCount > 0) {
+    container.append(`<div style="color: #666; font-size: 0.7em; width: 100%; text-align: center;">${hiddenCount} sequence${hiddenCount === 1 ? '' : 's'} hidden - not made for ${deviceType} devices</div>`)
+  }
 }
 
 // Execute a Play Mode sequence
@@ -3660,6 +4826,7 @@ executePlayModeSequence = async function(deviceIndex, modePreset) {
     
     const patternData = {
         pattern: invertedValues,
+        levels: values,
         intervals: Array(steps).fill(100),
         loop: 1
     }
@@ -3691,6 +4858,13 @@ $(document).ready(async function() {
 
   // Setup timeline event handlers from timeline module
   setupTimelineEventHandlers()
+
+  // Setup session log panel handlers from event log module
+  setupEventLogEventHandlers()
+  setupSafetyEventHandlers()
+  setupSlewEventHandlers()
+  setupPermissionsEventHandlers()
+  setupProfilesEventHandlers()
 })
 
 // Play Mode UI Event Handlers
@@ -3872,6 +5046,8 @@ let currentEditingMode = null
 
 // Load custom modes from localStorage
 function loadCustomModes() {
+  // This runs before PlayModeLoader.init, so the old modes get their trust here first
+  PlayModeLoader.migrateCodeTrust()
   const saved = localStorage.getItem('intiface-custom-modes')
   if (saved) {
     try {
@@ -3939,22 +5115,44 @@ $('#intiface-mode-multiplier').on('input', function() {
   $('#intiface-mode-multiplier-display').text(`${$(this).val()}x`)
 })
 
-// Add pattern
-$('#intiface-add-pattern-btn').on('click', function() {
-  const patternId = `pattern-${Date.now()}`
-  const html = `
+// Pattern textarea placeholders per format
+const PATTERN_PLACEHOLDERS = {
+  json: '// JSON pattern, no code (see README)&#10;// Example: a sine wave that swells in and fades out&#10;{&#10;  &quot;multiply&quot;: [&#10;    {&quot;wave&quot;: &quot;sine&quot;, &quot;range&quot;: [0.3, 1]},&#10;    {&quot;envelope&quot;: {&quot;attack&quot;: 0.3, &quot;release&quot;: 0.3}}&#10;  ]&#10;}',
+  code: '// JavaScript function: (phase, intensity) => value 0-1&#10;// Runs sandboxed: no page or network access, 5ms per call&#10;// Example:&#10;return Math.sin(phase * Math.PI * 2) * intensity;'
+}
+
+// Pattern editor entry; a stored pattern is a JSON spec (object or number) or a code string
+function getPatternEntryHtml(name = '', pattern = null) {
+  const patternId = `pattern-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  const format = typeof pattern === 'string' ? 'code' : 'json'
+  const text = pattern === null ? '' : format === 'code' ? pattern : JSON.stringify(pattern, null, 2)
+  return `
     <div class="custom-pattern-entry" data-pattern-id="${patternId}" style="margin-bottom: 10px; padding: 8px; background: rgba(255,100,100,0.1); border-radius: 3px;">
       <div style="display: flex; gap: 5px; margin-bottom: 5px;">
-        <input type="text" class="pattern-name text_pole" placeholder="Pattern name (e.g., myWave)" style="flex: 1; font-size: 0.75em;">
+        <input type="text" class="pattern-name text_pole" value="${name}" placeholder="Pattern name (e.g., myWave)" style="flex: 1; font-size: 0.75em;">
+        <select class="pattern-format text_pole" style="width: auto; font-size: 0.7em;">
+          <option value="json" ${format === 'json' ? 'selected' : ''}>JSON</option>
+          <option value="code" ${format === 'code' ? 'selected' : ''}>JavaScript</option>
+        </select>
         <button class="remove-pattern-btn menu_button" style="padding: 2px 6px; font-size: 0.7em; background: rgba(255,0,0,0.3);">
           <i class="fa-solid fa-trash"></i>
         </button>
       </div>
-      <textarea class="pattern-code text_pole" placeholder="// JavaScript function: (phase, intensity) => value 0-1&#10;// Example:&#10;return Math.sin(phase * Math.PI * 2) * intensity;" 
-        style="width: 100%; font-size: 0.7em; min-height: 80px; resize: vertical; font-family: monospace;"></textarea>
+      <textarea class="pattern-code text_pole" placeholder="${PATTERN_PLACEHOLDERS[format]}" 
+        style="width: 100%; font-size: 0.7em; min-height: 80px; resize: vertical; font-family: monospace;">${text.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</textarea>
     </div>
   `
-  $('#intiface-patterns-list').append(html)
+}
+
+// Add pattern
+$('#intiface-add-pattern-btn').on('click', function() {
+  $('#intiface-patterns-list').append(getPatternEntryHtml())
+})
+
+// Switch pattern format
+$(document).on('change', '.pattern-format', function() {
+  const placeholder = $('<textarea>').html(PATTERN_PLACEHOLDERS[$(this).val()]).text()
+  $(this).closest('.custom-pattern-entry').find('.pattern-code').attr('placeholder', placeholder)
 })
 
 // Remove pattern
@@ -4002,15 +5200,30 @@ $('#intiface-save-mode-btn').on('click', function() {
     return
   }
   
-  // Build patterns object
+  // Build patterns object; JSON patterns are checked now so mistakes show up here
   const patterns = {}
+  const patternErrors = []
   $('.custom-pattern-entry').each(function() {
     const name = $(this).find('.pattern-name').val().trim()
-    const code = $(this).find('.pattern-code').val().trim()
-    if (name && code) {
-      patterns[name] = code
+    const text = $(this).find('.pattern-code').val().trim()
+    if (!name || !text) return
+
+    if ($(this).find('.pattern-format').val() === 'code') {
+      patterns[name] = text
+      return
+    }
+    try {
+      const spec = JSON.parse(text)
+      PlayModeLoader.compilePatternSpec(spec)
+      patterns[name] = spec
+    } catch (e) {
+      patternErrors.push(`${name}: ${e.message}`)
     }
   })
+  if (patternErrors.length > 0) {
+    alert(`Fix these patterns before saving:\n\n${patternErrors.join('\n')}`)
+    return
+  }
   
   // Build sequences object
   const sequences = {}
@@ -4054,20 +5267,14 @@ $('#intiface-save-mode-btn').on('click', function() {
     },
     compatibleDevices: ['general', 'cage', 'plug', 'stroker'],
     patterns: patterns,
-    sequences: sequences
+    sequences: sequences,
+    // Code written here is the user's own; an edited import keeps its trust state
+    codeTrusted: currentEditingMode ? customModes[currentEditingMode]?.codeTrusted === true : true
   }
   
   customModes[modeId] = modeData
   saveCustomModes()
-  updateCustomModesList()
-
-  // Refresh PlayModeLoader with new custom modes
-  if (PlayModeLoader && PlayModeLoader.refresh) {
-    PlayModeLoader.refresh()
-    // Regenerate UI to include the new mode
-    generatePlayModeUI()
-    updatePlayModeTabVisibility()
-  }
+  refreshCustomModes()
 
   $('#intiface-mode-editor').slideUp(200)
   $('#intiface-create-mode-btn').show()
@@ -4075,6 +5282,18 @@ $('#intiface-save-mode-btn').on('click', function() {
   console.log(`${NAME}: Saved custom mode: ${modeId}`)
 })
 
+// Reload custom modes into PlayModeLoader (patterns are sampled in the sandbox
+// worker, so this is async) and regenerate the UI that lists them
+async function refreshCustomModes() {
+  updateCustomModesList()
+  if (!PlayModeLoader || !PlayModeLoader.refresh) return
+
+  await PlayModeLoader.refresh()
+  generatePlayModeUI()
+  updatePlayModeTabVisibility()
+  updateCustomModesList()
+}
+
 // Update custom modes list UI
 function updateCustomModesList() {
   const container = $('#intiface-custom-modes-list')
@@ -4113,6 +5332,7 @@ function updateCustomModesList() {
           <i class="fa-solid fa-wave-square"></i> ${Object.keys(mode.patterns || {}).length} patterns | 
           <i class="fa-solid fa-list-ol"></i> ${Object.keys(mode.sequences || {}).length} sequences
         </div>
+        ${getCustomModeCodeStatusHtml(modeId, mode)}
       </div>
     `
   })
@@ -4120,6 +5340,49 @@ function updateCustomModesList() {
   container.html(html)
 }
 
+// Number of a custom mode's patterns that are code rather than JSON specs
+function countCodePatterns(mode) {
+  return Object.values(mode?.patterns || {}).filter(pattern => typeof pattern === 'string').length
+}
+
+// Trust warning or pattern errors for a custom mode's patterns
+function getCustomModeCodeStatusHtml(modeId, mode) {
+  if (Object.keys(mode.patterns || {}).length === 0) return ''
+
+  if (countCodePatterns(mode) > 0 && mode.codeTrusted !== true) {
+    return `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 5px; margin-top: 5px; font-size: 0.65em; color: #FFB74D;">
+          <span><i class="fa-solid fa-triangle-exclamation"></i> Pattern code not trusted - code patterns are off</span>
+          <button class="trust-mode-code-btn menu_button" style="padding: 2px 8px; font-size: 1em;" data-mode-id="${modeId}">
+            <i class="fa-solid fa-unlock"></i> Trust code
+          </button>
+        </div>
+    `
+  }
+
+  const errors = Object.entries(PlayModeLoader?.patternErrors?.[modeId] || {})
+  if (errors.length === 0) return ''
+  const details = errors.map(([name, message]) => `${name}: ${message}`).join('\n').replace(/"/g, '&quot;')
+  return `
+        <div style="margin-top: 5px; font-size: 0.65em; color: #f44336; cursor: help;" title="${details}">
+          <i class="fa-solid fa-circle-exclamation"></i> ${errors.length} pattern${errors.length === 1 ? '' : 's'} failed: ${errors.map(([name]) => name).join(', ')}
+        </div>
+  `
+}
+
+// Trust an imported mode's pattern code
+$(document).on('click', '.trust-mode-code-btn', function() {
+  const modeId = $(this).data('mode-id')
+  const mode = customModes[modeId]
+  if (!mode) return
+  if (!confirm(`Run the pattern code in "${mode.name || modeId}"?\n\nIt runs in a sandbox without page, network or storage access, but only trust code you have read or that comes from someone you trust.`)) return
+
+  mode.codeTrusted = true
+  saveCustomModes()
+  refreshCustomModes()
+  console.log(`${NAME}: Trusted pattern code of custom mode: ${modeId}`)
+})
+
 // Edit mode
 $(document).on('click', '.edit-mode-btn', function() {
   const modeId = $(this).data('mode-id')
@@ -4141,21 +5404,8 @@ $(document).on('click', '.edit-mode-btn', function() {
   
   // Load patterns
   $('#intiface-patterns-list').empty()
-  Object.entries(mode.patterns || {}).forEach(([name, code]) => {
-    const patternId = `pattern-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-    const html = `
-      <div class="custom-pattern-entry" data-pattern-id="${patternId}" style="margin-bottom: 10px; padding: 8px; background: rgba(255,100,100,0.1); border-radius: 3px;">
-        <div style="display: flex; gap: 5px; margin-bottom: 5px;">
-          <input type="text" class="pattern-name text_pole" value="${name}" placeholder="Pattern name" style="flex: 1; font-size: 0.75em;">
-          <button class="remove-pattern-btn menu_button" style="padding: 2px 6px; font-size: 0.7em; background: rgba(255,0,0,0.3);">
-            <i class="fa-solid fa-trash"></i>
-          </button>
-        </div>
-        <textarea class="pattern-code text_pole" placeholder="Pattern code..." 
-          style="width: 100%; font-size: 0.7em; min-height: 80px; resize: vertical; font-family: monospace;">${code}</textarea>
-      </div>
-    `
-    $('#intiface-patterns-list').append(html)
+  Object.entries(mode.patterns || {}).forEach(([name, pattern]) => {
+    $('#intiface-patterns-list').append(getPatternEntryHtml(name, pattern))
   })
   
   // Load sequences
@@ -4224,18 +5474,18 @@ $('#intiface-import-file').on('change', function(e) {
     try {
       const imported = JSON.parse(event.target.result)
       const importedCount = Object.keys(imported).length
+
+        // Imported pattern code only runs once the user trusts it here
+        const withCode = Object.entries(imported).filter(([, mode]) => countCodePatterns(mode) > 0)
+        const trusted = withCode.length > 0 && confirm(`${withCode.length} imported mode${withCode.length === 1 ? '' : 's'} contain${withCode.length === 1 ? 's' : ''} pattern code: ${withCode.map(([modeId, mode]) => mode.name || modeId).join(', ')}\n\nIt runs in a sandbox without page, network or storage access, but only trust code from someone you trust. Turn these patterns on now? (You can also trust them later from the list.)`)
+        for (const mode of Object.values(imported)) {
+          if (mode && typeof mode === 'object') mode.codeTrusted = trusted && countCodePatterns(mode) > 0
+        }
       
         // Merge with existing custom modes
         Object.assign(customModes, imported)
         saveCustomModes()
-        updateCustomModesList()
-
-        // Refresh PlayModeLoader with imported modes
-        if (PlayModeLoader && PlayModeLoader.refresh) {
-          PlayModeLoader.refresh()
-          generatePlayModeUI()
-          updatePlayModeTabVisibility()
-        }
+        refreshCustomModes()
 
         alert(`Imported ${importedCount} custom modes!`)
         console.log(`${NAME}: Imported ${importedCount} custom modes`)
@@ -4361,6 +5611,153 @@ loadCustomModes()
 // Pattern buttons now only select patterns for timeline placement
   // Direct playback removed - all patterns go through timeline
     
+    // Rejected-command badges on chat messages
+    $("#intiface-error-badges").prop('checked', showCommandErrorBadges)
+    $("#intiface-error-badges").on('change', function() {
+      saveCommandErrorBadges($(this).is(':checked'))
+      if (!showCommandErrorBadges) $('.intiface-command-errors').remove()
+    })
+
+    // Haptics control (command list, replay, stop) under each AI message
+    $("#intiface-message-haptics").prop('checked', showMessageHaptics)
+    $("#intiface-message-haptics").on('change', function() {
+      saveMessageHaptics($(this).is(':checked'))
+      renderAllMessageHaptics()
+    })
+    $(document).on('click', '.intiface-haptics-toggle', function() {
+      $(this).closest('.intiface-message-haptics').find('.intiface-haptics-list').toggle()
+    })
+    $(document).on('click', '.intiface-haptics-replay', async function() {
+      if (!client.connected) {
+        updateStatus("Connect to Intiface to replay device commands", true)
+        return
+      }
+      updateStatus("Replaying message...")
+      await replayMessage(Number($(this).closest('.mes').attr('mesid')))
+    })
+    $(document).on('click', '.intiface-haptics-stop', async function() {
+      await stopMessagePlayback(Number($(this).closest('.mes').attr('mesid')))
+    })
+
+    // Regions whose tags are ignored (reasoning, code, quotes, comments)
+    $(".intiface-exclude-region").each(function() {
+      $(this).prop('checked', excludedRegions.includes($(this).data('region')))
+    })
+    $(".intiface-exclude-region").on('change', function() {
+      saveExcludedRegions($(".intiface-exclude-region:checked").map((i, el) => $(el).data('region')).get())
+      renderAllMessageHaptics()
+    })
+
+    // Emergency stop: global hotkey, safewords and resume
+    $("#intiface-estop-hotkey").val(emergencyHotkey)
+    $("#intiface-estop-hotkey").on('keydown', function(e) {
+      // Record the pressed combination instead of typing; Backspace/Delete clears it
+      e.preventDefault()
+      e.stopPropagation()
+      if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.altKey && !e.metaKey) {
+        saveEmergencyHotkey('')
+      } else if (formatHotkey(e) && isUsableHotkey(e)) {
+        saveEmergencyHotkey(formatHotkey(e))
+      }
+      $(this).val(emergencyHotkey)
+    })
+    document.addEventListener('keydown', (e) => {
+      if (!emergencyHotkey || e.repeat || e.target?.id === 'intiface-estop-hotkey') return
+      if (formatHotkey(e) !== emergencyHotkey) return
+      e.preventDefault()
+      emergencyStop('hotkey')
+    }, true)
+    $("#intiface-safewords").val(safewords.join('\n'))
+    $("#intiface-safewords").on('change', function() {
+      saveSafewords($(this).val())
+      $(this).val(safewords.join('\n'))
+    })
+    $("#intiface-estop-button").on('click', () => emergencyStop('stop button'))
+    $("#intiface-ai-resume").on('click', resumeAIControl)
+    renderAIControlPause()
+
+    // Approval gate for strong, long or sensitive AI commands
+    $("#intiface-approval-enabled").prop('checked', approvalSettings.enabled)
+    $("#intiface-approval-options").toggle(approvalSettings.enabled)
+    $("#intiface-approval-enabled").on('change', function() {
+      approvalSettings.enabled = $(this).is(':checked')
+      $("#intiface-approval-options").toggle(approvalSettings.enabled)
+      saveApprovalSettings()
+    })
+    $("#intiface-approval-max-intensity").val(approvalSettings.maxIntensity)
+    $("#intiface-approval-max-intensity").on('change', function() {
+      approvalSettings.maxIntensity = Math.max(0, Math.min(100, parseInt($(this).val()) || 0))
+      $(this).val(approvalSettings.maxIntensity)
+      saveApprovalSettings()
+    })
+    $("#intiface-approval-max-duration").val(approvalSettings.maxDuration || '')
+    $("#intiface-approval-max-duration").on('change', function() {
+      approvalSettings.maxDuration = Math.max(0, Number($(this).val()) || 0)
+      $(this).val(approvalSettings.maxDuration || '')
+      saveApprovalSettings()
+    })
+    $("#intiface-approval-timeout").val(approvalSettings.timeout)
+    $("#intiface-approval-timeout").on('change', function() {
+      approvalSettings.timeout = Math.max(5, Math.min(300, parseInt($(this).val()) || 15))
+      $(this).val(approvalSettings.timeout)
+      saveApprovalSettings()
+    })
+    $("#intiface-approval-timeout-action").val(approvalSettings.timeoutAction)
+    $("#intiface-approval-timeout-action").on('change', function() {
+      approvalSettings.timeoutAction = $(this).val() === 'approve' ? 'approve' : 'deny'
+      saveApprovalSettings()
+    })
+    $(".intiface-approval-type").each(function() {
+      $(this).prop('checked', approvalSettings.types.includes($(this).data('type')))
+    })
+    $(".intiface-approval-type").on('change', function() {
+      approvalSettings.types = $(".intiface-approval-type:checked").map((i, el) => $(el).data('type')).get()
+      saveApprovalSettings()
+    })
+    $("#intiface-approval-clear-session").on('click', function() {
+      sessionApprovals.clear()
+      $(this).hide()
+      updateStatus('Session approvals cleared')
+    })
+    $(document).on('click', '.intiface-approval-answer', function() {
+      resolveApproval(Number($(this).closest('.intiface-approval').data('approval-id')), $(this).data('answer'))
+    })
+
+    // Device groups editor
+    $("#intiface-device-groups").val(formatDeviceGroups())
+    $("#intiface-device-groups").on("change", function() {
+      saveDeviceGroups($(this).val())
+      $(this).val(formatDeviceGroups())
+      updatePrompt()
+    })
+
+    // Handle device alias edits (delegated)
+    $(document).on('change', '.device-alias-input', function() {
+      const aliases = saveDeviceAliases($(this).data('device-name'), $(this).val())
+      $(this).val(aliases.join(', '))
+      updatePrompt()
+    })
+
+    // Handle rotate / scalar actuator slider changes (delegated)
+    $(document).on('input', '.actuator-slider', async function() {
+      const deviceIndex = $(this).data('device') || 0
+      const actuator = $(this).data('actuator')
+      const level = parseInt($(this).val())
+
+      if (!devices[deviceIndex] || !client.connected) return
+
+      try {
+        if (actuator === 'rotate') {
+          const clockwise = $(`.rotate-direction[data-device="${deviceIndex}"]`).is(':checked')
+          await executeCommand({ type: 'rotate', speed: level, clockwise, deviceIndex, owner: null })
+        } else {
+          await executeCommand({ type: 'scalar', actuator, level, actuatorIndex: $(this).data('index'), deviceIndex, owner: null })
+        }
+      } catch (e) {
+        console.error(`${NAME}: Actuator control failed:`, e)
+      }
+    })
+
     // Handle motor slider changes (delegated)
     $(document).on('input', '.motor-slider', async function() {
       const deviceIndex = $(this).data('device') || 0
@@ -4371,16 +5768,8 @@ loadCustomModes()
       if (!targetDevice || !client.connected) return
       
       try {
-        const vibrateAttributes = targetDevice.vibrateAttributes
-        if (vibrateAttributes && vibrateAttributes[motorIndex]) {
-          const scalarCommand = new buttplug.ScalarSubcommand(
-            vibrateAttributes[motorIndex].Index,
-            intensity / 100,
-            "Vibrate"
-          )
-          await targetDevice.scalar(scalarCommand)
-          updateStatus(`${getDeviceDisplayName(targetDevice)} motor ${motorIndex + 1}: ${intensity}%`)
-        }
+        // Same motor mapping as chat motor= commands; owner null - the user takes the motor over
+        await executeCommand({ type: 'vibrate', intensity, motors: [motorIndex], deviceIndex, owner: null })
       } catch (e) {
         console.error(`${NAME}: Motor control failed:`, e)
       }
@@ -4504,16 +5893,27 @@ updateButtonStates(client.connected)
     console.log(`${NAME}: Chat-based control enabled`)
 
   // Set up chat-based control event listeners
+  eventSource.on(event_types.MESSAGE_SENT, onMessageSent)
   eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived)
   eventSource.on(event_types.STREAM_TOKEN_RECEIVED, onStreamTokenReceived)
   eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted)
   eventSource.on(event_types.GENERATION_ENDED, onGenerationEnded)
+  eventSource.on(event_types.MESSAGE_SWIPED, onMessageSwiped)
+  eventSource.on(event_types.MESSAGE_DELETED, onMessageDeleted)
+  eventSource.on(event_types.MESSAGE_EDITED, onMessageEdited)
+  eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, renderMessageHaptics)
+  eventSource.on(event_types.MESSAGE_UPDATED, renderMessageHaptics)
 
   // Handle chat change - update prompt and stop media
   eventSource.on(event_types.CHAT_CHANGED, async () => {
     console.log(`${NAME}: Chat changed - updating prompt and stopping media`)
-    // Update the prompt for the new chat context
+    // Errors from the previous chat don't apply to this one
+    rejectedCommands = []
+    // Playback keeps going, but messages from the previous chat can't be swiped or deleted here
+    clearPlaybackOwners()
+    // Update the prompt for the new chat context (and its permission profile)
     updatePrompt()
+    renderPermissionsEditor()
     // Stop any media playback and hide the player
     hideChatMediaPanel()
   })
@@ -4542,10 +5942,8 @@ document.addEventListener('visibilitychange', async () => {
       timerWorker.postMessage({ command: 'stop' })
       isWorkerTimerRunning = false
 
-      // Use the shortest interval from active timers
-      const shortestInterval = Math.min(...Array.from(workerTimers.values()).map(t => t.interval))
-      timerWorker.postMessage({ command: 'start', data: { interval: Math.max(shortestInterval, 100) } })
-      isWorkerTimerRunning = true
+      // Restarts at the shortest interval from active timers
+      updateWorkerTick()
     }
 
     // Switch back to RAF when tab is visible
@@ -4607,7 +6005,9 @@ initMediaModule({
   getRequestHeaders,
   messageCommands,
   PlayModeLoader,
-  toggleConnection
+  toggleConnection,
+  logEvent,
+  isTimelinePlaying
 })
 
 // Initialize media player functionality
@@ -4632,6 +6032,16 @@ initTimelineModule({
   clearWorkerTimeout
 })
 
+// Initialize session event log module with dependencies
+initEventLogModule({
+  NAME,
+  updateStatus,
+  executeCommand,
+  getDeviceDisplayName,
+  setWorkerTimeout,
+  clearWorkerTimeout
+})
+
   // Additional delayed prompt update after media player init
   setTimeout(() => {
     console.log(`${NAME}: Final prompt update after init`)
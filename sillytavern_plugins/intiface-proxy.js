@@ -1,9 +1,226 @@
 const http = require('http');
+const crypto = require('crypto');
 const { createProxyServer } = require('http-proxy');
 
 let proxy = null;
 let server = null;
 
+// Dead-man heartbeat: the extension keeps a second WebSocket open on
+// HEARTBEAT_PATH and sends 'beat' every few seconds. If the beats stop on any
+// armed heartbeat socket (tab frozen, crashed or offline) or one drops without
+// a 'disarm', the proxy sends StopAllDevices to Intiface over the proxied
+// connections itself. Each tab has its own heartbeat socket and deadline.
+const HEARTBEAT_PATH = '/heartbeat';
+const DEFAULT_HEARTBEAT_TIMEOUT = Number(process.env.INTIFACE_HEARTBEAT_TIMEOUT) || 5000;
+const MIN_HEARTBEAT_TIMEOUT = 1000;
+const MAX_HEARTBEAT_TIMEOUT = 60000;
+const MAX_HEARTBEAT_FRAME = 1024; // Beats are a few bytes; anything bigger isn't a heartbeat
+const STOP_MESSAGE_ID = 4294967295; // Max Buttplug Id, far above what the client uses
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const relays = new Set(); // Proxied connections to Intiface, relayed frame by frame
+const heartbeats = new Map(); // Heartbeat socket -> { timer, armed }
+const clientSockets = new WeakMap(); // Upstream socket -> the client socket it was opened for
+
+// Build a masked client-to-server text frame (Intiface expects client frames to be masked)
+function buildClientTextFrame(text) {
+    const payload = Buffer.from(text);
+    const header = payload.length < 126
+        ? Buffer.from([0x81, 0x80 | payload.length])
+        : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+    return Buffer.concat([header, mask, masked]);
+}
+
+// Build an unmasked server-to-client text frame
+function buildServerTextFrame(text) {
+    const payload = Buffer.from(text);
+    return Buffer.concat([Buffer.from([0x81, payload.length]), payload]);
+}
+
+// Parse the WebSocket frame at the start of `data`. Returns null until the
+// whole frame has arrived, else { fin, opcode, masked, length, payload, size }
+// with the payload unmasked and `size` the frame's length in bytes.
+function parseFrame(data, maxLength = Infinity) {
+    if (data.length < 2) return null;
+    const masked = (data[1] & 0x80) !== 0;
+    let length = data[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (data.length < 4) return null;
+        length = data.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (data.length < 10) return null;
+        length = Number(data.readBigUInt64BE(2));
+        offset = 10;
+    }
+    const frame = { fin: (data[0] & 0x80) !== 0, opcode: data[0] & 0x0f, masked, length };
+    if (length > maxLength) return frame;
+
+    const payloadStart = offset + (masked ? 4 : 0);
+    if (data.length < payloadStart + length) return null;
+    const payload = data.subarray(payloadStart, payloadStart + length);
+    const mask = data.subarray(offset, offset + 4);
+    frame.payload = masked ? Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4])) : payload;
+    frame.size = payloadStart + length;
+    return frame;
+}
+
+// Read a socket's stream as whole frames. Returns a function that takes each
+// chunk and returns the frames it completed; a frame split across chunks is
+// kept until the rest arrives. Frames over maxLength come back without a
+// payload and end the stream, since it can't be followed past them.
+function createFrameReader(maxLength = Infinity) {
+    let pending = Buffer.alloc(0);
+    return (chunk) => {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        const frames = [];
+        let frame;
+        while ((frame = parseFrame(pending, maxLength)) !== null) {
+            frames.push(frame);
+            if (!frame.payload) break;
+            frame.bytes = pending.subarray(0, frame.size);
+            pending = pending.subarray(frame.size);
+        }
+        return frames;
+    };
+}
+
+// Whether a frame from Intiface only answers the proxy's own StopAllDevices
+function isStopReply(frame) {
+    if (frame.opcode !== 0x1 || !frame.fin) return false;
+    try {
+        const messages = JSON.parse(frame.payload.toString());
+        return Array.isArray(messages) && messages.length > 0 &&
+            messages.every(message => Object.values(message || {})[0]?.Id === STOP_MESSAGE_ID);
+    } catch (err) {
+        return false;
+    }
+}
+
+// Relay a proxied connection frame by frame instead of http-proxy's byte
+// pipe, so StopAllDevices is only ever written between the client's messages
+// and Intiface's answer to it doesn't reach a client that never asked
+function relayFrames(client, upstream) {
+    client.unpipe(upstream);
+    upstream.unpipe(client);
+
+    const relay = { upstream, inMessage: false, stopPending: false };
+    relays.add(relay);
+    const readClient = createFrameReader();
+    const readUpstream = createFrameReader();
+
+    client.on('data', (chunk) => {
+        for (const frame of readClient(chunk)) {
+            upstream.write(frame.bytes);
+            // A fragmented message ends with its FIN frame; control frames can come in between
+            if (frame.opcode < 0x8) relay.inMessage = !frame.fin;
+            if (relay.stopPending && !relay.inMessage) sendStop(relay);
+        }
+    });
+    upstream.on('data', (chunk) => {
+        for (const frame of readUpstream(chunk)) {
+            if (!isStopReply(frame)) client.write(frame.bytes);
+        }
+    });
+
+    client.on('end', () => upstream.end());
+    upstream.on('end', () => client.end());
+    upstream.on('close', () => relays.delete(relay));
+    client.resume();
+    upstream.resume();
+}
+
+// Write StopAllDevices into a relayed connection
+function sendStop(relay) {
+    relay.stopPending = false;
+    try {
+        relay.upstream.write(buildClientTextFrame(JSON.stringify([{ StopAllDevices: { Id: STOP_MESSAGE_ID } }])));
+    } catch (err) {
+        console.error('Intiface Proxy: Failed to send StopAllDevices:', err.message);
+    }
+}
+
+// Tell Intiface to stop every device, on every proxied connection. A connection
+// in the middle of a client message gets it as soon as that message is through.
+function stopAllDevices(reason) {
+    if (relays.size === 0) return;
+
+    console.log(`Intiface Proxy: Heartbeat ${reason} - sending StopAllDevices`);
+    for (const relay of relays) {
+        if (relay.inMessage) relay.stopPending = true;
+        else sendStop(relay);
+    }
+}
+
+// Accept a heartbeat WebSocket and watch it
+function acceptHeartbeat(req, socket, timeout) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    // Lets the extension tell the proxy apart from Intiface itself
+    socket.write(buildServerTextFrame(`heartbeat-ok ${timeout}`));
+    console.log(`Intiface Proxy: Heartbeat connected (timeout ${timeout}ms)`);
+
+    const state = { timer: null, armed: true };
+    heartbeats.set(socket, state);
+    const arm = () => {
+        clearTimeout(state.timer);
+        state.armed = true;
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            stopAllDevices(`missed for ${timeout}ms`);
+        }, timeout);
+    };
+    arm();
+
+    const readFrames = createFrameReader(MAX_HEARTBEAT_FRAME);
+    socket.on('data', (data) => {
+        for (const frame of readFrames(data)) {
+            if (!frame.payload || !frame.masked) {
+                // Not a heartbeat client; closing it counts as a lost heartbeat if armed
+                socket.destroy();
+                return;
+            }
+            const text = frame.opcode === 0x1 ? frame.payload.toString() : null;
+            if (frame.opcode === 0x8) {
+                socket.end(Buffer.from([0x88, 0x00]));
+            } else if (text === 'disarm') {
+                state.armed = false;
+                clearTimeout(state.timer);
+                state.timer = null;
+            } else if (text === 'beat') {
+                arm();
+            }
+        }
+    });
+
+    socket.on('close', () => {
+        clearTimeout(state.timer);
+        heartbeats.delete(socket);
+        console.log(`Intiface Proxy: Heartbeat ${state.armed ? 'lost' : 'closed'}`);
+        if (state.armed) stopAllDevices('connection lost');
+    });
+
+    socket.on('error', (err) => {
+        console.error('Intiface Proxy: Heartbeat socket error:', err.message);
+    });
+}
+
 function startProxy(targetPort = 12345, proxyPort = 12346) {
     return new Promise((resolve, reject) => {
         if (server) {
@@ -25,10 +242,28 @@ function startProxy(targetPort = 12345, proxyPort = 12346) {
             });
 
             server.on('upgrade', (req, socket, head) => {
+                const url = new URL(req.url, 'http://127.0.0.1');
+                if (url.pathname === HEARTBEAT_PATH) {
+                    const requested = Number(url.searchParams.get('timeout')) || DEFAULT_HEARTBEAT_TIMEOUT;
+                    acceptHeartbeat(req, socket, Math.min(MAX_HEARTBEAT_TIMEOUT, Math.max(MIN_HEARTBEAT_TIMEOUT, requested)));
+                    return;
+                }
+
                 console.log('Intiface Proxy: WebSocket upgrade request');
                 proxy.ws(req, socket, head);
             });
 
+            proxy.on('proxyReqWs', (proxyReq, req, socket) => {
+                // Frames are read to relay them, so keep them uncompressed
+                proxyReq.removeHeader('sec-websocket-extensions');
+                proxyReq.on('socket', (proxySocket) => clientSockets.set(proxySocket, socket));
+            });
+
+            proxy.on('open', (proxySocket) => {
+                const client = clientSockets.get(proxySocket);
+                if (client) relayFrames(client, proxySocket);
+            });
+
             proxy.on('error', (err) => {
                 console.error('Intiface Proxy Error:', err.message);
             });
@@ -61,6 +296,10 @@ function stopProxy() {
         }
 
         console.log('Intiface Proxy: Stopping...');
+        for (const state of heartbeats.values()) {
+            clearTimeout(state.timer);
+            state.armed = false;
+        }
         
         if (proxy) {
             proxy.close();
@@ -0,0 +1,293 @@
+/**
+ * Slew Rate Limiter Module
+ * Optional per-device limit on how fast outputs may rise and fall, in percent
+ * per second. Sits in the output stage, after intensity scaling and inversion:
+ * a jump in the requested level becomes a ramp sent at the device polling rate.
+ * Also drives the live output meter on each device card.
+ */
+
+// Saved rates: device name -> { rise, fall } in %/s (missing or 0 = instant)
+let slewRates = {}
+
+// Runtime state
+const smoothedDevices = new WeakSet()
+const slewStates = new WeakMap() // device -> { scalars, rotations, tickId, lastTick, ramping }
+let meterFrameId = null
+const pendingMeters = new Set()
+
+// External dependencies (will be injected via initSlewModule)
+let deps = {
+  NAME: 'intiface-connect',
+  getPollingInterval: () => 33,
+  setWorkerTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearWorkerTimeout: (id) => clearTimeout(id)
+}
+
+/**
+ * Initialize the slew module with required dependencies
+ * @param {Object} dependencies - Object containing all required dependencies
+ */
+export function initSlewModule(dependencies) {
+  deps = { ...deps, ...dependencies }
+  console.log(`${deps.NAME}: Slew module initialized`)
+}
+
+/**
+ * Load slew rates from localStorage
+ */
+export function loadSlewRates() {
+  try {
+    const saved = localStorage.getItem('intiface-slew-rates')
+    if (saved) {
+      slewRates = JSON.parse(saved)
+      console.log(`${deps.NAME}: Loaded slew rates for ${Object.keys(slewRates).length} device(s)`)
+    }
+  } catch (e) {
+    console.error(`${deps.NAME}: Failed to load slew rates:`, e)
+    slewRates = {}
+  }
+}
+
+/**
+ * Save one device's rise or fall rate
+ * @param {string} deviceName - Device name
+ * @param {string} key - 'rise' or 'fall'
+ * @param {string} text - Input value in %/s, blank or 0 for instant
+ * @returns {number} The saved rate
+ */
+function saveSlewRate(deviceName, key, text) {
+  const value = Math.max(0, Math.min(10000, Number(text) || 0))
+  const rates = { ...slewRates[deviceName] }
+  if (value > 0) rates[key] = value
+  else delete rates[key]
+
+  if (Object.keys(rates).length > 0) slewRates[deviceName] = rates
+  else delete slewRates[deviceName]
+
+  try {
+    localStorage.setItem('intiface-slew-rates', JSON.stringify(slewRates))
+    console.log(`${deps.NAME}: Saved ${key} rate for ${deviceName}: ${value || 'instant'}`)
+  } catch (e) {
+    console.error(`${deps.NAME}: Failed to save slew rates:`, e)
+  }
+  return value
+}
+
+function getSlewState(device) {
+  if (!slewStates.has(device)) {
+    const rotateCount = device.messageAttributes?.RotateCmd?.length || 0
+    slewStates.set(device, {
+      scalars: new Map(), // `${ActuatorType}:${Index}` -> { current, target, sub }
+      rotations: Array.from({ length: rotateCount }, () => ({ current: 0, target: 0, clockwise: true })),
+      tickId: null,
+      lastTick: 0,
+      ramping: false
+    })
+  }
+  return slewStates.get(device)
+}
+
+/**
+ * Move an output toward its target by at most one step's worth of rate
+ * @param {{current: number, target: number}} output - Values 0-1
+ * @param {Object} rates - { rise, fall } in %/s
+ * @param {number} seconds - Time since the previous step
+ * @returns {boolean} Whether the value changed
+ */
+function stepOutput(output, rates, seconds) {
+  const diff = output.target - output.current
+  if (diff === 0) return false
+  const rate = (diff > 0 ? rates.rise : rates.fall) || 0
+  const maxStep = rate / 100 * seconds
+  output.current = rate === 0 || Math.abs(diff) <= maxStep + 1e-9 ? output.target : output.current + Math.sign(diff) * maxStep
+  return true
+}
+
+/**
+ * Send every output one step closer to its target, and keep stepping while
+ * any is still ramping
+ * @param {Object} device - Buttplug device
+ * @param {Object} raw - The device's unwrapped { scalar, rotate }
+ * @returns {Promise} Resolves once this step was sent
+ */
+function slewStep(device, raw) {
+  const state = getSlewState(device)
+  const now = Date.now()
+  // A fresh ramp takes its first step right away
+  const seconds = (state.ramping ? now - state.lastTick : deps.getPollingInterval()) / 1000
+  state.lastTick = now
+  if (state.tickId !== null) {
+    deps.clearWorkerTimeout(state.tickId)
+    state.tickId = null
+  }
+
+  const rates = slewRates[device.name] || {}
+  const scalars = [...state.scalars.values()].filter(output => stepOutput(output, rates, seconds))
+  const rotationsChanged = state.rotations.map(output => stepOutput(output, rates, seconds)).some(Boolean)
+
+  const sends = []
+  if (scalars.length > 0) {
+    sends.push(raw.scalar(scalars.map(output => Object.assign(Object.create(Object.getPrototypeOf(output.sub)), output.sub, { Scalar: output.current }))))
+  }
+  if (rotationsChanged) {
+    sends.push(raw.rotate(state.rotations.map(output => [output.current, output.clockwise])))
+  }
+  scheduleMeterRender(device)
+
+  state.ramping = [...state.scalars.values(), ...state.rotations].some(output => output.current !== output.target)
+  if (state.ramping) {
+    state.tickId = deps.setWorkerTimeout(() => {
+      state.tickId = null
+      slewStep(device, raw).catch(e => console.error(`${deps.NAME}: Slew step failed for ${device.name}:`, e))
+    }, deps.getPollingInterval())
+  }
+  return Promise.all(sends)
+}
+
+/**
+ * Wrap a device's scalar() and rotate() so level changes ramp at the device's
+ * slew rates. vibrate() and oscillate() go through scalar() inside the
+ * Buttplug client. Linear moves already carry their own duration and pass
+ * straight through; stop() is always immediate.
+ * @param {Object} device - Buttplug device
+ * @returns {Object} The same device
+ */
+export function smoothDevice(device) {
+  if (!device || smoothedDevices.has(device)) return device
+  smoothedDevices.add(device)
+
+  const raw = {
+    scalar: device.scalar.bind(device),
+    rotate: device.rotate.bind(device)
+  }
+  const rawStop = device.stop.bind(device)
+
+  device.scalar = (subcommands) => {
+    const state = getSlewState(device)
+    for (const sub of Array.isArray(subcommands) ? subcommands : [subcommands]) {
+      const key = `${sub.ActuatorType}:${sub.Index}`
+      const output = state.scalars.get(key) || { current: 0, target: 0 }
+      output.target = sub.Scalar
+      output.sub = sub
+      state.scalars.set(key, output)
+    }
+    return slewStep(device, raw)
+  }
+
+  device.rotate = (speed, clockwise) => {
+    const state = getSlewState(device)
+    const rotations = typeof speed === 'number' ? state.rotations.map(() => [speed, clockwise]) : speed
+    if (!Array.isArray(rotations) || state.rotations.length === 0) return raw.rotate(speed, clockwise)
+    rotations.forEach(([value, cw], i) => {
+      if (!state.rotations[i]) return
+      state.rotations[i].target = value
+      state.rotations[i].clockwise = cw
+    })
+    return slewStep(device, raw)
+  }
+
+  device.stop = () => {
+    const state = getSlewState(device)
+    if (state.tickId !== null) {
+      deps.clearWorkerTimeout(state.tickId)
+      state.tickId = null
+    }
+    state.ramping = false
+    for (const output of [...state.scalars.values(), ...state.rotations]) {
+      output.current = 0
+      output.target = 0
+    }
+    scheduleMeterRender(device)
+    return rawStop()
+  }
+
+  return device
+}
+
+/**
+ * Re-render a device's output meter on the next frame
+ * @param {Object} device - Buttplug device
+ */
+function scheduleMeterRender(device) {
+  pendingMeters.add(device)
+  if (meterFrameId !== null) return
+  meterFrameId = requestAnimationFrame(() => {
+    meterFrameId = null
+    for (const pending of pendingMeters) renderOutputMeter(pending)
+    pendingMeters.clear()
+  })
+}
+
+/**
+ * HTML for the bars of a device's output meter
+ * @param {Object} device - Buttplug device
+ * @returns {string}
+ */
+function getOutputMeterBars(device) {
+  const state = getSlewState(device)
+  const outputs = [
+    ...[...state.scalars.entries()].map(([key, output]) => [key.replace(':', ' '), output]),
+    ...state.rotations.map((output, i) => [`Rotate ${i}`, output])
+  ]
+  if (outputs.length === 0) return '<div style="color: #666;">No output yet</div>'
+
+  return outputs.map(([label, output]) => `
+<div style="display: flex; align-items: center; gap: 5px;">
+<span style="width: 80px; color: #aaa;">${label}</span>
+<div style="flex: 1; height: 6px; background: rgba(255,255,255,0.1); border-radius: 3px; position: relative;">
+<div style="width: ${Math.round(output.current * 100)}%; height: 100%; background: #64B5F6; border-radius: 3px;"></div>
+<div style="position: absolute; top: -2px; left: ${Math.round(output.target * 100)}%; width: 2px; height: 10px; background: #FFB74D;"></div>
+</div>
+<span style="width: 32px; text-align: right;">${Math.round(output.current * 100)}%</span>
+</div>`).join('')
+}
+
+/**
+ * Update a device's live output meter
+ * @param {Object} device - Buttplug device
+ */
+function renderOutputMeter(device) {
+  $(`.intiface-output-meter[data-device-name="${device.name}"]`).html(getOutputMeterBars(device))
+}
+
+/**
+ * Device card controls for a device's slew rates, with its live output meter
+ * @param {Object} device - Buttplug device
+ * @returns {string} HTML
+ */
+export function getDeviceSlewHtml(device) {
+  const rates = slewRates[device.name] || {}
+  return `
+<div style="margin-top: 8px; padding: 5px; background: rgba(100,100,100,0.1); border-radius: 3px;">
+<label style="font-size: 0.75em; color: #aaa; display: block; margin-bottom: 3px;">
+<i class="fa-solid fa-chart-line"></i> Slew Limit (%/s):
+</label>
+<div style="display: flex; gap: 5px;">
+<label style="flex: 1; font-size: 0.65em; color: #888;" title="Fastest rise, in percent per second">Rise
+<input type="number" class="text_pole device-slew-input" data-device-name="${device.name}" data-rate="rise" min="0"
+value="${rates.rise || ''}" placeholder="instant" style="width: 100%; font-size: 1.1em;">
+</label>
+<label style="flex: 1; font-size: 0.65em; color: #888;" title="Fastest fall, in percent per second">Fall
+<input type="number" class="text_pole device-slew-input" data-device-name="${device.name}" data-rate="fall" min="0"
+value="${rates.fall || ''}" placeholder="instant" style="width: 100%; font-size: 1.1em;">
+</label>
+</div>
+<div class="intiface-output-meter" data-device-name="${device.name}" style="margin-top: 5px; font-size: 0.65em;">
+${getOutputMeterBars(device)}
+</div>
+<div style="font-size: 0.65em; color: #666; margin-top: 2px;">
+Live output (blue) and requested level (orange). E.g. rise 200 ramps 0 → 100% in half a second
+</div>
+</div>
+`
+}
+
+/**
+ * Setup slew rate event handlers
+ */
+export function setupSlewEventHandlers() {
+  $(document).on('change', '.device-slew-input', function() {
+    const value = saveSlewRate($(this).data('device-name'), $(this).data('rate'), $(this).val())
+    $(this).val(value || '')
+  })
+}
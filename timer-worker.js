@@ -23,24 +23,6 @@ self.onmessage = function(e) {
         isRunning = true;
         lastTickTime = startTime;
 
-        function step() {
-          if (!isRunning) return;
-
-          const now = Date.now();
-          const drift = now - expectedTime;
-
-          // Send tick to main thread
-          self.postMessage({ type: 'tick', timestamp: now, drift: drift });
-          lastTickTime = now;
-
-          // Calculate next expected time
-          expectedTime += interval;
-
-          // Schedule next tick
-          const nextDelay = Math.max(0, interval - drift);
-          timerId = setTimeout(step, nextDelay);
-        }
-
         timerId = setTimeout(step, interval);
 
         // Start heartbeat to keep worker alive
@@ -61,13 +43,35 @@ self.onmessage = function(e) {
       break;
 
     case 'interval':
-      // Update interval for next cycle
+      // Switch to the new interval now: a shorter timer can't wait out the old tick
       interval = data.interval || 1000;
       expectedTime = Date.now() + interval;
+      if (isRunning) {
+        clearTimeout(timerId);
+        timerId = setTimeout(step, interval);
+      }
       break;
   }
 };
 
+function step() {
+  if (!isRunning) return;
+
+  const now = Date.now();
+  const drift = now - expectedTime;
+
+  // Send tick to main thread
+  self.postMessage({ type: 'tick', timestamp: now, drift: drift });
+  lastTickTime = now;
+
+  // Calculate next expected time
+  expectedTime += interval;
+
+  // Schedule next tick
+  const nextDelay = Math.max(0, interval - drift);
+  timerId = setTimeout(step, nextDelay);
+}
+
 function startHeartbeat() {
   // Send periodic heartbeat to ensure worker stays active
   heartbeatId = setInterval(() => {